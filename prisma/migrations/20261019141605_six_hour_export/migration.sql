@@ -0,0 +1,49 @@
+-- Tabel export_6_jam dan kolom 6 jam di agregasi_suhu sudah ada di schema
+-- awal tapi tidak pernah masuk migrasi. Database yang dibuat dengan
+-- `prisma db push` sudah punya semuanya: tandai migrasi ini sebagai sudah
+-- jalan dengan `npx prisma migrate resolve --applied 20261019141605_six_hour_export`.
+
+-- CreateTable
+CREATE TABLE "export_6_jam" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "batch_id" TEXT NOT NULL,
+    "waktu_mulai" DATETIME NOT NULL,
+    "waktu_selesai" DATETIME NOT NULL,
+    "file_csv" TEXT,
+    "file_excel" TEXT,
+    "total_record" INTEGER NOT NULL,
+    "rata_suhu" REAL NOT NULL,
+    "min_suhu" REAL NOT NULL,
+    "max_suhu" REAL NOT NULL,
+    "siap_download" BOOLEAN NOT NULL DEFAULT true,
+    "notifikasi_terkirim" BOOLEAN NOT NULL DEFAULT false,
+    "dibuat_pada" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_agregasi_suhu" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "tanggal" DATETIME NOT NULL,
+    "slot_waktu" TEXT NOT NULL,
+    "suhu_rata" REAL NOT NULL,
+    "suhu_median" REAL NOT NULL,
+    "suhu_modus" REAL NOT NULL,
+    "suhu_minimum" REAL NOT NULL,
+    "suhu_maksimum" REAL NOT NULL,
+    "jumlah_sample" INTEGER NOT NULL,
+    "dibuat_pada" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "sudah_dieksport" BOOLEAN NOT NULL DEFAULT false,
+    "sudah_dieksport_6jam" BOOLEAN NOT NULL DEFAULT false,
+    "batch_6jam" TEXT
+);
+INSERT INTO "new_agregasi_suhu" ("dibuat_pada", "id", "jumlah_sample", "slot_waktu", "sudah_dieksport", "suhu_maksimum", "suhu_median", "suhu_minimum", "suhu_modus", "suhu_rata", "tanggal") SELECT "dibuat_pada", "id", "jumlah_sample", "slot_waktu", "sudah_dieksport", "suhu_maksimum", "suhu_median", "suhu_minimum", "suhu_modus", "suhu_rata", "tanggal" FROM "agregasi_suhu";
+DROP TABLE "agregasi_suhu";
+ALTER TABLE "new_agregasi_suhu" RENAME TO "agregasi_suhu";
+CREATE UNIQUE INDEX "agregasi_suhu_tanggal_slot_waktu_key" ON "agregasi_suhu"("tanggal", "slot_waktu");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "export_6_jam_batch_id_key" ON "export_6_jam"("batch_id");
@@ -0,0 +1,56 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_buffer_suhu" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "sensor_id" TEXT NOT NULL DEFAULT 'esp32_sensor_1',
+    "suhu" REAL NOT NULL,
+    "waktu_catat" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "sudah_diproses" BOOLEAN NOT NULL DEFAULT false
+);
+INSERT INTO "new_buffer_suhu" ("id", "sudah_diproses", "suhu", "waktu_catat") SELECT "id", "sudah_diproses", "suhu", "waktu_catat" FROM "buffer_suhu";
+DROP TABLE "buffer_suhu";
+ALTER TABLE "new_buffer_suhu" RENAME TO "buffer_suhu";
+CREATE INDEX "buffer_suhu_sensor_id_sudah_diproses_waktu_catat_idx" ON "buffer_suhu"("sensor_id", "sudah_diproses", "waktu_catat");
+CREATE TABLE "new_agregasi_suhu" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "sensor_id" TEXT NOT NULL DEFAULT 'esp32_sensor_1',
+    "tanggal" DATETIME NOT NULL,
+    "slot_waktu" TEXT NOT NULL,
+    "suhu_rata" REAL NOT NULL,
+    "suhu_median" REAL NOT NULL,
+    "suhu_modus" REAL NOT NULL,
+    "suhu_minimum" REAL NOT NULL,
+    "suhu_maksimum" REAL NOT NULL,
+    "jumlah_sample" INTEGER NOT NULL,
+    "dibuat_pada" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "sudah_dieksport" BOOLEAN NOT NULL DEFAULT false,
+    "sudah_dieksport_6jam" BOOLEAN NOT NULL DEFAULT false,
+    "batch_6jam" TEXT
+);
+INSERT INTO "new_agregasi_suhu" ("batch_6jam", "dibuat_pada", "id", "jumlah_sample", "slot_waktu", "sudah_dieksport", "sudah_dieksport_6jam", "suhu_maksimum", "suhu_median", "suhu_minimum", "suhu_modus", "suhu_rata", "tanggal") SELECT "batch_6jam", "dibuat_pada", "id", "jumlah_sample", "slot_waktu", "sudah_dieksport", "sudah_dieksport_6jam", "suhu_maksimum", "suhu_median", "suhu_minimum", "suhu_modus", "suhu_rata", "tanggal" FROM "agregasi_suhu";
+DROP TABLE "agregasi_suhu";
+ALTER TABLE "new_agregasi_suhu" RENAME TO "agregasi_suhu";
+CREATE UNIQUE INDEX "agregasi_suhu_sensor_id_tanggal_slot_waktu_key" ON "agregasi_suhu"("sensor_id", "tanggal", "slot_waktu");
+CREATE TABLE "new_export_6_jam" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "sensor_id" TEXT NOT NULL DEFAULT 'esp32_sensor_1',
+    "batch_id" TEXT NOT NULL,
+    "waktu_mulai" DATETIME NOT NULL,
+    "waktu_selesai" DATETIME NOT NULL,
+    "file_csv" TEXT,
+    "file_excel" TEXT,
+    "total_record" INTEGER NOT NULL,
+    "rata_suhu" REAL NOT NULL,
+    "min_suhu" REAL NOT NULL,
+    "max_suhu" REAL NOT NULL,
+    "siap_download" BOOLEAN NOT NULL DEFAULT true,
+    "notifikasi_terkirim" BOOLEAN NOT NULL DEFAULT false,
+    "dibuat_pada" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+INSERT INTO "new_export_6_jam" ("batch_id", "dibuat_pada", "file_csv", "file_excel", "id", "max_suhu", "min_suhu", "notifikasi_terkirim", "rata_suhu", "siap_download", "total_record", "waktu_mulai", "waktu_selesai") SELECT "batch_id", "dibuat_pada", "file_csv", "file_excel", "id", "max_suhu", "min_suhu", "notifikasi_terkirim", "rata_suhu", "siap_download", "total_record", "waktu_mulai", "waktu_selesai" FROM "export_6_jam";
+DROP TABLE "export_6_jam";
+ALTER TABLE "new_export_6_jam" RENAME TO "export_6_jam";
+CREATE UNIQUE INDEX "export_6_jam_sensor_id_batch_id_key" ON "export_6_jam"("sensor_id", "batch_id");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
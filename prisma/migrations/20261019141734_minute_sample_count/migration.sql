@@ -0,0 +1,17 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_buffer_suhu" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "sensor_id" TEXT NOT NULL DEFAULT 'esp32_sensor_1',
+    "suhu" REAL NOT NULL,
+    "jumlah_sample" INTEGER NOT NULL DEFAULT 1,
+    "waktu_catat" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "sudah_diproses" BOOLEAN NOT NULL DEFAULT false
+);
+INSERT INTO "new_buffer_suhu" ("id", "sensor_id", "sudah_diproses", "suhu", "waktu_catat") SELECT "id", "sensor_id", "sudah_diproses", "suhu", "waktu_catat" FROM "buffer_suhu";
+DROP TABLE "buffer_suhu";
+ALTER TABLE "new_buffer_suhu" RENAME TO "buffer_suhu";
+CREATE INDEX "buffer_suhu_sensor_id_sudah_diproses_waktu_catat_idx" ON "buffer_suhu"("sensor_id", "sudah_diproses", "waktu_catat");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
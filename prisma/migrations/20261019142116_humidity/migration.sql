@@ -0,0 +1,34 @@
+-- AlterTable
+ALTER TABLE "agregasi_suhu" ADD COLUMN "kelembaban_maksimum" REAL;
+ALTER TABLE "agregasi_suhu" ADD COLUMN "kelembaban_minimum" REAL;
+ALTER TABLE "agregasi_suhu" ADD COLUMN "kelembaban_rata" REAL;
+
+-- AlterTable
+ALTER TABLE "export_6_jam" ADD COLUMN "max_kelembaban" REAL;
+ALTER TABLE "export_6_jam" ADD COLUMN "min_kelembaban" REAL;
+ALTER TABLE "export_6_jam" ADD COLUMN "rata_kelembaban" REAL;
+
+-- AlterTable
+ALTER TABLE "backup_harian" ADD COLUMN "max_kelembaban_harian" REAL;
+ALTER TABLE "backup_harian" ADD COLUMN "min_kelembaban_harian" REAL;
+ALTER TABLE "backup_harian" ADD COLUMN "rata_kelembaban_harian" REAL;
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_buffer_suhu" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "sensor_id" TEXT NOT NULL DEFAULT 'esp32_sensor_1',
+    "suhu" REAL NOT NULL,
+    "jumlah_sample" INTEGER NOT NULL DEFAULT 1,
+    "kelembaban" REAL,
+    "jumlah_sample_kelembaban" INTEGER NOT NULL DEFAULT 0,
+    "waktu_catat" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "sudah_diproses" BOOLEAN NOT NULL DEFAULT false
+);
+INSERT INTO "new_buffer_suhu" ("id", "jumlah_sample", "sensor_id", "sudah_diproses", "suhu", "waktu_catat") SELECT "id", "jumlah_sample", "sensor_id", "sudah_diproses", "suhu", "waktu_catat" FROM "buffer_suhu";
+DROP TABLE "buffer_suhu";
+ALTER TABLE "new_buffer_suhu" RENAME TO "buffer_suhu";
+CREATE INDEX "buffer_suhu_sensor_id_sudah_diproses_waktu_catat_idx" ON "buffer_suhu"("sensor_id", "sudah_diproses", "waktu_catat");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "presence_device" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "device_id" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "terakhir_terlihat" DATETIME,
+    "status_sejak" DATETIME NOT NULL,
+    "diperbarui_pada" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "riwayat_presence_device" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "device_id" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "status_sebelumnya" TEXT,
+    "sebab" TEXT NOT NULL,
+    "waktu" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "presence_device_device_id_key" ON "presence_device"("device_id");
+
+-- CreateIndex
+CREATE INDEX "riwayat_presence_device_device_id_waktu_idx" ON "riwayat_presence_device"("device_id", "waktu");
@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "perintah_device" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "correlation_id" TEXT NOT NULL,
+    "device_id" TEXT NOT NULL,
+    "perintah" TEXT NOT NULL,
+    "parameter" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "respon" TEXT,
+    "diminta_oleh" TEXT,
+    "dibuat_pada" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "diakui_pada" DATETIME
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "perintah_device_correlation_id_key" ON "perintah_device"("correlation_id");
+
+-- CreateIndex
+CREATE INDEX "perintah_device_device_id_dibuat_pada_idx" ON "perintah_device"("device_id", "dibuat_pada");
@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "kredensial_device" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "device_id" TEXT NOT NULL,
+    "hash_rahasia" TEXT NOT NULL,
+    "aktif" BOOLEAN NOT NULL DEFAULT true,
+    "dibuat_pada" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "diperbarui_pada" DATETIME NOT NULL,
+    "terakhir_dipakai" DATETIME
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "kredensial_device_device_id_key" ON "kredensial_device"("device_id");
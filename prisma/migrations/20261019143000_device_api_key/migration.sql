@@ -0,0 +1,20 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_kredensial_device" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "device_id" TEXT NOT NULL,
+    "hash_rahasia" TEXT,
+    "hash_api_key" TEXT,
+    "aktif" BOOLEAN NOT NULL DEFAULT true,
+    "dibuat_pada" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "diperbarui_pada" DATETIME NOT NULL,
+    "terakhir_dipakai" DATETIME
+);
+INSERT INTO "new_kredensial_device" ("aktif", "device_id", "dibuat_pada", "diperbarui_pada", "hash_rahasia", "id", "terakhir_dipakai") SELECT "aktif", "device_id", "dibuat_pada", "diperbarui_pada", "hash_rahasia", "id", "terakhir_dipakai" FROM "kredensial_device";
+DROP TABLE "kredensial_device";
+ALTER TABLE "new_kredensial_device" RENAME TO "kredensial_device";
+CREATE UNIQUE INDEX "kredensial_device_device_id_key" ON "kredensial_device"("device_id");
+CREATE UNIQUE INDEX "kredensial_device_hash_api_key_key" ON "kredensial_device"("hash_api_key");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "dead_letter" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "sumber" TEXT NOT NULL,
+    "topik" TEXT,
+    "sensor_id" TEXT,
+    "payload" TEXT NOT NULL,
+    "tahap" TEXT NOT NULL,
+    "alasan" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'new',
+    "diterima_pada" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "diinjeksi_ulang_pada" DATETIME,
+    "error_injeksi_ulang" TEXT
+);
+
+-- CreateIndex
+CREATE INDEX "dead_letter_diterima_pada_idx" ON "dead_letter"("diterima_pada");
+
+-- CreateIndex
+CREATE INDEX "dead_letter_sensor_id_diterima_pada_idx" ON "dead_letter"("sensor_id", "diterima_pada");
+
+-- CreateIndex
+CREATE INDEX "dead_letter_tahap_diterima_pada_idx" ON "dead_letter"("tahap", "diterima_pada");
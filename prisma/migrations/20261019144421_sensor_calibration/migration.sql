@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "buffer_suhu" ADD COLUMN "suhu_mentah" REAL;
+
+-- CreateTable
+CREATE TABLE "kalibrasi_sensor" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "sensor_id" TEXT NOT NULL,
+    "jenis" TEXT NOT NULL,
+    "offset" REAL NOT NULL DEFAULT 0,
+    "gain" REAL NOT NULL DEFAULT 1,
+    "titik" TEXT,
+    "berlaku_mulai" DATETIME NOT NULL,
+    "catatan" TEXT,
+    "dibuat_oleh" TEXT,
+    "dibuat_pada" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "dicabut_pada" DATETIME,
+    "dicabut_oleh" TEXT
+);
+
+-- CreateIndex
+CREATE INDEX "kalibrasi_sensor_sensor_id_berlaku_mulai_idx" ON "kalibrasi_sensor"("sensor_id", "berlaku_mulai");
@@ -0,0 +1,45 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_buffer_suhu" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "sensor_id" TEXT NOT NULL DEFAULT 'esp32_sensor_1',
+    "suhu" REAL NOT NULL,
+    "suhu_mentah" REAL,
+    "jumlah_sample" INTEGER NOT NULL DEFAULT 1,
+    "jumlah_tersaring" INTEGER NOT NULL DEFAULT 0,
+    "kelembaban" REAL,
+    "jumlah_sample_kelembaban" INTEGER NOT NULL DEFAULT 0,
+    "waktu_catat" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "sudah_diproses" BOOLEAN NOT NULL DEFAULT false
+);
+INSERT INTO "new_buffer_suhu" ("id", "jumlah_sample", "jumlah_sample_kelembaban", "kelembaban", "sensor_id", "sudah_diproses", "suhu", "suhu_mentah", "waktu_catat") SELECT "id", "jumlah_sample", "jumlah_sample_kelembaban", "kelembaban", "sensor_id", "sudah_diproses", "suhu", "suhu_mentah", "waktu_catat" FROM "buffer_suhu";
+DROP TABLE "buffer_suhu";
+ALTER TABLE "new_buffer_suhu" RENAME TO "buffer_suhu";
+CREATE INDEX "buffer_suhu_sensor_id_sudah_diproses_waktu_catat_idx" ON "buffer_suhu"("sensor_id", "sudah_diproses", "waktu_catat");
+CREATE TABLE "new_agregasi_suhu" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "sensor_id" TEXT NOT NULL DEFAULT 'esp32_sensor_1',
+    "tanggal" DATETIME NOT NULL,
+    "slot_waktu" TEXT NOT NULL,
+    "suhu_rata" REAL NOT NULL,
+    "suhu_median" REAL NOT NULL,
+    "suhu_modus" REAL NOT NULL,
+    "suhu_minimum" REAL NOT NULL,
+    "suhu_maksimum" REAL NOT NULL,
+    "kelembaban_rata" REAL,
+    "kelembaban_minimum" REAL,
+    "kelembaban_maksimum" REAL,
+    "jumlah_sample" INTEGER NOT NULL,
+    "jumlah_tersaring" INTEGER NOT NULL DEFAULT 0,
+    "dibuat_pada" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "sudah_dieksport" BOOLEAN NOT NULL DEFAULT false,
+    "sudah_dieksport_6jam" BOOLEAN NOT NULL DEFAULT false,
+    "batch_6jam" TEXT
+);
+INSERT INTO "new_agregasi_suhu" ("batch_6jam", "dibuat_pada", "id", "jumlah_sample", "kelembaban_maksimum", "kelembaban_minimum", "kelembaban_rata", "sensor_id", "slot_waktu", "sudah_dieksport", "sudah_dieksport_6jam", "suhu_maksimum", "suhu_median", "suhu_minimum", "suhu_modus", "suhu_rata", "tanggal") SELECT "batch_6jam", "dibuat_pada", "id", "jumlah_sample", "kelembaban_maksimum", "kelembaban_minimum", "kelembaban_rata", "sensor_id", "slot_waktu", "sudah_dieksport", "sudah_dieksport_6jam", "suhu_maksimum", "suhu_median", "suhu_minimum", "suhu_modus", "suhu_rata", "tanggal" FROM "agregasi_suhu";
+DROP TABLE "agregasi_suhu";
+ALTER TABLE "new_agregasi_suhu" RENAME TO "agregasi_suhu";
+CREATE UNIQUE INDEX "agregasi_suhu_sensor_id_tanggal_slot_waktu_key" ON "agregasi_suhu"("sensor_id", "tanggal", "slot_waktu");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "agregasi_suhu" ADD COLUMN "awal_window" DATETIME;
+
+-- CreateTable
+CREATE TABLE "celah_data" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "sensor_id" TEXT NOT NULL,
+    "awal_window" DATETIME NOT NULL,
+    "akhir_window" DATETIME NOT NULL,
+    "slot_waktu" TEXT NOT NULL,
+    "dibuat_pada" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "celah_data_awal_window_idx" ON "celah_data"("awal_window");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "celah_data_sensor_id_awal_window_key" ON "celah_data"("sensor_id", "awal_window");
+
+-- CreateIndex
+CREATE INDEX "agregasi_suhu_sensor_id_awal_window_idx" ON "agregasi_suhu"("sensor_id", "awal_window");
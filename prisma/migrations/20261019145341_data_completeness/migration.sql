@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "backup_harian" ADD COLUMN "kelengkapan_persen" REAL;
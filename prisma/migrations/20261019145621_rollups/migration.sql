@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "rollup_suhu" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "sensor_id" TEXT NOT NULL,
+    "tier" TEXT NOT NULL,
+    "awal_bucket" DATETIME NOT NULL,
+    "akhir_bucket" DATETIME NOT NULL,
+    "suhu_rata" REAL NOT NULL,
+    "suhu_minimum" REAL NOT NULL,
+    "suhu_maksimum" REAL NOT NULL,
+    "kelembaban_rata" REAL,
+    "kelembaban_minimum" REAL,
+    "kelembaban_maksimum" REAL,
+    "jumlah_menit" INTEGER NOT NULL,
+    "jumlah_sumber" INTEGER NOT NULL,
+    "jumlah_tersaring" INTEGER NOT NULL DEFAULT 0,
+    "diperbarui_pada" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "rollup_suhu_tier_awal_bucket_idx" ON "rollup_suhu"("tier", "awal_bucket");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "rollup_suhu_sensor_id_tier_awal_bucket_key" ON "rollup_suhu"("sensor_id", "tier", "awal_bucket");
@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "revisi_agregasi" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "sensor_id" TEXT NOT NULL,
+    "awal_rentang" DATETIME NOT NULL,
+    "akhir_rentang" DATETIME NOT NULL,
+    "kalibrasi_ulang" BOOLEAN NOT NULL DEFAULT false,
+    "alasan" TEXT,
+    "diminta_oleh" TEXT,
+    "sumber" TEXT NOT NULL,
+    "menit_berubah" INTEGER NOT NULL DEFAULT 0,
+    "slot_dibuat" INTEGER NOT NULL,
+    "slot_diubah" INTEGER NOT NULL,
+    "slot_tetap" INTEGER NOT NULL,
+    "perubahan" TEXT NOT NULL,
+    "batch_6jam" TEXT,
+    "backup_harian" TEXT,
+    "dibuat_pada" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "revisi_agregasi_sensor_id_dibuat_pada_idx" ON "revisi_agregasi"("sensor_id", "dibuat_pada");
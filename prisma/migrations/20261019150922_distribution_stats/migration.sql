@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "agregasi_suhu" ADD COLUMN "batas_atas" REAL;
+ALTER TABLE "agregasi_suhu" ADD COLUMN "batas_bawah" REAL;
+ALTER TABLE "agregasi_suhu" ADD COLUMN "detik_di_atas_batas" INTEGER;
+ALTER TABLE "agregasi_suhu" ADD COLUMN "detik_di_bawah_batas" INTEGER;
+ALTER TABLE "agregasi_suhu" ADD COLUMN "suhu_p5" REAL;
+ALTER TABLE "agregasi_suhu" ADD COLUMN "suhu_p95" REAL;
+ALTER TABLE "agregasi_suhu" ADD COLUMN "suhu_simpangan_baku" REAL;
+
+-- AlterTable
+ALTER TABLE "export_6_jam" ADD COLUMN "detik_di_atas_batas" INTEGER;
+ALTER TABLE "export_6_jam" ADD COLUMN "detik_di_bawah_batas" INTEGER;
+ALTER TABLE "export_6_jam" ADD COLUMN "p5_suhu" REAL;
+ALTER TABLE "export_6_jam" ADD COLUMN "p95_suhu" REAL;
+ALTER TABLE "export_6_jam" ADD COLUMN "simpangan_baku_suhu" REAL;
+
+-- AlterTable
+ALTER TABLE "backup_harian" ADD COLUMN "detik_di_atas_batas" INTEGER;
+ALTER TABLE "backup_harian" ADD COLUMN "detik_di_bawah_batas" INTEGER;
+ALTER TABLE "backup_harian" ADD COLUMN "p5_suhu_harian" REAL;
+ALTER TABLE "backup_harian" ADD COLUMN "p95_suhu_harian" REAL;
+ALTER TABLE "backup_harian" ADD COLUMN "simpangan_baku_suhu_harian" REAL;
+
+-- AlterTable
+ALTER TABLE "buffer_suhu" ADD COLUMN "batas_atas" REAL;
+ALTER TABLE "buffer_suhu" ADD COLUMN "batas_bawah" REAL;
+ALTER TABLE "buffer_suhu" ADD COLUMN "detik_di_atas_batas" INTEGER;
+ALTER TABLE "buffer_suhu" ADD COLUMN "detik_di_bawah_batas" INTEGER;
@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "reading_suhu" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "sensor_id" TEXT NOT NULL,
+    "suhu" REAL NOT NULL,
+    "suhu_mentah" REAL,
+    "kelembaban" REAL,
+    "alasan_tersaring" TEXT,
+    "waktu_reading" DATETIME NOT NULL,
+    "waktu_terima" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "reading_suhu_sensor_id_waktu_reading_idx" ON "reading_suhu"("sensor_id", "waktu_reading");
+
+-- CreateIndex
+CREATE INDEX "reading_suhu_waktu_reading_idx" ON "reading_suhu"("waktu_reading");
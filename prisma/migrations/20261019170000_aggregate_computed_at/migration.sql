@@ -0,0 +1,39 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_agregasi_suhu" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "sensor_id" TEXT NOT NULL DEFAULT 'esp32_sensor_1',
+    "tanggal" DATETIME NOT NULL,
+    "slot_waktu" TEXT NOT NULL,
+    "suhu_rata" REAL NOT NULL,
+    "suhu_median" REAL NOT NULL,
+    "suhu_modus" REAL NOT NULL,
+    "suhu_minimum" REAL NOT NULL,
+    "suhu_maksimum" REAL NOT NULL,
+    "suhu_simpangan_baku" REAL,
+    "suhu_p5" REAL,
+    "suhu_p95" REAL,
+    "batas_bawah" REAL,
+    "batas_atas" REAL,
+    "detik_di_bawah_batas" INTEGER,
+    "detik_di_atas_batas" INTEGER,
+    "kelembaban_rata" REAL,
+    "kelembaban_minimum" REAL,
+    "kelembaban_maksimum" REAL,
+    "jumlah_sample" INTEGER NOT NULL,
+    "jumlah_tersaring" INTEGER NOT NULL DEFAULT 0,
+    "dibuat_pada" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "dihitung_pada" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "sudah_dieksport" BOOLEAN NOT NULL DEFAULT false,
+    "sudah_dieksport_6jam" BOOLEAN NOT NULL DEFAULT false,
+    "batch_6jam" TEXT,
+    "awal_window" DATETIME
+);
+INSERT INTO "new_agregasi_suhu" ("awal_window", "batas_atas", "batas_bawah", "batch_6jam", "detik_di_atas_batas", "detik_di_bawah_batas", "dibuat_pada", "id", "jumlah_sample", "jumlah_tersaring", "kelembaban_maksimum", "kelembaban_minimum", "kelembaban_rata", "sensor_id", "slot_waktu", "sudah_dieksport", "sudah_dieksport_6jam", "suhu_maksimum", "suhu_median", "suhu_minimum", "suhu_modus", "suhu_p5", "suhu_p95", "suhu_rata", "suhu_simpangan_baku", "tanggal") SELECT "awal_window", "batas_atas", "batas_bawah", "batch_6jam", "detik_di_atas_batas", "detik_di_bawah_batas", "dibuat_pada", "id", "jumlah_sample", "jumlah_tersaring", "kelembaban_maksimum", "kelembaban_minimum", "kelembaban_rata", "sensor_id", "slot_waktu", "sudah_dieksport", "sudah_dieksport_6jam", "suhu_maksimum", "suhu_median", "suhu_minimum", "suhu_modus", "suhu_p5", "suhu_p95", "suhu_rata", "suhu_simpangan_baku", "tanggal" FROM "agregasi_suhu";
+DROP TABLE "agregasi_suhu";
+ALTER TABLE "new_agregasi_suhu" RENAME TO "agregasi_suhu";
+CREATE INDEX "agregasi_suhu_sensor_id_awal_window_idx" ON "agregasi_suhu"("sensor_id", "awal_window");
+CREATE UNIQUE INDEX "agregasi_suhu_sensor_id_tanggal_slot_waktu_key" ON "agregasi_suhu"("sensor_id", "tanggal", "slot_waktu");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
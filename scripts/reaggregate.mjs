@@ -0,0 +1,152 @@
+// CLI re-agregasi (lihat services/reaggregationService.mjs). Default dry run:
+//   npm run reaggregate -- --sensor dryer_1 --from 2025-01-15T06:00 --to 2025-01-15T12:00
+//   npm run reaggregate -- --sensor dryer_1 --from 2025-01-15 --to 2025-01-16 \
+//     --recalibrate --apply --reason "Kalibrasi QA-2025-01 diperbaiki"
+// Tanggal tanpa offset dibaca sebagai jam dinding pabrik (FACTORY_TIMEZONE).
+// Bisa dijalankan saat server hidup; window yang belum ditutup tidak disentuh.
+import dotenv from "dotenv";
+import { parseArgs } from "util";
+
+dotenv.config();
+
+const USAGE = `Usage: npm run reaggregate -- --sensor <id> --from <date> --to <date> [options]
+
+Options:
+  --recalibrate     Recompute minute temperatures from raw values with the
+                    calibration valid at each minute
+  --apply           Write the changes (default: dry run, nothing is written)
+  --reason <text>   Note stored with the revision`;
+
+let options;
+try {
+  ({ values: options } = parseArgs({
+    options: {
+      sensor: { type: "string" },
+      from: { type: "string" },
+      to: { type: "string" },
+      recalibrate: { type: "boolean", default: false },
+      apply: { type: "boolean", default: false },
+      reason: { type: "string" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  }));
+} catch (error) {
+  console.error(`❌ ${error.message}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+if (options.help || !options.sensor || !options.from || !options.to) {
+  console.log(USAGE);
+  process.exit(options.help ? 0 : 1);
+}
+
+// Import setelah dotenv supaya konfigurasi service membaca .env
+const { db } = await import("../src/lib/database.mjs");
+const { parseFactoryDateTime, toFactoryISOString } = await import(
+  "../src/lib/factoryTime.mjs"
+);
+const { TemperatureService } = await import("../src/services/dataService.mjs");
+const { RollupService } = await import("../src/services/rollupService.mjs");
+const { CalibrationService } = await import(
+  "../src/services/calibrationService.mjs"
+);
+const { ReaggregationService } = await import(
+  "../src/services/reaggregationService.mjs"
+);
+
+const printResult = (result) => {
+  const range = `${toFactoryISOString(result.from)} - ${toFactoryISOString(
+    result.to
+  )}`;
+  console.log(
+    `\n${result.dryRun ? "🔍 Dry run" : `✅ Revision #${result.revisionId}`}: ${
+      result.sensorId
+    } ${range}`
+  );
+  console.log(
+    `   Minutes: ${result.minutes.total} stored, ${result.minutes.changed} recalibrated` +
+      (result.minutes.withoutRawValue > 0
+        ? `, ${result.minutes.withoutRawValue} without raw value`
+        : "")
+  );
+  console.log(
+    `   Slots:   ${result.slots.created} created, ${result.slots.updated} updated, ${result.slots.unchanged} unchanged, ${result.slots.withoutMinutes} without minute data (kept)`
+  );
+
+  result.changes.forEach((change) => {
+    const fields =
+      change.status === "created"
+        ? `mean ${change.after.meanTemp}, ${change.after.sampleCount} min`
+        : change.changedFields
+            .map(
+              (field) =>
+                `${field} ${change.before[field]} -> ${change.after[field]}`
+            )
+            .join(", ");
+    console.log(
+      `   ${change.status === "created" ? "+" : "~"} ${change.windowStart} ${
+        change.timeSlot
+      }: ${fields}`
+    );
+  });
+
+  const verb = result.dryRun ? "to regenerate" : "regenerated";
+  console.log(
+    `   6-hour exports ${verb}: ${result.sixHourExports.join(", ") || "-"}`
+  );
+  console.log(
+    `   Daily backups ${verb}: ${result.dailyBackups.join(", ") || "-"}`
+  );
+  if (result.dryRun && result.changes.length > 0) {
+    console.log("\n   Run again with --apply to write these changes.");
+  }
+};
+
+let temperatureService;
+let exitCode = 0;
+
+try {
+  await db.initialize();
+
+  temperatureService = new TemperatureService({ schedulers: false });
+  const rollupService = new RollupService(temperatureService, {
+    schedulers: false,
+  });
+  temperatureService.setRollupService(rollupService);
+  const reaggregationService = new ReaggregationService(
+    temperatureService,
+    new CalibrationService()
+  );
+
+  const from = parseFactoryDateTime(options.from);
+  const to = parseFactoryDateTime(options.to);
+  const errors = reaggregationService.validateRange({ from, to });
+  if (errors.length > 0) {
+    throw new Error(errors.join(", "));
+  }
+
+  const result = await reaggregationService.reaggregate({
+    sensorId: options.sensor,
+    from,
+    to,
+    recalibrate: options.recalibrate,
+    dryRun: !options.apply,
+    reason: options.reason ?? null,
+    requestedBy: process.env.USER || null,
+    source: "cli",
+  });
+
+  if (!result.success) {
+    throw new Error(result.reason);
+  }
+
+  printResult(result);
+} catch (error) {
+  console.error(`❌ Re-aggregation failed: ${error.message}`);
+  exitCode = 1;
+} finally {
+  await temperatureService?.cleanup();
+  await db.disconnect();
+}
+
+process.exit(exitCode);
@@ -0,0 +1,308 @@
+// Migrasi data lama: pisahkan reading mentah dari baris menit.
+//
+// Sebelumnya MQTTService menulis setiap reading mentah ke tabel buffer_suhu,
+// tabel yang sama dengan rata-rata menit TemperatureService, sehingga
+// agregasi 10 menit menghitung reading dua kali. Script ini memindahkan
+// reading mentah ke TemperatureReading, membuat baris menit yang belum ada
+// dari reading mentahnya, lalu me-re-agregasi slot yang terdampak (beserta
+// export 6 jam / backup harian yang sudah ada, dicatat di AggregateRevision).
+//
+// Per sensor per menit, rata-rata menit adalah baris dengan timestamp tepat di
+// awal menit (:00.000), berapapun id-nya: TemperatureService menulisnya saat
+// menit berikutnya mulai, sering setelah reading mentah menit itu. Baris lain
+// di menit itu adalah reading mentah. Menit dengan lebih dari satu baris di
+// :00.000 (reading mentah yang kebetulan tepat di awal menit) hanya dipisah
+// kalau tepat satu di antaranya merangkum lebih dari satu sample; sisanya
+// dilaporkan dan tidak diubah.
+//
+// Jalankan saat server berhenti, setelah `npx prisma migrate deploy`:
+//   npm run split-raw-readings              (dry run, hanya laporan)
+//   npm run split-raw-readings -- --apply
+import dotenv from "dotenv";
+import { parseArgs } from "util";
+
+dotenv.config();
+
+const USAGE = `Usage: npm run split-raw-readings -- [--apply]
+
+Moves raw readings out of the minute table (buffer_suhu) into the raw
+readings table and re-aggregates the affected 10-minute slots.
+
+Options:
+  --apply   Write the changes (default: dry run, nothing is written)`;
+
+const PAGE_SIZE = 5000;
+const MOVE_CHUNK = 500;
+
+let options;
+try {
+  ({ values: options } = parseArgs({
+    options: {
+      apply: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  }));
+} catch (error) {
+  console.error(`❌ ${error.message}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+if (options.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+
+// Import setelah dotenv supaya konfigurasi service membaca .env
+const { db } = await import("../src/lib/database.mjs");
+const { toFactoryISOString } = await import("../src/lib/factoryTime.mjs");
+const { TemperatureService } = await import("../src/services/dataService.mjs");
+const { RollupService } = await import("../src/services/rollupService.mjs");
+const { ReaggregationService } = await import(
+  "../src/services/reaggregationService.mjs"
+);
+
+// Semua baris buffer_suhu, dikelompokkan per sensor lalu per menit
+const loadMinuteTable = async (temperatureService) => {
+  const sensors = new Map();
+  let lastId = 0;
+
+  for (;;) {
+    const rows = await db.withRetry(async (prisma) => {
+      return await prisma.temperatureMinute.findMany({
+        where: { id: { gt: lastId } },
+        orderBy: { id: "asc" },
+        take: PAGE_SIZE,
+      });
+    });
+    if (rows.length === 0) break;
+    lastId = rows[rows.length - 1].id;
+
+    rows.forEach((row) => {
+      if (!sensors.has(row.sensorId)) sensors.set(row.sensorId, new Map());
+      const minutes = sensors.get(row.sensorId);
+      const minuteStart = temperatureService.getMinuteStart(row.timestamp);
+      const key = minuteStart.getTime();
+      if (!minutes.has(key)) minutes.set(key, { minuteStart, rows: [] });
+      minutes.get(key).rows.push(row);
+    });
+  }
+
+  return sensors;
+};
+
+// Hasil per sensor: { raw: [baris], missingMinutes: [{ minuteStart, rows }],
+// ambiguous: [{ minuteStart, rows }] }
+const classify = (minutes) => {
+  const raw = [];
+  const missingMinutes = [];
+  const ambiguous = [];
+
+  minutes.forEach(({ minuteStart, rows }) => {
+    const candidates = rows.filter(
+      (row) => row.timestamp.getTime() === minuteStart.getTime()
+    );
+    let minuteRow = null;
+
+    if (candidates.length === 1) {
+      minuteRow = candidates[0];
+    } else if (candidates.length > 1) {
+      // Reading mentah selalu 1 sample; rata-rata menit dengan 1 sample
+      // tidak bisa dibedakan dari reading mentah di detik :00
+      const merged = candidates.filter((row) => row.sampleCount > 1);
+      if (merged.length !== 1) {
+        ambiguous.push({ minuteStart, rows: candidates });
+        return;
+      }
+      minuteRow = merged[0];
+    }
+
+    const rawRows = rows.filter((row) => row !== minuteRow);
+    raw.push(...rawRows);
+    // Menit yang hanya punya reading mentah (TemperatureService tidak
+    // sempat menulis rata-ratanya): baris menit dibuat dari reading itu
+    if (!minuteRow && rawRows.length > 0) {
+      missingMinutes.push({ minuteStart, rows: rawRows });
+    }
+  });
+
+  return { raw, missingMinutes, ambiguous };
+};
+
+const toReadingRow = (row) => ({
+  sensorId: row.sensorId,
+  temperature: row.temperature,
+  rawTemperature: row.rawTemperature ?? row.temperature,
+  humidity: row.humidity ?? null,
+  // Alasan filter aslinya tidak tersimpan di tabel lama
+  filterReason:
+    row.sampleCount === 0 && row.filteredCount > 0 ? "filtered" : null,
+  timestamp: row.timestamp,
+  receivedAt: row.timestamp,
+});
+
+const toSample = (row) => ({
+  temperature: row.temperature,
+  rawTemperature: row.rawTemperature ?? row.temperature,
+  filterReason:
+    row.sampleCount === 0 && row.filteredCount > 0 ? "filtered" : null,
+  humidity: row.humidity ?? null,
+  timestamp: row.timestamp,
+});
+
+const moveRawRows = async (rows) => {
+  for (let i = 0; i < rows.length; i += MOVE_CHUNK) {
+    const chunk = rows.slice(i, i + MOVE_CHUNK);
+    await db.withRetry(async (prisma) => {
+      return await prisma.$transaction(async (tx) => {
+        await tx.temperatureReading.createMany({
+          data: chunk.map(toReadingRow),
+        });
+        await tx.temperatureMinute.deleteMany({
+          where: { id: { in: chunk.map((row) => row.id) } },
+        });
+      });
+    });
+  }
+};
+
+// Re-agregasi rentang slot yang memuat reading mentah, dipotong per
+// REAGGREGATE_MAX_DAYS
+const reaggregateRange = async (reaggregationService, sensorId, from, to) => {
+  const stepMs = reaggregationService.config.maxRangeDays * 24 * 60 * 60 * 1000;
+  const totals = { created: 0, updated: 0, unchanged: 0, revisions: [] };
+
+  for (
+    let start = from;
+    start < to;
+    start = new Date(start.getTime() + stepMs)
+  ) {
+    const end = new Date(Math.min(start.getTime() + stepMs, to.getTime()));
+    const result = await reaggregationService.reaggregate({
+      sensorId,
+      from: start,
+      to: end,
+      dryRun: false,
+      reason: "Raw readings split from minute rows",
+      requestedBy: process.env.USER || null,
+      source: "migration",
+    });
+    if (!result.success) throw new Error(result.reason);
+
+    totals.created += result.slots.created;
+    totals.updated += result.slots.updated;
+    totals.unchanged += result.slots.unchanged;
+    if (result.revisionId) totals.revisions.push(result.revisionId);
+  }
+
+  return totals;
+};
+
+let temperatureService;
+let exitCode = 0;
+
+try {
+  await db.initialize();
+
+  temperatureService = new TemperatureService({ schedulers: false });
+  const rollupService = new RollupService(temperatureService, {
+    schedulers: false,
+  });
+  temperatureService.setRollupService(rollupService);
+  const reaggregationService = new ReaggregationService(temperatureService);
+
+  const sensors = await loadMinuteTable(temperatureService);
+  let totalRaw = 0;
+  let totalAmbiguous = 0;
+
+  for (const [sensorId, minutes] of sensors) {
+    const { raw, missingMinutes, ambiguous } = classify(minutes);
+    totalRaw += raw.length;
+    totalAmbiguous += ambiguous.length;
+
+    console.log(
+      `\n${sensorId}: ${
+        minutes.size - missingMinutes.length - ambiguous.length
+      } minute rows, ${raw.length} raw readings to move, ${
+        missingMinutes.length
+      } minute rows to create`
+    );
+    ambiguous.forEach(({ minuteStart, rows }) => {
+      console.warn(
+        `   ⚠️ Ambiguous minute ${toFactoryISOString(
+          minuteStart
+        )}, left unchanged: rows ${rows
+          .map((row) => `#${row.id} (${row.sampleCount} samples)`)
+          .join(", ")} all start the minute`
+      );
+    });
+    if (raw.length === 0) continue;
+
+    // reduce, bukan Math.min(...): jumlah reading bisa melebihi batas argumen
+    const first = raw.reduce(
+      (min, row) => (row.timestamp < min ? row.timestamp : min),
+      raw[0].timestamp
+    );
+    const last = raw.reduce(
+      (max, row) => (row.timestamp > max ? row.timestamp : max),
+      raw[0].timestamp
+    );
+    const from = temperatureService.getWindowStart(first);
+    const to = new Date(
+      temperatureService.getWindowStart(last).getTime() +
+        temperatureService.config.aggregateIntervalMinutes * 60 * 1000
+    );
+    console.log(
+      `   Slots to re-aggregate: ${toFactoryISOString(
+        from
+      )} - ${toFactoryISOString(to)}`
+    );
+    if (!options.apply) continue;
+
+    // Pindah dulu: saveMinuteSamples menggabungkan ke baris yang sudah ada
+    // di awal menit, termasuk reading mentah di detik :00
+    await moveRawRows(raw);
+    for (const { minuteStart, rows } of missingMinutes) {
+      await temperatureService.saveMinuteSamples(
+        sensorId,
+        minuteStart,
+        rows.map(toSample),
+        { recompute: false }
+      );
+    }
+    console.log(
+      `   ✅ ${raw.length} raw readings moved, ${missingMinutes.length} minute rows created`
+    );
+
+    const totals = await reaggregateRange(
+      reaggregationService,
+      sensorId,
+      from,
+      to
+    );
+    console.log(
+      `   ✅ Slots: ${totals.created} created, ${totals.updated} updated, ${
+        totals.unchanged
+      } unchanged (revision ${totals.revisions.join(", ") || "-"})`
+    );
+  }
+
+  if (totalAmbiguous > 0) {
+    console.warn(
+      `\n⚠️ ${totalAmbiguous} ambiguous minute(s) left in the minute table. Remove the raw reading(s) at the minute start by id, then re-run this script.`
+    );
+  }
+
+  if (totalRaw === 0) {
+    console.log("\n✅ No raw readings in the minute table, nothing to do.");
+  } else if (!options.apply) {
+    console.log("\n   Run again with --apply to move the raw readings.");
+  }
+} catch (error) {
+  console.error(`❌ Split failed: ${error.message}`);
+  exitCode = 1;
+} finally {
+  await temperatureService?.cleanup();
+  await db.disconnect();
+}
+
+process.exit(exitCode);
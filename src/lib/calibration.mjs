@@ -0,0 +1,95 @@
+// Kalibrasi sensor suhu terhadap probe referensi (QA, per kuartal).
+//
+// Jenis profil:
+//   linear -> calibrated = raw * gain + offset (offset saja: gain = 1)
+//   table  -> interpolasi linear multi-titik dari pasangan [raw, referensi],
+//             di luar rentang tabel diekstrapolasi dari segmen ujung
+export const CALIBRATION_TYPES = ["linear", "table"];
+
+const MAX_TABLE_POINTS = 50;
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+// points: [{ raw, reference }] atau [[raw, reference]]
+export const normalizePoints = (points) => {
+  if (!Array.isArray(points)) return null;
+
+  const normalized = points.map((point) =>
+    Array.isArray(point)
+      ? { raw: point[0], reference: point[1] }
+      : { raw: point?.raw, reference: point?.reference }
+  );
+
+  return normalized.sort((a, b) => a.raw - b.raw);
+};
+
+// Hasil: array pesan error (kosong = valid)
+export const validateCalibration = ({ type, offset, gain, points } = {}) => {
+  const errors = [];
+
+  if (!CALIBRATION_TYPES.includes(type)) {
+    errors.push(`type must be one of: ${CALIBRATION_TYPES.join(", ")}`);
+    return errors;
+  }
+
+  if (type === "linear") {
+    if (offset !== undefined && !isNumber(offset)) {
+      errors.push("offset must be a number");
+    }
+    if (gain !== undefined && (!isNumber(gain) || gain <= 0)) {
+      errors.push("gain must be a positive number");
+    }
+    return errors;
+  }
+
+  const normalized = normalizePoints(points);
+  if (!normalized || normalized.length < 2) {
+    errors.push("points must be an array of at least 2 [raw, reference] pairs");
+    return errors;
+  }
+
+  if (normalized.length > MAX_TABLE_POINTS) {
+    errors.push(`points must not exceed ${MAX_TABLE_POINTS} pairs`);
+  }
+
+  if (
+    !normalized.every(
+      (point) => isNumber(point.raw) && isNumber(point.reference)
+    )
+  ) {
+    errors.push("every point needs numeric raw and reference values");
+    return errors;
+  }
+
+  if (
+    normalized.some((point, i) => i > 0 && point.raw === normalized[i - 1].raw)
+  ) {
+    errors.push("points must not repeat the same raw value");
+  }
+
+  return errors;
+};
+
+const interpolate = (points, raw) => {
+  // Segmen yang memuat raw; di luar tabel pakai segmen pertama / terakhir
+  let i = points.findIndex((point) => raw <= point.raw);
+  if (i <= 0) i = i === 0 ? 1 : points.length - 1;
+
+  const low = points[i - 1];
+  const high = points[i];
+  const ratio = (raw - low.raw) / (high.raw - low.raw);
+
+  return low.reference + ratio * (high.reference - low.reference);
+};
+
+// profile: baris SensorCalibration (points sudah di-parse jadi array)
+export const applyCalibration = (profile, raw) => {
+  if (!profile) return raw;
+
+  const value =
+    profile.type === "table"
+      ? interpolate(profile.points, raw)
+      : raw * (profile.gain ?? 1) + (profile.offset ?? 0);
+
+  return Math.round(value * 1000) / 1000;
+};
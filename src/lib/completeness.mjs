@@ -0,0 +1,103 @@
+// Kelengkapan data per sensor: menit dan slot 10 menit yang diharapkan vs
+// yang benar-benar diterima dalam sebuah rentang waktu.
+//
+// Sumber: agregasi 10 menit (sampleCount = jumlah baris menit di slot yang
+// bukan seluruhnya spike).
+// Slot tanpa agregasi = gap "missing"; slot dengan menit < 10 = gap
+// "partial". Gap "missing" yang berurutan digabung jadi satu interval.
+const round = (value) => Math.round(value * 100) / 100;
+
+// slots: [{ windowStart: Date, sampleCount }] milik satu sensor
+export const summarizeCompleteness = ({
+  from,
+  to,
+  slots,
+  intervalMinutes = 10,
+}) => {
+  const slotMs = intervalMinutes * 60 * 1000;
+  const received = new Map(
+    slots.map((slot) => [
+      slot.windowStart.getTime(),
+      Math.min(slot.sampleCount, intervalMinutes),
+    ])
+  );
+
+  let expectedSlots = 0;
+  let receivedSlots = 0;
+  let partialSlots = 0;
+  let receivedMinutes = 0;
+  const gaps = [];
+
+  for (
+    let time = from.getTime();
+    time + slotMs <= to.getTime();
+    time += slotMs
+  ) {
+    expectedSlots++;
+    const minutes = received.get(time);
+
+    if (minutes === undefined) {
+      const last = gaps.at(-1);
+      if (last && last.type === "missing" && last.end.getTime() === time) {
+        last.end = new Date(time + slotMs);
+        last.missingMinutes += intervalMinutes;
+      } else {
+        gaps.push({
+          type: "missing",
+          start: new Date(time),
+          end: new Date(time + slotMs),
+          missingMinutes: intervalMinutes,
+        });
+      }
+      continue;
+    }
+
+    receivedSlots++;
+    receivedMinutes += minutes;
+    if (minutes < intervalMinutes) {
+      partialSlots++;
+      gaps.push({
+        type: "partial",
+        start: new Date(time),
+        end: new Date(time + slotMs),
+        missingMinutes: intervalMinutes - minutes,
+      });
+    }
+  }
+
+  const expectedMinutes = expectedSlots * intervalMinutes;
+
+  return {
+    expectedMinutes,
+    receivedMinutes,
+    expectedSlots,
+    receivedSlots,
+    partialSlots,
+    completeness:
+      expectedMinutes > 0
+        ? round((receivedMinutes / expectedMinutes) * 100)
+        : null,
+    gaps,
+  };
+};
+
+// Gabungan beberapa ringkasan (mis. semua sensor dalam satu hari)
+export const combineCompleteness = (summaries) => {
+  const expectedMinutes = summaries.reduce(
+    (sum, item) => sum + item.expectedMinutes,
+    0
+  );
+  const receivedMinutes = summaries.reduce(
+    (sum, item) => sum + item.receivedMinutes,
+    0
+  );
+
+  return {
+    expectedMinutes,
+    receivedMinutes,
+    completeness:
+      expectedMinutes > 0
+        ? round((receivedMinutes / expectedMinutes) * 100)
+        : null,
+  };
+};
@@ -0,0 +1,36 @@
+// Cache kunci yang sudah pernah dilihat, dengan TTL dan batas jumlah entry.
+// Dipakai untuk menekan pesan MQTT yang dikirim ulang (QoS 1 redelivery).
+export class DedupCache {
+  constructor({ ttlMs = 10 * 60 * 1000, maxEntries = 10000 } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.entries = new Map(); // key -> expiresAt (urutan insert = urutan umur)
+  }
+
+  has(key, now = Date.now()) {
+    const expiresAt = this.entries.get(key);
+    if (expiresAt === undefined) return false;
+    if (expiresAt <= now) {
+      this.entries.delete(key);
+      return false;
+    }
+    return true;
+  }
+
+  add(key, now = Date.now()) {
+    this.entries.delete(key);
+    this.entries.set(key, now + this.ttlMs);
+    this.prune(now);
+  }
+
+  prune(now = Date.now()) {
+    for (const [key, expiresAt] of this.entries) {
+      if (expiresAt > now && this.entries.size <= this.maxEntries) break;
+      this.entries.delete(key);
+    }
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
@@ -0,0 +1,75 @@
+import { randomUUID } from "crypto";
+import { validateSensorPayload } from "./sensorPayload.mjs";
+
+// Perintah yang boleh dikirim ke device (ESP32) lewat MQTT.
+// Pesan ke device:  {"id":"<correlationId>","command":"set_interval","params":{"seconds":10},"ts":...}
+// Ack dari device:  {"id":"<correlationId>","status":"ok"}  atau  {"id":"...","status":"error","message":"..."}
+
+export const DEVICE_COMMANDS = {
+  set_interval: {
+    description: "Ubah interval kirim data (detik)",
+    params: { seconds: { type: "number", required: true, min: 1, max: 3600 } },
+  },
+  reboot: {
+    description: "Restart device",
+    params: {},
+  },
+  set_setpoint: {
+    description: "Ubah setpoint suhu dryer (°C)",
+    params: { value: { type: "number", required: true, min: 0, max: 150 } },
+  },
+};
+
+export const createCorrelationId = () => randomUUID();
+
+// Return array error (kosong = valid)
+export const validateCommand = (command, params = {}) => {
+  const definition = DEVICE_COMMANDS[command];
+
+  if (!definition) {
+    return [
+      `Unknown command "${command}". Allowed: ${Object.keys(
+        DEVICE_COMMANDS
+      ).join(", ")}`,
+    ];
+  }
+
+  if (params === null || typeof params !== "object" || Array.isArray(params)) {
+    return ["params must be an object"];
+  }
+
+  const unknown = Object.keys(params).filter(
+    (name) => !(name in definition.params)
+  );
+  if (unknown.length > 0) {
+    return [`Unknown params for ${command}: ${unknown.join(", ")}`];
+  }
+
+  return validateSensorPayload(params, definition.params);
+};
+
+// Hasil: { ok: true, correlationId, success, message, result } atau { ok: false, reason }
+export const parseCommandAck = (message) => {
+  let payload;
+  try {
+    payload = JSON.parse(
+      Buffer.isBuffer(message) ? message.toString("utf8") : String(message)
+    );
+  } catch (error) {
+    return { ok: false, reason: `Malformed JSON: ${error.message}` };
+  }
+
+  if (!payload || typeof payload !== "object" || !payload.id) {
+    return { ok: false, reason: "Ack must be an object with an id" };
+  }
+
+  const status = String(payload.status ?? "ok").toLowerCase();
+
+  return {
+    ok: true,
+    correlationId: String(payload.id),
+    success: status === "ok",
+    message: payload.message ?? null,
+    result: payload.result ?? null,
+  };
+};
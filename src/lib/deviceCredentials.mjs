@@ -0,0 +1,143 @@
+import crypto from "crypto";
+import { db } from "./database.mjs";
+import { hashPassword, comparePassword } from "./utils.mjs";
+
+// Kredensial per device untuk broker MQTT embedded.
+// Device login dengan username = deviceId dan password = secret yang
+// dibuat lewat issueDeviceSecret. Yang disimpan hanya hash bcrypt.
+//
+// Device yang tidak bisa MQTT memakai API key (header X-API-Key) untuk
+// POST /api/ingest/readings. API key dicari berdasarkan hash SHA-256-nya,
+// jadi tidak perlu tahu deviceId lebih dulu (key random, bukan password).
+
+const API_KEY_PREFIX = "dk_";
+
+const hashApiKey = (apiKey) =>
+  crypto.createHash("sha256").update(apiKey).digest("hex");
+
+export const issueDeviceSecret = async (deviceId) => {
+  const secret = crypto.randomBytes(24).toString("base64url");
+  const secretHash = await hashPassword(secret);
+
+  await db.withRetry(async (prisma) => {
+    return await prisma.deviceCredential.upsert({
+      where: { deviceId },
+      create: { deviceId, secretHash, isActive: true },
+      update: { secretHash, isActive: true },
+    });
+  });
+
+  return secret;
+};
+
+// Cabut semua kredensial device (secret MQTT dan API key)
+export const revokeDeviceSecret = async (deviceId) => {
+  const result = await db.withRetry(async (prisma) => {
+    return await prisma.deviceCredential.updateMany({
+      where: { deviceId, isActive: true },
+      data: { isActive: false, secretHash: null, apiKeyHash: null },
+    });
+  });
+
+  return result.count > 0;
+};
+
+export const issueDeviceApiKey = async (deviceId) => {
+  const apiKey = API_KEY_PREFIX + crypto.randomBytes(32).toString("base64url");
+  const apiKeyHash = hashApiKey(apiKey);
+
+  await db.withRetry(async (prisma) => {
+    return await prisma.deviceCredential.upsert({
+      where: { deviceId },
+      create: { deviceId, apiKeyHash, isActive: true },
+      update: { apiKeyHash, isActive: true },
+    });
+  });
+
+  return apiKey;
+};
+
+export const revokeDeviceApiKey = async (deviceId) => {
+  const result = await db.withRetry(async (prisma) => {
+    return await prisma.deviceCredential.updateMany({
+      where: { deviceId, apiKeyHash: { not: null } },
+      data: { apiKeyHash: null },
+    });
+  });
+
+  return result.count > 0;
+};
+
+// Return deviceId pemilik API key, atau null
+export const findDeviceByApiKey = async (apiKey) => {
+  if (!apiKey || !apiKey.startsWith(API_KEY_PREFIX)) return null;
+
+  const apiKeyHash = hashApiKey(apiKey);
+  const credential = await db.withRetry(async (prisma) => {
+    return await prisma.deviceCredential.findUnique({ where: { apiKeyHash } });
+  });
+
+  if (!credential || !credential.isActive) return null;
+
+  await db
+    .withRetry(async (prisma) => {
+      return await prisma.deviceCredential.update({
+        where: { deviceId: credential.deviceId },
+        data: { lastUsedAt: new Date() },
+      });
+    })
+    .catch(() => {});
+
+  return credential.deviceId;
+};
+
+export const verifyDeviceSecret = async (deviceId, secret) => {
+  if (!deviceId || !secret) return false;
+
+  const credential = await db.withRetry(async (prisma) => {
+    return await prisma.deviceCredential.findUnique({ where: { deviceId } });
+  });
+
+  if (!credential || !credential.isActive || !credential.secretHash) {
+    return false;
+  }
+
+  const valid = await comparePassword(secret, credential.secretHash);
+
+  if (valid) {
+    await db
+      .withRetry(async (prisma) => {
+        return await prisma.deviceCredential.update({
+          where: { deviceId },
+          data: { lastUsedAt: new Date() },
+        });
+      })
+      .catch(() => {});
+  }
+
+  return valid;
+};
+
+export const listDeviceCredentials = async () => {
+  const rows = await db.withRetry(async (prisma) => {
+    return await prisma.deviceCredential.findMany({
+      select: {
+        deviceId: true,
+        isActive: true,
+        secretHash: true,
+        apiKeyHash: true,
+        createdAt: true,
+        updatedAt: true,
+        lastUsedAt: true,
+      },
+      orderBy: { deviceId: "asc" },
+    });
+  });
+
+  // Hash tidak pernah dikirim keluar, cukup tanda ada/tidak
+  return rows.map(({ secretHash, apiKeyHash, ...row }) => ({
+    ...row,
+    hasSecret: Boolean(secretHash),
+    hasApiKey: Boolean(apiKeyHash),
+  }));
+};
@@ -0,0 +1,286 @@
+import fs from "fs";
+import path from "path";
+
+// Spool append-only di disk (write-ahead log) untuk reading yang belum
+// tersimpan ke database. Setiap record ditulis ke segment aktif sebelum
+// diproses; checkpoint.json mencatat seq terakhir yang sudah di-commit.
+// Setelah restart atau database down, record di atas checkpoint diputar
+// ulang sesuai urutan seq.
+//
+// Record yang hasil pemrosesannya baru diketahui setelah ditulis bisa diberi
+// tanda (mark), ditulis sebagai baris tambahan di segment aktif dan
+// dikembalikan bersama record-nya oleh peek().
+//
+// Layout direktori:
+//   segment-000000000001.log  -> satu record JSON per baris: {"seq":1,"t":<ms>,"data":{...}}
+//                                atau tanda untuk record: {"mark":1,"t":<ms>,"data":{...}}
+//   checkpoint.json           -> {"committedSeq": 123}
+const SEGMENT_PREFIX = "segment-";
+const SEGMENT_SUFFIX = ".log";
+const CHECKPOINT_FILE = "checkpoint.json";
+
+const segmentName = (firstSeq) =>
+  `${SEGMENT_PREFIX}${String(firstSeq).padStart(12, "0")}${SEGMENT_SUFFIX}`;
+
+export class DiskSpool {
+  constructor({ dir, segmentBytes = 1024 * 1024, fsync = false } = {}) {
+    this.dir = dir;
+    this.segmentBytes = segmentBytes;
+    this.fsync = fsync;
+
+    this.segments = []; // [{ file, firstSeq, lastSeq, bytes }], urut seq
+    this.active = null; // segment yang sedang ditulis
+    this.fd = null;
+    this.committedSeq = 0;
+    this.nextSeq = 1;
+    // file -> { bytes, records }; hanya segment terdepan yang di-cache supaya
+    // backlog besar (database lama down) tidak dimuat semua ke memory
+    this.recordCache = new Map();
+    this.marks = new Map(); // seq -> data tanda, untuk record belum di-commit
+    this.appendErrors = 0;
+
+    this.open();
+  }
+
+  open() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.committedSeq = this.readCheckpoint();
+
+    const files = fs
+      .readdirSync(this.dir)
+      .filter(
+        (file) =>
+          file.startsWith(SEGMENT_PREFIX) && file.endsWith(SEGMENT_SUFFIX)
+      )
+      .sort();
+
+    for (const file of files) {
+      const lines = this.readSegment(file, { repair: true });
+      lines
+        .filter((line) => line.mark > this.committedSeq)
+        .forEach((line) => this.marks.set(line.mark, line.data));
+
+      const records = lines.filter((line) => line.seq !== undefined);
+      if (records.length === 0) {
+        fs.unlinkSync(path.join(this.dir, file));
+        continue;
+      }
+
+      this.segments.push({
+        file,
+        firstSeq: records[0].seq,
+        lastSeq: records[records.length - 1].seq,
+        bytes: fs.statSync(path.join(this.dir, file)).size,
+      });
+    }
+
+    const lastSeq = this.segments.at(-1)?.lastSeq ?? 0;
+    this.nextSeq = Math.max(lastSeq, this.committedSeq) + 1;
+    this.removeCommittedSegments();
+  }
+
+  readCheckpoint() {
+    try {
+      const raw = fs.readFileSync(path.join(this.dir, CHECKPOINT_FILE), "utf8");
+      return JSON.parse(raw).committedSeq || 0;
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error("❌ Spool checkpoint unreadable:", error.message);
+      }
+      return 0;
+    }
+  }
+
+  writeCheckpoint() {
+    // Tulis ke file sementara lalu rename supaya checkpoint tidak pernah
+    // setengah jadi
+    const target = path.join(this.dir, CHECKPOINT_FILE);
+    const temp = `${target}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify({ committedSeq: this.committedSeq }));
+    fs.renameSync(temp, target);
+  }
+
+  // repair: potong baris terakhir yang terpotong (crash saat append)
+  readSegment(file, { repair = false } = {}) {
+    const fullPath = path.join(this.dir, file);
+    const content = fs.readFileSync(fullPath, "utf8");
+    const records = [];
+    let validBytes = 0;
+
+    for (const line of content.split("\n")) {
+      if (!line) continue;
+      try {
+        records.push(JSON.parse(line));
+        validBytes += Buffer.byteLength(line) + 1;
+      } catch {
+        break;
+      }
+    }
+
+    if (repair && validBytes < Buffer.byteLength(content)) {
+      console.warn(
+        `⚠️ Spool segment ${file} has a torn tail, truncating to last complete record`
+      );
+      fs.truncateSync(fullPath, validBytes);
+    }
+
+    return records;
+  }
+
+  append(data) {
+    if (!this.active || this.active.bytes >= this.segmentBytes) {
+      this.rotate();
+    }
+
+    const record = { seq: this.nextSeq, t: Date.now(), data };
+    this.writeLine(record);
+
+    this.nextSeq++;
+    this.active.lastSeq = record.seq;
+
+    return record.seq;
+  }
+
+  // Tandai record yang belum di-commit. Ditulis ke segment aktif (tanpa
+  // rotate), jadi segment itu tidak dihapus sebelum record-nya di-commit.
+  mark(seq, data) {
+    if (seq <= this.committedSeq || seq >= this.nextSeq || !this.active) {
+      throw new Error(`Spool record ${seq} cannot be marked`);
+    }
+
+    this.writeLine({ mark: seq, t: Date.now(), data });
+    this.marks.set(seq, data);
+  }
+
+  writeLine(entry) {
+    const line = `${JSON.stringify(entry)}\n`;
+
+    try {
+      fs.writeSync(this.fd, line);
+      if (this.fsync) fs.fdatasyncSync(this.fd);
+    } catch (error) {
+      this.appendErrors++;
+      throw error;
+    }
+
+    this.active.bytes += Buffer.byteLength(line);
+
+    // Cache segment aktif ikut diperbarui, tidak perlu baca ulang file
+    const cached = this.recordCache.get(this.active.file);
+    if (cached) {
+      cached.records.push(entry);
+      cached.bytes = this.active.bytes;
+    }
+  }
+
+  rotate() {
+    if (this.fd !== null) fs.closeSync(this.fd);
+
+    const segment = {
+      file: segmentName(this.nextSeq),
+      firstSeq: this.nextSeq,
+      lastSeq: this.nextSeq - 1,
+      bytes: 0,
+    };
+    this.fd = fs.openSync(path.join(this.dir, segment.file), "a");
+    this.segments.push(segment);
+    this.active = segment;
+  }
+
+  // Record yang belum di-commit, paling lama dulu. Record yang ditandai
+  // membawa data tandanya di record.mark.
+  peek(limit) {
+    const result = [];
+
+    for (const segment of this.segments) {
+      if (result.length >= limit) break;
+      if (segment.lastSeq <= this.committedSeq) continue;
+
+      for (const record of this.getSegmentRecords(segment)) {
+        if (record.seq === undefined || record.seq <= this.committedSeq) {
+          continue;
+        }
+        result.push(
+          this.marks.has(record.seq)
+            ? { ...record, mark: this.marks.get(record.seq) }
+            : record
+        );
+        if (result.length >= limit) break;
+      }
+    }
+
+    return result;
+  }
+
+  getSegmentRecords(segment) {
+    let cached = this.recordCache.get(segment.file);
+
+    if (!cached || cached.bytes !== segment.bytes) {
+      cached = {
+        bytes: segment.bytes,
+        records: this.readSegment(segment.file),
+      };
+      this.recordCache.delete(segment.file);
+      this.recordCache.set(segment.file, cached);
+
+      while (this.recordCache.size > 2) {
+        this.recordCache.delete(this.recordCache.keys().next().value);
+      }
+    }
+
+    return cached.records;
+  }
+
+  commit(seq) {
+    if (seq <= this.committedSeq) return;
+    this.committedSeq = seq;
+    this.writeCheckpoint();
+    for (const markedSeq of this.marks.keys()) {
+      if (markedSeq <= seq) this.marks.delete(markedSeq);
+    }
+    this.removeCommittedSegments();
+  }
+
+  removeCommittedSegments() {
+    this.segments = this.segments.filter((segment) => {
+      if (segment === this.active || segment.lastSeq > this.committedSeq) {
+        return true;
+      }
+      fs.rmSync(path.join(this.dir, segment.file), { force: true });
+      this.recordCache.delete(segment.file);
+      return false;
+    });
+  }
+
+  get depth() {
+    return this.nextSeq - 1 - this.committedSeq;
+  }
+
+  // Umur record tertua yang belum di-commit (ms), 0 kalau kosong
+  oldestAge(now = Date.now()) {
+    if (this.depth === 0) return 0;
+    const [oldest] = this.peek(1);
+    return oldest ? now - oldest.t : 0;
+  }
+
+  getStatus() {
+    return {
+      dir: this.dir,
+      depth: this.depth,
+      oldestAgeSeconds: Math.round(this.oldestAge() / 1000),
+      segments: this.segments.length,
+      bytes: this.segments.reduce((sum, segment) => sum + segment.bytes, 0),
+      committedSeq: this.committedSeq,
+      nextSeq: this.nextSeq,
+      appendErrors: this.appendErrors,
+    };
+  }
+
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+      this.active = null;
+    }
+  }
+}
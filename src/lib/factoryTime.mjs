@@ -0,0 +1,173 @@
+// Waktu pabrik. Semua label slot, batch 6 jam, tanggal export, query
+// "hari ini" dan timestamp di file export memakai zona waktu pabrik
+// (FACTORY_TIMEZONE, default WIB), bukan zona waktu container / server.
+
+const createFormatter = (timeZone) => {
+  try {
+    return new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+  } catch {
+    throw new Error(`FACTORY_TIMEZONE "${timeZone}" is not a valid IANA zone`);
+  }
+};
+
+let factoryTimezone = null;
+let formatter = null;
+
+// Zona dibaca saat pertama dipakai, bukan saat import (server.mjs memanggil
+// dotenv.config() setelah semua import dievaluasi)
+export const getFactoryTimezone = () => {
+  if (!formatter) {
+    const timeZone = process.env.FACTORY_TIMEZONE || "Asia/Jakarta";
+    formatter = createFormatter(timeZone);
+    factoryTimezone = timeZone;
+  }
+  return factoryTimezone;
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, "0");
+
+// { year, month (1-12), day, hour, minute, second } di zona pabrik
+export const getZonedParts = (date = new Date()) => {
+  const parts = {};
+  getFactoryTimezone();
+  formatter.formatToParts(new Date(date)).forEach(({ type, value }) => {
+    if (type !== "literal") parts[type] = parseInt(value);
+  });
+  return parts;
+};
+
+// Selisih jam dinding pabrik terhadap UTC pada saat itu (ms)
+const getOffsetMs = (date) => {
+  const parts = getZonedParts(date);
+  const wallClock = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return wallClock - (date.getTime() - date.getMilliseconds());
+};
+
+// Jam dinding pabrik -> Date. Nilai di luar rentang (day 32, hour -1)
+// dinormalisasi seperti Date.UTC.
+export const zonedTimeToDate = ({
+  year,
+  month,
+  day,
+  hour = 0,
+  minute = 0,
+  second = 0,
+}) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offset = getOffsetMs(new Date(wallClock));
+  const result = new Date(wallClock - offset);
+
+  // Dekat pergantian DST offset bisa berbeda; koreksi sekali
+  const actualOffset = getOffsetMs(result);
+  return actualOffset === offset ? result : new Date(wallClock - actualOffset);
+};
+
+export const startOfDay = (date = new Date()) => {
+  const { year, month, day } = getZonedParts(date);
+  return zonedTimeToDate({ year, month, day });
+};
+
+export const addDays = (date, days) => {
+  const parts = getZonedParts(date);
+  return zonedTimeToDate({ ...parts, day: parts.day + days });
+};
+
+// Awal interval jam dinding (menit, mis. 10 / 60 / 1440) yang memuat date
+export const floorToInterval = (date, minutes) => {
+  if (minutes >= 24 * 60) return startOfDay(date);
+
+  const parts = getZonedParts(date);
+  const minuteOfDay = parts.hour * 60 + parts.minute;
+  const floored = Math.floor(minuteOfDay / minutes) * minutes;
+
+  return zonedTimeToDate({
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: Math.floor(floored / 60),
+    minute: floored % 60,
+  });
+};
+
+export const getFactoryHour = (date = new Date()) => getZonedParts(date).hour;
+
+// "YYYY-MM-DD"
+export const formatFactoryDate = (date = new Date()) => {
+  const { year, month, day } = getZonedParts(date);
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+// "HH:mm"
+export const formatFactoryTime = (date = new Date()) => {
+  const { hour, minute } = getZonedParts(date);
+  return `${pad(hour)}:${pad(minute)}`;
+};
+
+// "YYYY-MM-DD HH:mm"
+export const formatFactoryMinute = (date = new Date()) =>
+  `${formatFactoryDate(date)} ${formatFactoryTime(date)}`;
+
+// ISO 8601 dengan offset pabrik, mis. "2025-01-15T08:00:00+07:00"
+export const toFactoryISOString = (date = new Date()) => {
+  const value = new Date(date);
+  const parts = getZonedParts(value);
+  const offsetMinutes = Math.round(getOffsetMs(value) / 60000);
+  const sign = offsetMinutes < 0 ? "-" : "+";
+  const absolute = Math.abs(offsetMinutes);
+
+  return `${formatFactoryDate(value)}T${pad(parts.hour)}:${pad(
+    parts.minute
+  )}:${pad(parts.second)}${sign}${pad(Math.floor(absolute / 60))}:${pad(
+    absolute % 60
+  )}`;
+};
+
+// "YYYY-MM-DD" -> awal hari itu di zona pabrik (null kalau tidak valid)
+export const parseFactoryDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+  if (!match) return null;
+
+  const [year, month, day] = match.slice(1).map((part) => parseInt(part));
+  const date = zonedTimeToDate({ year, month, day });
+  return formatFactoryDate(date) === value ? date : null;
+};
+
+// Input tanggal dari API. Tanggal saja ("2025-01-15") atau jam tanpa offset
+// ("2025-01-15T08:00") dibaca sebagai jam dinding pabrik; string dengan
+// offset / "Z" dan epoch diparse apa adanya. Hasil: Date atau null.
+export const parseFactoryDateTime = (value) => {
+  const match =
+    /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(
+      String(value).trim()
+    );
+
+  if (!match) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  const [year, month, day, hour = 0, minute = 0, second = 0] = match
+    .slice(1)
+    .map((part) => (part === undefined ? undefined : parseInt(part)));
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  if (hour > 23 || minute > 59 || second > 59) return null;
+
+  const date = zonedTimeToDate({ year, month, day, hour, minute, second });
+  return formatFactoryDate(date) === match.slice(1, 4).join("-") ? date : null;
+};
@@ -0,0 +1,126 @@
+import fs from "fs";
+
+// Konfigurasi keamanan koneksi MQTT (TLS, username/password, client certificate).
+// Semua nilai diambil dari env:
+//   MQTT_USERNAME / MQTT_PASSWORD
+//   MQTT_CA_FILE                      - CA bundle (PEM) untuk verifikasi broker
+//   MQTT_CERT_FILE / MQTT_KEY_FILE    - client certificate + private key (mutual TLS)
+//   MQTT_KEY_PASSPHRASE               - passphrase private key (opsional)
+//   MQTT_TLS_REJECT_UNAUTHORIZED      - "false" untuk mematikan verifikasi (hanya untuk testing)
+//   MQTT_REQUIRE_TLS                  - "true" untuk menolak broker URL tanpa TLS
+// Secret (password, key, passphrase) hanya ada di `options` dan tidak pernah
+// dimasukkan ke `summary`.
+
+const TLS_PROTOCOLS = ["mqtts:", "wss:", "ssl:", "tls:"];
+
+const configError = (message) =>
+  new Error(`MQTT configuration error: ${message}`);
+
+const readPemFile = (envName, filePath) => {
+  try {
+    return fs.readFileSync(filePath);
+  } catch (error) {
+    throw configError(
+      `${envName} (${filePath}) cannot be read: ${error.code || error.message}`
+    );
+  }
+};
+
+// Hilangkan user:password dari URL broker sebelum ditampilkan/di-log
+export const redactBrokerUrl = (brokerUrl) => {
+  try {
+    const url = new URL(brokerUrl);
+    if (url.username || url.password) {
+      url.username = url.username ? "***" : "";
+      url.password = "";
+    }
+    return url.toString().replace(/\/$/, "");
+  } catch {
+    return brokerUrl;
+  }
+};
+
+export const loadMqttSecurity = (brokerUrl, env = process.env) => {
+  let url;
+  try {
+    url = new URL(brokerUrl);
+  } catch {
+    throw configError(`invalid broker URL "${brokerUrl}"`);
+  }
+
+  const usesTls = TLS_PROTOCOLS.includes(url.protocol);
+  const options = {};
+
+  if (env.MQTT_REQUIRE_TLS === "true" && !usesTls) {
+    throw configError(
+      `MQTT_REQUIRE_TLS is enabled but broker URL uses ${url.protocol}//`
+    );
+  }
+
+  const username = env.MQTT_USERNAME || decodeURIComponent(url.username);
+  const password = env.MQTT_PASSWORD || decodeURIComponent(url.password);
+
+  if (password && !username) {
+    throw configError("MQTT_PASSWORD is set without MQTT_USERNAME");
+  }
+  if (username) {
+    options.username = username;
+    if (password) options.password = password;
+  }
+
+  const { MQTT_CA_FILE, MQTT_CERT_FILE, MQTT_KEY_FILE } = env;
+
+  if (
+    (MQTT_CERT_FILE && !MQTT_KEY_FILE) ||
+    (!MQTT_CERT_FILE && MQTT_KEY_FILE)
+  ) {
+    throw configError("MQTT_CERT_FILE and MQTT_KEY_FILE must be set together");
+  }
+
+  if ((MQTT_CA_FILE || MQTT_CERT_FILE) && !usesTls) {
+    throw configError(
+      `TLS files are configured but broker URL uses ${url.protocol}// (use mqtts://)`
+    );
+  }
+
+  if (MQTT_CA_FILE) {
+    options.ca = readPemFile("MQTT_CA_FILE", MQTT_CA_FILE);
+  }
+
+  if (MQTT_CERT_FILE) {
+    options.cert = readPemFile("MQTT_CERT_FILE", MQTT_CERT_FILE);
+    options.key = readPemFile("MQTT_KEY_FILE", MQTT_KEY_FILE);
+    if (env.MQTT_KEY_PASSPHRASE) {
+      options.passphrase = env.MQTT_KEY_PASSPHRASE;
+    }
+  }
+
+  const rejectUnauthorized = env.MQTT_TLS_REJECT_UNAUTHORIZED !== "false";
+  if (usesTls) {
+    options.rejectUnauthorized = rejectUnauthorized;
+    if (!rejectUnauthorized) {
+      console.warn(
+        "⚠️ MQTT TLS certificate verification is DISABLED (MQTT_TLS_REJECT_UNAUTHORIZED=false)"
+      );
+    }
+  }
+
+  let mode = "none";
+  if (usesTls && options.cert) mode = "mutual-tls";
+  else if (usesTls) mode = "tls";
+  if (username) mode = mode === "none" ? "credentials" : `${mode}+credentials`;
+
+  return {
+    mode,
+    options,
+    summary: {
+      mode,
+      tls: usesTls,
+      customCa: Boolean(options.ca),
+      clientCertificate: Boolean(options.cert),
+      verifyServerCertificate: usesTls ? rejectUnauthorized : null,
+      authenticated: Boolean(username),
+      username: username || null,
+    },
+  };
+};
@@ -0,0 +1,171 @@
+// Validasi range suhu yang masuk akal per sensor / jenis sensor. Satu-satunya
+// tempat range suhu ditentukan; dipakai di semua jalur ingest (MQTT, HTTP,
+// backfill, injeksi ulang dead letter) dan di TemperatureService.
+//
+// Rules dari env (semua bagian opsional):
+//   SENSOR_VALIDATION_RULES='{
+//     "default": {"min": -50, "max": 150},
+//     "types":   {"burner": {"min": 0, "max": 450}, "ambient": {"min": -10, "max": 60}},
+//     "sensors": {"dryer1-burner": "burner", "ambient_*": "ambient",
+//                 "dryer_2": {"type": "burner", "max": 400}}
+//   }'
+// Urutan pencarian range: sensors (nama persis, lalu prefix "xxx*"),
+// lalu tag topic {sensorType}, lalu default.
+export const DEFAULT_TEMPERATURE_RANGE = { min: -50, max: 150 };
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+const checkRange = (range, label) => {
+  if (range === null || typeof range !== "object" || Array.isArray(range)) {
+    throw new Error(`${label} must be an object`);
+  }
+  for (const key of ["min", "max"]) {
+    if (range[key] !== undefined && !isNumber(range[key])) {
+      throw new Error(`${label}.${key} must be a number`);
+    }
+  }
+  if (isNumber(range.min) && isNumber(range.max) && range.min >= range.max) {
+    throw new Error(`${label}.min must be below ${label}.max`);
+  }
+};
+
+export const loadValidationRules = (env = process.env) => {
+  if (!env.SENSOR_VALIDATION_RULES) {
+    return {
+      default: { ...DEFAULT_TEMPERATURE_RANGE },
+      types: {},
+      sensors: {},
+    };
+  }
+
+  let rules;
+  try {
+    rules = JSON.parse(env.SENSOR_VALIDATION_RULES);
+  } catch (error) {
+    throw new Error(
+      `SENSOR_VALIDATION_RULES is not valid JSON: ${error.message}`
+    );
+  }
+  if (rules === null || typeof rules !== "object" || Array.isArray(rules)) {
+    throw new Error("SENSOR_VALIDATION_RULES must be a JSON object");
+  }
+
+  const defaultRange = { ...DEFAULT_TEMPERATURE_RANGE, ...rules.default };
+  checkRange(defaultRange, "default");
+
+  const types = rules.types || {};
+  Object.entries(types).forEach(([type, range]) =>
+    checkRange(range, `types.${type}`)
+  );
+
+  // Nilai string = nama type
+  const sensors = {};
+  Object.entries(rules.sensors || {}).forEach(([sensorId, rule]) => {
+    const normalized = typeof rule === "string" ? { type: rule } : rule;
+    checkRange(normalized, `sensors.${sensorId}`);
+    if (normalized.type && !types[normalized.type]) {
+      throw new Error(
+        `sensors.${sensorId} refers to unknown type "${normalized.type}"`
+      );
+    }
+    sensors[sensorId] = normalized;
+  });
+
+  return { default: defaultRange, types, sensors };
+};
+
+export const createReadingValidator = (rules = loadValidationRules()) => {
+  const exact = new Map();
+  const prefixes = [];
+
+  Object.entries(rules.sensors).forEach(([key, rule]) => {
+    if (key.endsWith("*")) {
+      prefixes.push({ prefix: key.slice(0, -1), rule });
+    } else {
+      exact.set(key, rule);
+    }
+  });
+  // Prefix terpanjang menang
+  prefixes.sort((a, b) => b.prefix.length - a.prefix.length);
+
+  const findSensorRule = (sensorId) =>
+    exact.get(sensorId) ||
+    prefixes.find(({ prefix }) => sensorId.startsWith(prefix))?.rule ||
+    null;
+
+  return {
+    rules,
+
+    // Hasil: { min, max, type } yang berlaku untuk sensor ini
+    resolveRange(sensorId, sensorType = null) {
+      const sensorRule = sensorId ? findSensorRule(sensorId) : null;
+      const type = sensorRule?.type || sensorType || null;
+      const typeRange = (type && rules.types[type]) || {};
+
+      return {
+        min: sensorRule?.min ?? typeRange.min ?? rules.default.min,
+        max: sensorRule?.max ?? typeRange.max ?? rules.default.max,
+        type: rules.types[type] ? type : null,
+      };
+    },
+
+    // Hasil: { ok: true, range } atau { ok: false, code, reason, range }
+    // code: "missing" | "not_a_number" | "below_min" | "above_max"
+    validate({ temperature, sensorId = null, tags = {} } = {}) {
+      const range = this.resolveRange(sensorId, tags?.sensorType);
+      const subject = `${sensorId || "sensor"}${
+        range.type ? ` (type ${range.type})` : ""
+      }`;
+
+      if (temperature === undefined || temperature === null) {
+        return {
+          ok: false,
+          code: "missing",
+          reason: "temperature is required",
+          range,
+        };
+      }
+
+      const value =
+        typeof temperature === "string" ? Number(temperature) : temperature;
+      if (!isNumber(value)) {
+        return {
+          ok: false,
+          code: "not_a_number",
+          reason: `temperature ${temperature} is not a finite number`,
+          range,
+        };
+      }
+
+      if (value < range.min) {
+        return {
+          ok: false,
+          code: "below_min",
+          reason: `temperature ${value}°C is below minimum ${range.min}°C for ${subject}`,
+          range,
+        };
+      }
+
+      if (value > range.max) {
+        return {
+          ok: false,
+          code: "above_max",
+          reason: `temperature ${value}°C is above maximum ${range.max}°C for ${subject}`,
+          range,
+        };
+      }
+
+      return { ok: true, range };
+    },
+  };
+};
+
+// Validator bersama dari env, dibuat saat pertama dipakai
+let sharedValidator = null;
+
+export const getReadingValidator = () => {
+  if (!sharedValidator) {
+    sharedValidator = createReadingValidator(loadValidationRules());
+  }
+  return sharedValidator;
+};
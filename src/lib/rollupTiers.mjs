@@ -0,0 +1,171 @@
+import { addDays, floorToInterval } from "./factoryTime.mjs";
+
+// Tier rollup data suhu. Setiap tier dihitung dari tier di bawahnya:
+//   1m  -> baris menit (TemperatureMinute)
+//   10m -> agregasi 10 menit (TemperatureAggregate), dari baris menit
+//   1h  -> TemperatureRollup tier "1h", dari agregasi 10 menit
+//   1d  -> TemperatureRollup tier "1d", dari rollup 1 jam
+//
+// Konfigurasi dari env (opsional):
+//   ROLLUP_TIERS="1m,10m,1h,1d"                 (1m dan 10m selalu aktif)
+//   ROLLUP_RETENTION="1m:24h,10m:7d,1h:90d,1d:5y"
+export const ROLLUP_TIERS = [
+  { name: "1m", minutes: 1, source: null, required: true },
+  { name: "10m", minutes: 10, source: "1m", required: true },
+  { name: "1h", minutes: 60, source: "10m", required: false },
+  { name: "1d", minutes: 24 * 60, source: "1h", required: false },
+];
+
+export const DEFAULT_RETENTION = {
+  "1m": "24h",
+  "10m": "7d",
+  "1h": "90d",
+  "1d": "5y",
+};
+
+// Baris menit harus ada minimal selama window backfill / reading terlambat
+const MIN_RETENTION_MS = { "1m": 24 * 60 * 60 * 1000 };
+
+const UNIT_MS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+  y: 365 * 24 * 60 * 60 * 1000,
+};
+
+// "90d" -> milliseconds
+export const parseDuration = (value) => {
+  const match = /^(\d+)\s*([mhdwy])$/.exec(String(value).trim());
+  if (!match || parseInt(match[1]) <= 0) {
+    throw new Error(
+      `Invalid duration "${value}" (use e.g. 30m, 24h, 7d, 12w, 5y)`
+    );
+  }
+  return parseInt(match[1]) * UNIT_MS[match[2]];
+};
+
+export const loadRollupConfig = (env = process.env) => {
+  const names = env.ROLLUP_TIERS
+    ? env.ROLLUP_TIERS.split(",").map((name) => name.trim())
+    : ROLLUP_TIERS.map((tier) => tier.name);
+
+  names.forEach((name) => {
+    if (!ROLLUP_TIERS.some((tier) => tier.name === name)) {
+      throw new Error(
+        `ROLLUP_TIERS: unknown tier "${name}" (available: ${ROLLUP_TIERS.map(
+          (tier) => tier.name
+        ).join(", ")})`
+      );
+    }
+  });
+
+  const retention = { ...DEFAULT_RETENTION };
+  if (env.ROLLUP_RETENTION) {
+    env.ROLLUP_RETENTION.split(",").forEach((entry) => {
+      const [name, duration] = entry.split(":").map((part) => part?.trim());
+      if (!(name in DEFAULT_RETENTION) || !duration) {
+        throw new Error(
+          `ROLLUP_RETENTION: invalid entry "${entry}" (use tier:duration, e.g. 1h:90d)`
+        );
+      }
+      retention[name] = duration;
+    });
+  }
+
+  // Tier aktif, berurutan dari yang paling halus. Tier di atas tier yang
+  // dimatikan tidak bisa dihitung (sumbernya tidak ada).
+  const tiers = [];
+  for (const tier of ROLLUP_TIERS) {
+    if (!tier.required && !names.includes(tier.name)) break;
+
+    const retentionMs = parseDuration(retention[tier.name]);
+    if (retentionMs < (MIN_RETENTION_MS[tier.name] || 0)) {
+      throw new Error(
+        `ROLLUP_RETENTION: ${tier.name} must be kept at least ${
+          MIN_RETENTION_MS[tier.name] / UNIT_MS.h
+        }h`
+      );
+    }
+    const source = tiers.at(-1);
+    if (source && retentionMs < source.retentionMs) {
+      throw new Error(
+        `ROLLUP_RETENTION: ${tier.name} must be kept at least as long as ${source.name}`
+      );
+    }
+
+    tiers.push({ ...tier, retention: retention[tier.name], retentionMs });
+  }
+
+  return tiers;
+};
+
+// Awal bucket tier (jam dinding zona pabrik) yang memuat date
+export const getBucketStart = (tier, date) =>
+  floorToInterval(date, tier.minutes);
+
+export const getBucketEnd = (tier, bucketStart) =>
+  tier.minutes >= 24 * 60
+    ? addDays(bucketStart, 1) // Aman untuk hari 23/25 jam (DST)
+    : new Date(bucketStart.getTime() + tier.minutes * 60 * 1000);
+
+// Tier paling halus yang masih menyimpan data sejak `from` dan jumlah
+// titiknya tidak lebih dari maxPoints. Kalau tidak ada yang memenuhi,
+// pakai tier terkasar yang retensinya mencakup from (atau tier terkasar).
+export const selectTier = (
+  tiers,
+  { from, to, now = new Date(), maxPoints }
+) => {
+  const rangeMinutes = (to - from) / 60000;
+  const covering = tiers.filter(
+    (tier) => from.getTime() >= now.getTime() - tier.retentionMs
+  );
+
+  const fit = covering.find((tier) => rangeMinutes / tier.minutes <= maxPoints);
+  return fit || covering.at(-1) || tiers.at(-1);
+};
+
+// Statistik bucket dari baris tier di bawahnya:
+// rows: [{ meanTemp, minTemp, maxTemp, meanHumidity, minHumidity,
+//          maxHumidity, sampleCount, filteredCount }]
+// Rata-rata berbobot jumlah menit (sampleCount).
+export const combineRollupRows = (rows) => {
+  const weightOf = (row) => Math.max(row.sampleCount, 0) || 0;
+  const totalWeight = rows.reduce((sum, row) => sum + weightOf(row), 0);
+  const round = (value) => Math.round(value * 100) / 100;
+
+  const weightedMean = (list, field) => {
+    const weight = list.reduce((sum, row) => sum + weightOf(row), 0);
+    if (weight === 0) {
+      return list.reduce((sum, row) => sum + row[field], 0) / list.length;
+    }
+    return (
+      list.reduce((sum, row) => sum + row[field] * weightOf(row), 0) / weight
+    );
+  };
+
+  const humidityRows = rows.filter(
+    (row) => typeof row.meanHumidity === "number"
+  );
+
+  return {
+    meanTemp: round(weightedMean(rows, "meanTemp")),
+    minTemp: Math.min(...rows.map((row) => row.minTemp)),
+    maxTemp: Math.max(...rows.map((row) => row.maxTemp)),
+    meanHumidity:
+      humidityRows.length > 0
+        ? round(weightedMean(humidityRows, "meanHumidity"))
+        : null,
+    minHumidity:
+      humidityRows.length > 0
+        ? Math.min(...humidityRows.map((row) => row.minHumidity))
+        : null,
+    maxHumidity:
+      humidityRows.length > 0
+        ? Math.max(...humidityRows.map((row) => row.maxHumidity))
+        : null,
+    sampleCount: totalWeight,
+    sourceCount: rows.length,
+    filteredCount: rows.reduce((sum, row) => sum + (row.filteredCount || 0), 0),
+  };
+};
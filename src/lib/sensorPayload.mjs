@@ -0,0 +1,264 @@
+// Parser untuk payload sensor yang masuk lewat MQTT.
+// Mendukung dua format:
+//   1. Angka polos (firmware lama): "27.5"
+//   2. JSON: {"sensorId":"dryer2-top","temperature":71.4,"humidity":58.2,"ts":1760851200}
+//      "msgId" (opsional) dipakai untuk deduplikasi pesan yang dikirim ulang
+
+// Sensor ID untuk reading tanpa identitas (firmware lama, satu sensor)
+export const DEFAULT_SENSOR_ID = "esp32_sensor_1";
+
+export const SENSOR_PAYLOAD_SCHEMA = {
+  sensorId: {
+    type: "string",
+    required: false,
+    maxLength: 64,
+    pattern: /^[A-Za-z0-9_.:-]+$/,
+  },
+  // Range suhu per sensor dicek di readingValidation.mjs (setelah kalibrasi)
+  temperature: { type: "number", required: true },
+  humidity: { type: "number", required: false, min: 0, max: 100 },
+  ts: { type: "timestamp", required: false },
+  msgId: { type: "id", required: false, maxLength: 64 },
+};
+
+// Epoch dalam detik (ESP32 biasanya kirim detik) atau milidetik
+const toDate = (value) => {
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return new Date(value < 1e12 ? value * 1000 : value);
+  }
+  if (typeof value === "string" && value.trim() !== "") {
+    const numeric = Number(value);
+    if (!Number.isNaN(numeric)) return toDate(numeric);
+    return new Date(value);
+  }
+  return null;
+};
+
+const validateField = (name, rule, value) => {
+  if (value === undefined || value === null) {
+    return rule.required ? `${name} is required` : null;
+  }
+
+  if (rule.type === "number") {
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      return `${name} must be a finite number`;
+    }
+    if (rule.min !== undefined && value < rule.min) {
+      return `${name} ${value} is below minimum ${rule.min}`;
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      return `${name} ${value} is above maximum ${rule.max}`;
+    }
+  } else if (rule.type === "string") {
+    if (typeof value !== "string" || value.length === 0) {
+      return `${name} must be a non-empty string`;
+    }
+    if (rule.maxLength && value.length > rule.maxLength) {
+      return `${name} must be at most ${rule.maxLength} characters`;
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      return `${name} contains invalid characters`;
+    }
+  } else if (rule.type === "id") {
+    const valid =
+      (typeof value === "string" &&
+        value.length > 0 &&
+        value.length <= rule.maxLength) ||
+      Number.isInteger(value);
+    if (!valid) {
+      return `${name} must be a string or integer`;
+    }
+  } else if (rule.type === "timestamp") {
+    const date = toDate(value);
+    if (!date || isNaN(date.getTime())) {
+      return `${name} is not a valid timestamp`;
+    }
+  }
+
+  return null;
+};
+
+export const validateSensorPayload = (
+  payload,
+  schema = SENSOR_PAYLOAD_SCHEMA
+) => {
+  const errors = [];
+
+  for (const [name, rule] of Object.entries(schema)) {
+    const error = validateField(name, rule, payload[name]);
+    if (error) errors.push(error);
+  }
+
+  return errors;
+};
+
+// Hasil: { ok: true, reading, format } atau { ok: false, reason, format }
+export const parseSensorPayload = (message) => {
+  const text = Buffer.isBuffer(message)
+    ? message.toString("utf8").trim()
+    : String(message ?? "").trim();
+
+  if (text === "") {
+    return { ok: false, reason: "Empty payload", format: "unknown" };
+  }
+
+  // PERBAIKAN: Format lama (angka polos) tetap didukung
+  if (!text.startsWith("{")) {
+    const temperature = Number(text);
+    const errors = validateSensorPayload(
+      { temperature },
+      { temperature: SENSOR_PAYLOAD_SCHEMA.temperature }
+    );
+
+    if (Number.isNaN(temperature) || errors.length > 0) {
+      return {
+        ok: false,
+        reason: errors[0] || `Invalid numeric payload: ${text}`,
+        format: "plain",
+      };
+    }
+
+    return {
+      ok: true,
+      format: "plain",
+      reading: {
+        temperature,
+        humidity: null,
+        sensorId: null,
+        timestamp: null,
+        messageId: null,
+      },
+    };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(text);
+  } catch (error) {
+    return {
+      ok: false,
+      reason: `Malformed JSON: ${error.message}`,
+      format: "json",
+    };
+  }
+
+  return parseSensorObject(payload);
+};
+
+// Reading yang sudah berupa objek (JSON MQTT atau body HTTP)
+export const parseSensorObject = (payload) => {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return {
+      ok: false,
+      reason: "JSON payload must be an object",
+      format: "json",
+    };
+  }
+
+  const errors = validateSensorPayload(payload);
+  if (errors.length > 0) {
+    return { ok: false, reason: errors.join("; "), format: "json" };
+  }
+
+  return {
+    ok: true,
+    format: "json",
+    reading: {
+      temperature: payload.temperature,
+      humidity: payload.humidity ?? null,
+      sensorId: payload.sensorId ?? null,
+      timestamp: payload.ts !== undefined ? toDate(payload.ts) : null,
+      messageId: payload.msgId !== undefined ? String(payload.msgId) : null,
+    },
+  };
+};
+
+// PERBAIKAN: Payload backfill dari device yang menyimpan reading di SD/flash
+// selama offline:
+//   {"sensorId":"dryer2-top","batchId":"sd-0042","readings":[
+//     {"temperature":71.4,"humidity":58.2,"ts":1760851200}, ...]}
+// Setiap reading wajib punya ts. Reading yang invalid ditolak sendiri-sendiri,
+// tidak menggagalkan seluruh batch.
+export const BACKFILL_READING_SCHEMA = {
+  ...SENSOR_PAYLOAD_SCHEMA,
+  ts: { ...SENSOR_PAYLOAD_SCHEMA.ts, required: true },
+};
+
+// Hasil: { ok: true, sensorId, batchId, readings: [{ index, ok, reading | reason }] }
+// atau { ok: false, reason }
+export const parseBackfillPayload = (message, { maxReadings = 2000 } = {}) => {
+  let payload = message;
+
+  if (Buffer.isBuffer(message) || typeof message === "string") {
+    try {
+      payload = JSON.parse(
+        Buffer.isBuffer(message) ? message.toString("utf8") : message
+      );
+    } catch (error) {
+      return { ok: false, reason: `Malformed JSON: ${error.message}` };
+    }
+  }
+
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return { ok: false, reason: "Backfill payload must be an object" };
+  }
+
+  if (!Array.isArray(payload.readings) || payload.readings.length === 0) {
+    return { ok: false, reason: "readings must be a non-empty array" };
+  }
+
+  if (payload.readings.length > maxReadings) {
+    return {
+      ok: false,
+      reason: `Too many readings: ${payload.readings.length} (max ${maxReadings})`,
+    };
+  }
+
+  const headerErrors = validateSensorPayload(payload, {
+    sensorId: SENSOR_PAYLOAD_SCHEMA.sensorId,
+    batchId: { type: "id", required: false, maxLength: 64 },
+  });
+  if (headerErrors.length > 0) {
+    return { ok: false, reason: headerErrors.join("; ") };
+  }
+
+  const readings = payload.readings.map((item, index) => {
+    if (!item || typeof item !== "object" || Array.isArray(item)) {
+      return { index, ok: false, reason: "Reading must be an object" };
+    }
+
+    const errors = validateSensorPayload(item, BACKFILL_READING_SCHEMA);
+    if (errors.length > 0) {
+      return { index, ok: false, reason: errors.join("; ") };
+    }
+
+    if (
+      item.sensorId &&
+      payload.sensorId &&
+      item.sensorId !== payload.sensorId
+    ) {
+      return {
+        index,
+        ok: false,
+        reason: `sensorId ${item.sensorId} does not match batch sensorId ${payload.sensorId}`,
+      };
+    }
+
+    return {
+      index,
+      ok: true,
+      reading: {
+        temperature: item.temperature,
+        humidity: item.humidity ?? null,
+        timestamp: toDate(item.ts),
+      },
+    };
+  });
+
+  return {
+    ok: true,
+    sensorId: payload.sensorId ?? null,
+    batchId: payload.batchId !== undefined ? String(payload.batchId) : null,
+    readings,
+  };
+};
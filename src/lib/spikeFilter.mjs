@@ -0,0 +1,166 @@
+// Filter spike / outlier per sensor sebelum reading masuk ke TemperatureService.
+// Contoh kasus: termokopel sesekali membaca 149 °C satu sample; masih lolos
+// range check tapi merusak rata-rata menit dan max 10 menit.
+//
+// Metode (urutan pengecekan):
+//   rate    -> perubahan terhadap sample terakhir yang diterima > maxRatePerSecond
+//   median  -> selisih terhadap median N sample terakhir > medianMaxDeviation
+//   hampel  -> selisih terhadap median jendela > k * 1.4826 * MAD
+//              (minimal hampelMinDeviation supaya plateau datar tidak sensitif)
+//
+// Sample yang ditandai tidak dipakai sebagai acuan berikutnya. Kalau
+// maxConsecutive sample berturut-turut ditandai, itu perubahan level yang
+// nyata (bukan spike): acuan di-reset ke sample-sample tersebut.
+export const FILTER_METHODS = ["rate", "median", "hampel"];
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? (sorted[mid - 1] + sorted[mid]) / 2
+    : sorted[mid];
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+export class SpikeFilter {
+  constructor({
+    methods = FILTER_METHODS,
+    medianWindow = 5,
+    medianMaxDeviation = 5,
+    maxRatePerSecond = 5,
+    hampelWindow = 9,
+    hampelK = 3,
+    hampelMinDeviation = 1,
+    maxConsecutive = 5,
+  } = {}) {
+    this.methods = methods.filter((method) => FILTER_METHODS.includes(method));
+    this.config = {
+      medianWindow,
+      medianMaxDeviation,
+      maxRatePerSecond,
+      hampelWindow,
+      hampelK,
+      hampelMinDeviation,
+      maxConsecutive,
+    };
+
+    this.historySize = Math.max(medianWindow, hampelWindow);
+    this.sensors = new Map(); // sensorId -> { history, last, flagged }
+    this.flaggedCounts = Object.fromEntries(
+      FILTER_METHODS.map((method) => [method, 0])
+    );
+    this.passedCount = 0;
+  }
+
+  get enabled() {
+    return this.methods.length > 0;
+  }
+
+  getState(sensorId) {
+    if (!this.sensors.has(sensorId)) {
+      this.sensors.set(sensorId, { history: [], last: null, flagged: [] });
+    }
+    return this.sensors.get(sensorId);
+  }
+
+  // Hasil: null kalau lolos, atau { method, reason } kalau ditandai
+  check(sensorId, temperature, timestamp = new Date()) {
+    if (!this.enabled) return null;
+
+    const state = this.getState(sensorId);
+    const time = new Date(timestamp).getTime();
+    const verdict = this.evaluate(state, temperature, time);
+
+    if (!verdict) {
+      this.accept(state, temperature, time);
+      return null;
+    }
+
+    state.flagged.push({ value: temperature, time });
+    if (state.flagged.length >= this.config.maxConsecutive) {
+      // Level proses benar-benar berubah: jadikan acuan baru
+      state.history = state.flagged.map((sample) => sample.value);
+      state.last = state.flagged.at(-1);
+      state.flagged = [];
+      this.passedCount++;
+      return null;
+    }
+
+    this.flaggedCounts[verdict.method]++;
+    return verdict;
+  }
+
+  evaluate(state, value, time) {
+    const { history, last } = state;
+    const config = this.config;
+
+    if (this.methods.includes("rate") && last) {
+      // Jarak waktu minimal 1 detik supaya jitter timestamp tidak
+      // menghasilkan laju yang tidak masuk akal
+      const seconds = Math.max((time - last.time) / 1000, 1);
+      const rate = Math.abs(value - last.value) / seconds;
+      if (rate > config.maxRatePerSecond) {
+        return {
+          method: "rate",
+          reason: `Rate of change ${round(rate)}°C/s exceeds ${
+            config.maxRatePerSecond
+          }°C/s`,
+        };
+      }
+    }
+
+    if (
+      this.methods.includes("median") &&
+      history.length >= config.medianWindow - 1
+    ) {
+      const window = [...history.slice(-(config.medianWindow - 1)), value];
+      const center = median(window);
+      if (Math.abs(value - center) > config.medianMaxDeviation) {
+        return {
+          method: "median",
+          reason: `${value}°C deviates ${round(
+            Math.abs(value - center)
+          )}°C from median-of-${config.medianWindow} ${round(center)}°C`,
+        };
+      }
+    }
+
+    if (this.methods.includes("hampel") && history.length >= 3) {
+      const window = history.slice(-config.hampelWindow);
+      const center = median(window);
+      const mad = median(window.map((item) => Math.abs(item - center)));
+      const threshold = Math.max(
+        config.hampelK * 1.4826 * mad,
+        config.hampelMinDeviation
+      );
+      if (Math.abs(value - center) > threshold) {
+        return {
+          method: "hampel",
+          reason: `${value}°C is a Hampel outlier (median ${round(
+            center
+          )}°C, threshold ±${round(threshold)}°C)`,
+        };
+      }
+    }
+
+    return null;
+  }
+
+  accept(state, value, time) {
+    state.history.push(value);
+    if (state.history.length > this.historySize) state.history.shift();
+    state.last = { value, time };
+    state.flagged = [];
+    this.passedCount++;
+  }
+
+  getStatus() {
+    return {
+      methods: this.methods,
+      config: this.config,
+      passedCount: this.passedCount,
+      flaggedCounts: { ...this.flaggedCounts },
+    };
+  }
+}
@@ -0,0 +1,30 @@
+import fs from "fs";
+import path from "path";
+
+// Checkpoint state JSON di disk. Ditulis ke file sementara lalu di-rename
+// supaya file di disk selalu versi lengkap (lama atau baru), tidak pernah
+// setengah jadi walaupun proses mati saat menulis.
+export const readStateCheckpoint = (file) => {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(`❌ Checkpoint ${file} unreadable:`, error.message);
+    }
+    return null;
+  }
+};
+
+export const writeStateCheckpoint = (file, data, { fsync = false } = {}) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const temp = `${file}.tmp`;
+  const fd = fs.openSync(temp, "w");
+  try {
+    fs.writeSync(fd, JSON.stringify(data));
+    if (fsync) fs.fdatasyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(temp, file);
+};
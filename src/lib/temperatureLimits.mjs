@@ -0,0 +1,83 @@
+// Batas suhu proses pengeringan per sensor (bukan range validasi reading,
+// lihat readingValidation.mjs). Dipakai untuk menghitung berapa detik setiap
+// slot 10 menit berada di atas / di bawah batas.
+//
+// Konfigurasi dari env (opsional, batas yang tidak diisi tidak dihitung):
+//   TEMPERATURE_LIMITS='{
+//     "default": {"low": 60, "high": 85},
+//     "sensors": {"dryer_1": {"high": 90}, "ambient_*": {"low": null, "high": null}}
+//   }'
+// Urutan pencarian: sensors (nama persis, lalu prefix "xxx*"), lalu default.
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+const checkLimits = (limits, label) => {
+  if (limits === null || typeof limits !== "object" || Array.isArray(limits)) {
+    throw new Error(`${label} must be an object`);
+  }
+  for (const key of ["low", "high"]) {
+    if (
+      limits[key] !== undefined &&
+      limits[key] !== null &&
+      !isNumber(limits[key])
+    ) {
+      throw new Error(`${label}.${key} must be a number or null`);
+    }
+  }
+  if (
+    isNumber(limits.low) &&
+    isNumber(limits.high) &&
+    limits.low >= limits.high
+  ) {
+    throw new Error(`${label}.low must be below ${label}.high`);
+  }
+};
+
+export const loadTemperatureLimits = (env = process.env) => {
+  let rules = {};
+  if (env.TEMPERATURE_LIMITS) {
+    try {
+      rules = JSON.parse(env.TEMPERATURE_LIMITS);
+    } catch (error) {
+      throw new Error(`TEMPERATURE_LIMITS is not valid JSON: ${error.message}`);
+    }
+    if (rules === null || typeof rules !== "object" || Array.isArray(rules)) {
+      throw new Error("TEMPERATURE_LIMITS must be a JSON object");
+    }
+  }
+
+  const defaultLimits = { low: null, high: null, ...rules.default };
+  checkLimits(defaultLimits, "default");
+
+  const exact = new Map();
+  const prefixes = [];
+  Object.entries(rules.sensors || {}).forEach(([key, limits]) => {
+    checkLimits(limits, `sensors.${key}`);
+    if (key.endsWith("*")) {
+      prefixes.push({ prefix: key.slice(0, -1), limits });
+    } else {
+      exact.set(key, limits);
+    }
+  });
+  // Prefix terpanjang menang
+  prefixes.sort((a, b) => b.prefix.length - a.prefix.length);
+
+  return {
+    // Hasil: { low, high } (null = tidak ada batas)
+    resolve(sensorId) {
+      const sensorLimits =
+        exact.get(sensorId) ||
+        prefixes.find(({ prefix }) => sensorId?.startsWith(prefix))?.limits ||
+        {};
+
+      // undefined = ikut default, null = batas dimatikan untuk sensor ini
+      return {
+        low:
+          sensorLimits.low !== undefined ? sensorLimits.low : defaultLimits.low,
+        high:
+          sensorLimits.high !== undefined
+            ? sensorLimits.high
+            : defaultLimits.high,
+      };
+    },
+  };
+};
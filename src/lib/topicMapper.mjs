@@ -0,0 +1,119 @@
+// Pemetaan topic MQTT -> identitas sensor.
+// Aturan ditulis sebagai template topic dengan placeholder bernama, contoh:
+//   "factory/{lineId}/dryer/{dryerId}/suhu"
+// Template di-compile menjadi filter subscription MQTT ("factory/+/dryer/+/suhu")
+// dan segmen placeholder diambil sebagai tag untuk setiap reading.
+
+const PLACEHOLDER = /^\{([A-Za-z_][A-Za-z0-9_]*)\}$/;
+
+export const compileTopicRule = (rule) => {
+  const { topic: template, sensorId = null } =
+    typeof rule === "string" ? { topic: rule } : rule || {};
+
+  if (typeof template !== "string" || template.trim() === "") {
+    throw new Error("Topic rule must have a non-empty topic template");
+  }
+
+  const segments = template.trim().split("/");
+  const filterSegments = [];
+  const captures = [];
+
+  segments.forEach((segment, index) => {
+    const placeholder = segment.match(PLACEHOLDER);
+
+    if (placeholder) {
+      filterSegments.push("+");
+      captures.push({ index, name: placeholder[1] });
+    } else if (segment === "#") {
+      if (index !== segments.length - 1) {
+        throw new Error(`"#" must be the last segment in ${template}`);
+      }
+      filterSegments.push("#");
+    } else if (segment === "+") {
+      filterSegments.push("+");
+    } else if (segment.includes("+") || segment.includes("#")) {
+      throw new Error(
+        `Invalid wildcard in segment "${segment}" of ${template}`
+      );
+    } else {
+      filterSegments.push(segment);
+    }
+  });
+
+  return {
+    template,
+    filter: filterSegments.join("/"),
+    segments: filterSegments,
+    captures,
+    sensorId,
+  };
+};
+
+const matchSegments = (filterSegments, topicSegments) => {
+  for (let i = 0; i < filterSegments.length; i++) {
+    const filter = filterSegments[i];
+    if (filter === "#") return true;
+    if (i >= topicSegments.length) return false;
+    if (filter !== "+" && filter !== topicSegments[i]) return false;
+  }
+  return filterSegments.length === topicSegments.length;
+};
+
+const renderTemplate = (template, tags) =>
+  template.replace(/\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (_, name) =>
+    tags[name] !== undefined ? tags[name] : ""
+  );
+
+// Rules dari env:
+//   MQTT_TOPIC_RULES='[{"topic":"factory/{lineId}/dryer/{dryerId}/suhu","sensorId":"{lineId}-{dryerId}"}]'
+// atau fallback ke MQTT_TOPIC (boleh berisi placeholder, dipisah koma)
+export const loadTopicRules = (env = process.env) => {
+  if (env.MQTT_TOPIC_RULES) {
+    let rules;
+    try {
+      rules = JSON.parse(env.MQTT_TOPIC_RULES);
+    } catch (error) {
+      throw new Error(`MQTT_TOPIC_RULES is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(rules) || rules.length === 0) {
+      throw new Error("MQTT_TOPIC_RULES must be a non-empty JSON array");
+    }
+    return rules;
+  }
+
+  return (env.MQTT_TOPIC || "esp32/suhu")
+    .split(",")
+    .map((topic) => topic.trim())
+    .filter(Boolean);
+};
+
+export const createTopicMapper = (rules) => {
+  const compiled = rules.map(compileTopicRule);
+
+  return {
+    rules: compiled,
+    subscriptions: [...new Set(compiled.map((rule) => rule.filter))],
+
+    // Return null kalau topic tidak cocok dengan rule manapun
+    match(topic) {
+      const topicSegments = topic.split("/");
+
+      for (const rule of compiled) {
+        if (!matchSegments(rule.segments, topicSegments)) continue;
+
+        const tags = {};
+        rule.captures.forEach(({ index, name }) => {
+          tags[name] = topicSegments[index];
+        });
+
+        return {
+          rule: rule.template,
+          tags,
+          sensorId: rule.sensorId ? renderTemplate(rule.sensorId, tags) : null,
+        };
+      }
+
+      return null;
+    },
+  };
+};
@@ -1,6 +1,8 @@
 import fs from "fs/promises";
 import path from "path";
 import bcrypt from "bcryptjs";
+import { getReadingValidator } from "./readingValidation.mjs";
+import { getZonedParts } from "./factoryTime.mjs";
 
 // VALIDATION UTILITIES
 export const validateEmail = (email) => {
@@ -12,9 +14,10 @@ export const validatePassword = (password) => {
   return password && password.length >= 6;
 };
 
-export const validateTemperature = (temp) => {
+// PERBAIKAN: Range dari modul validasi bersama (per sensor / jenis sensor)
+export const validateTemperature = (temp, sensorId = null) => {
   const temperature = parseFloat(temp);
-  return !isNaN(temperature) && temperature >= -50 && temperature <= 150;
+  return getReadingValidator().validate({ temperature, sensorId }).ok;
 };
 
 export const validateDateString = (dateString) => {
@@ -106,14 +109,15 @@ export const getFileSize = async (filePath) => {
 };
 
 // FORMAT UTILITIES
+// PERBAIKAN: Dalam zona waktu pabrik (FACTORY_TIMEZONE)
 export const formatDate = (date, format = "YYYY-MM-DD") => {
-  const d = new Date(date);
-  const year = d.getFullYear();
-  const month = String(d.getMonth() + 1).padStart(2, "0");
-  const day = String(d.getDate()).padStart(2, "0");
-  const hours = String(d.getHours()).padStart(2, "0");
-  const minutes = String(d.getMinutes()).padStart(2, "0");
-  const seconds = String(d.getSeconds()).padStart(2, "0");
+  const parts = getZonedParts(date);
+  const year = parts.year;
+  const month = String(parts.month).padStart(2, "0");
+  const day = String(parts.day).padStart(2, "0");
+  const hours = String(parts.hour).padStart(2, "0");
+  const minutes = String(parts.minute).padStart(2, "0");
+  const seconds = String(parts.second).padStart(2, "0");
 
   return format
     .replace("YYYY", year)
@@ -7,6 +7,7 @@ import {
   getDefaultAdminCredentials,
   logger,
 } from "../lib/utils.mjs";
+import { findDeviceByApiKey } from "../lib/deviceCredentials.mjs";
 
 const prisma = new PrismaClient();
 
@@ -225,6 +226,20 @@ export const verifyToken = async (req, res, next) => {
   }
 };
 
+// PERBAIKAN: Batasi endpoint ke role tertentu (dipakai setelah verifyToken)
+export const requireRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({
+        error: "Forbidden",
+        message: `Requires role: ${roles.join(" or ")}`,
+      });
+    }
+
+    next();
+  };
+
 // Rate limiting
 export const createRateLimit = (
   windowMs,
@@ -327,20 +342,38 @@ export const optionalAuth = async (req, res, next) => {
 };
 
 // Basic API key middleware
-export const verifyApiKey = (req, res, next) => {
+// PERBAIKAN: Selain INTERNAL_API_KEY bersama, terima API key per device.
+// req.apiClient = { type: "internal" } atau { type: "device", deviceId }
+export const verifyApiKey = async (req, res, next) => {
   const apiKey = req.headers["x-api-key"];
   const validApiKey = process.env.INTERNAL_API_KEY;
 
-  if (!validApiKey) {
-    return next(); // Skip if not configured
+  if (validApiKey && apiKey === validApiKey) {
+    req.apiClient = { type: "internal" };
+    return next();
   }
 
-  if (!apiKey || apiKey !== validApiKey) {
-    return res.status(401).json({
-      error: "Invalid API key",
-      message: "Valid API key required in X-API-Key header",
-    });
+  if (apiKey) {
+    try {
+      const deviceId = await findDeviceByApiKey(apiKey);
+      if (deviceId) {
+        req.apiClient = { type: "device", deviceId };
+        return next();
+      }
+    } catch (error) {
+      logger.error("Device API key lookup failed", { error: error.message });
+      return res.status(503).json({
+        error: "Service unavailable",
+        message: "Unable to verify API key",
+      });
+    }
+  } else if (!validApiKey) {
+    return next(); // Skip if not configured
   }
 
-  next();
+  logger.warn("Invalid API key", { ip: req.ip, path: req.originalUrl });
+  return res.status(401).json({
+    error: "Invalid API key",
+    message: "Valid API key required in X-API-Key header",
+  });
 };
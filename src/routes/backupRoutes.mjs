@@ -14,6 +14,7 @@ router.get(
       return await prisma.sixHourExport.findMany({
         select: {
           id: true,
+          sensorId: true,
           batchId: true,
           startTime: true,
           endTime: true,
@@ -21,6 +22,14 @@ router.get(
           avgTemp: true,
           minTemp: true,
           maxTemp: true,
+          avgHumidity: true,
+          minHumidity: true,
+          maxHumidity: true,
+          stdDevTemp: true,
+          p5Temp: true,
+          p95Temp: true,
+          secondsBelowLimit: true,
+          secondsAboveLimit: true,
           isReady: true,
           downloadNotified: true,
           createdAt: true,
@@ -45,6 +54,7 @@ router.get(
   "/six-hour/:batchId/download/:format",
   asyncHandler(async (req, res) => {
     const { batchId, format } = req.params;
+    const { sensorId } = req.query;
 
     if (!["csv", "excel"].includes(format)) {
       return res.status(400).json({
@@ -56,8 +66,9 @@ router.get(
     const { db } = await import("../lib/database.mjs");
 
     const exportRecord = await db.withRetry(async (prisma) => {
-      return await prisma.sixHourExport.findUnique({
-        where: { batchId },
+      return await prisma.sixHourExport.findFirst({
+        where: { batchId, ...(sensorId ? { sensorId } : {}) },
+        orderBy: { sensorId: "asc" },
       });
     });
 
@@ -151,6 +162,14 @@ router.get(
           avgDailyTemp: true,
           minDailyTemp: true,
           maxDailyTemp: true,
+          avgDailyHumidity: true,
+          minDailyHumidity: true,
+          maxDailyHumidity: true,
+          stdDevDailyTemp: true,
+          p5DailyTemp: true,
+          p95DailyTemp: true,
+          secondsBelowLimit: true,
+          secondsAboveLimit: true,
           exportedAt: true,
         },
         orderBy: { date: "desc" },
@@ -0,0 +1,190 @@
+import express from "express";
+import {
+  asyncHandler,
+  AppError,
+  NotFoundError,
+  ValidationError,
+} from "../middleware/errorMiddleware.mjs";
+import { verifyToken, requireRole } from "../middleware/authMiddleware.mjs";
+import {
+  SENSOR_PAYLOAD_SCHEMA,
+  validateSensorPayload,
+} from "../lib/sensorPayload.mjs";
+import { applyCalibration, validateCalibration } from "../lib/calibration.mjs";
+import { parseFactoryDateTime } from "../lib/factoryTime.mjs";
+
+// Kalibrasi sensor per kuartal (QA). Profil tidak pernah diedit: kalibrasi
+// baru ditambahkan dengan validFrom, kalibrasi salah dicabut. Kalibrasi
+// berlaku untuk reading yang masuk setelah dibuat; data tersimpan dihitung
+// ulang lewat re-agregasi (/api/reaggregations, "recalibrate": true).
+const router = express.Router();
+
+router.use(verifyToken);
+
+const getCalibrationService = (req) => {
+  const { calibrationService } = req.services || {};
+  if (!calibrationService) {
+    throw new AppError("Calibration service not available", 503);
+  }
+  return calibrationService;
+};
+
+const validateSensorId = (sensorId) => {
+  const errors = validateSensorPayload(
+    { sensorId },
+    { sensorId: { ...SENSOR_PAYLOAD_SCHEMA.sensorId, required: true } }
+  );
+  if (errors.length > 0) {
+    throw new ValidationError(errors[0]);
+  }
+};
+
+const parseDate = (value, name) => {
+  if (value === undefined || value === null) return undefined;
+  const date = parseFactoryDateTime(value);
+  if (!date) {
+    throw new ValidationError(`${name} must be a valid date`);
+  }
+  return date;
+};
+
+// PERBAIKAN: Kalibrasi yang berlaku sekarang untuk semua sensor
+router.get(
+  "/",
+  asyncHandler(async (req, res) => {
+    const calibrationService = getCalibrationService(req);
+    await calibrationService.ready;
+
+    const profiles = calibrationService.getCurrentProfiles();
+
+    res.json({
+      success: true,
+      message: "Kalibrasi aktif berhasil diambil",
+      data: profiles,
+      count: profiles.length,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// PERBAIKAN: Riwayat kalibrasi satu sensor (audit), termasuk yang dicabut
+router.get(
+  "/:sensorId",
+  asyncHandler(async (req, res) => {
+    const calibrationService = getCalibrationService(req);
+    const { sensorId } = req.params;
+    validateSensorId(sensorId);
+
+    await calibrationService.ready;
+    const history = await calibrationService.getHistory(sensorId);
+
+    res.json({
+      success: true,
+      message: `Riwayat kalibrasi ${sensorId} berhasil diambil`,
+      data: history,
+      count: history.length,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// Cek hasil kalibrasi untuk nilai mentah tertentu: ?value=85.2&at=<tanggal>
+router.get(
+  "/:sensorId/preview",
+  asyncHandler(async (req, res) => {
+    const calibrationService = getCalibrationService(req);
+    const { sensorId } = req.params;
+    validateSensorId(sensorId);
+
+    const value = parseFloat(req.query.value);
+    if (Number.isNaN(value)) {
+      throw new ValidationError("value must be a number");
+    }
+    const at = parseDate(req.query.at, "at") || new Date();
+
+    await calibrationService.ready;
+    const profile = calibrationService.getProfile(sensorId, at);
+
+    res.json({
+      success: true,
+      message: profile
+        ? `Kalibrasi #${profile.id} diterapkan`
+        : `Tidak ada kalibrasi untuk ${sensorId} pada waktu tersebut`,
+      data: {
+        sensorId,
+        at: at.toISOString(),
+        rawTemperature: value,
+        temperature: applyCalibration(profile, value),
+        calibrationId: profile?.id ?? null,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// PERBAIKAN: Tambah kalibrasi baru (admin)
+// Body linear: { "type": "linear", "offset": -0.8, "gain": 1.002, "validFrom": "2025-01-01", "note": "Cert QA-2025-01" }
+// Body tabel:  { "type": "table", "points": [[20, 20.4], [80, 79.1], [150, 148.7]], "validFrom": "2025-01-01" }
+router.post(
+  "/:sensorId",
+  requireRole("admin"),
+  asyncHandler(async (req, res) => {
+    const calibrationService = getCalibrationService(req);
+    const { sensorId } = req.params;
+    validateSensorId(sensorId);
+
+    const { type, offset, gain, points, note } = req.body || {};
+    const errors = validateCalibration({ type, offset, gain, points });
+    if (note !== undefined && typeof note !== "string") {
+      errors.push("note must be a string");
+    }
+    if (errors.length > 0) {
+      throw new ValidationError("Invalid calibration", errors);
+    }
+
+    const validFrom = parseDate(req.body.validFrom, "validFrom") || new Date();
+
+    const calibration = await calibrationService.createCalibration(
+      sensorId,
+      { type, offset, gain, points, validFrom, note },
+      { createdBy: req.user?.username || null }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Kalibrasi ${sensorId} ditambahkan, berlaku mulai ${validFrom.toISOString()}`,
+      data: calibration,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// PERBAIKAN: Cabut kalibrasi (admin). Baris tetap ada untuk audit.
+router.delete(
+  "/:sensorId/:id",
+  requireRole("admin"),
+  asyncHandler(async (req, res) => {
+    const calibrationService = getCalibrationService(req);
+    const { sensorId } = req.params;
+    validateSensorId(sensorId);
+
+    const revoked = await calibrationService.revokeCalibration(
+      sensorId,
+      parseInt(req.params.id) || 0,
+      { revokedBy: req.user?.username || null }
+    );
+    if (!revoked) {
+      throw new NotFoundError(
+        `No active calibration #${req.params.id} for ${sensorId}`
+      );
+    }
+
+    res.json({
+      success: true,
+      message: `Kalibrasi #${req.params.id} ${sensorId} dicabut`,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+export default router;
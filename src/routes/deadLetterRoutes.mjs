@@ -0,0 +1,184 @@
+import express from "express";
+import {
+  asyncHandler,
+  AppError,
+  NotFoundError,
+  ValidationError,
+} from "../middleware/errorMiddleware.mjs";
+import { verifyToken, requireRole } from "../middleware/authMiddleware.mjs";
+import { parseFactoryDateTime } from "../lib/factoryTime.mjs";
+import { DEAD_LETTER_STAGES } from "../services/deadLetterService.mjs";
+
+// Admin API untuk pesan sensor yang ditolak (dead letter)
+const router = express.Router();
+
+const MAX_REINJECT = 500;
+
+router.use(verifyToken, requireRole("admin"));
+
+const getDeadLetterService = (req) => {
+  const { deadLetterService } = req.services || {};
+  if (!deadLetterService) {
+    throw new AppError("Dead letter service not available", 503);
+  }
+  return deadLetterService;
+};
+
+const parseDate = (value, name) => {
+  if (value === undefined || value === "") return undefined;
+  const date = parseFactoryDateTime(value);
+  if (!date) {
+    throw new ValidationError(`${name} must be a valid date`);
+  }
+  return date;
+};
+
+const parseIds = (ids) => {
+  if (ids === undefined) return undefined;
+  if (
+    !Array.isArray(ids) ||
+    ids.length === 0 ||
+    !ids.every((id) => Number.isInteger(id) && id > 0)
+  ) {
+    throw new ValidationError("ids must be a non-empty array of entry IDs");
+  }
+  return ids;
+};
+
+// Filter: ?stage=&source=&sensorId=&topic=&status=&from=&to=
+// Parameter kosong (?sensorId=) dianggap tidak ada
+const parseFilters = (query) => {
+  const optional = (value) => (value === "" ? undefined : value);
+  const stage = optional(query.stage);
+  const source = optional(query.source);
+  const sensorId = optional(query.sensorId);
+  const topic = optional(query.topic);
+  const status = optional(query.status);
+
+  if (stage && !DEAD_LETTER_STAGES.includes(stage)) {
+    throw new ValidationError(
+      `stage must be one of: ${DEAD_LETTER_STAGES.join(", ")}`
+    );
+  }
+
+  return {
+    stage,
+    source,
+    sensorId,
+    topic,
+    status,
+    from: parseDate(query.from, "from"),
+    to: parseDate(query.to, "to"),
+  };
+};
+
+// PERBAIKAN: Daftar dead letter dengan filter dan paging
+router.get(
+  "/",
+  asyncHandler(async (req, res) => {
+    const deadLetterService = getDeadLetterService(req);
+    const filters = parseFilters(req.query);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const { entries, total } = await deadLetterService.list(filters, {
+      limit,
+      offset,
+    });
+
+    res.json({
+      success: true,
+      message: "Daftar dead letter berhasil diambil",
+      data: entries,
+      count: entries.length,
+      total,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.get(
+  "/:id",
+  asyncHandler(async (req, res) => {
+    const deadLetterService = getDeadLetterService(req);
+    const entry = await deadLetterService.get(parseInt(req.params.id) || 0);
+
+    if (!entry) {
+      throw new NotFoundError("Dead letter not found");
+    }
+
+    res.json({
+      success: true,
+      message: "Dead letter berhasil diambil",
+      data: entry,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// PERBAIKAN: Hapus dead letter berdasarkan filter (query) atau
+// body { "ids": [1, 2] }. Tanpa filter harus ?all=true.
+router.delete(
+  "/",
+  asyncHandler(async (req, res) => {
+    const deadLetterService = getDeadLetterService(req);
+    const filters = {
+      ...parseFilters(req.query),
+      ids: parseIds(req.body?.ids),
+    };
+
+    // PERBAIKAN: Dicek dari where yang benar-benar dipakai purge, filter
+    // yang diabaikan buildWhere tidak boleh lolos sebagai filter
+    const hasFilter =
+      Object.keys(deadLetterService.buildWhere(filters)).length > 0;
+    if (!hasFilter && req.query.all !== "true") {
+      throw new ValidationError(
+        "Provide a filter or ids, or all=true to purge every entry"
+      );
+    }
+
+    const deleted = await deadLetterService.purge(filters);
+
+    res.json({
+      success: true,
+      message: `${deleted} dead letter dihapus`,
+      data: { deleted },
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// PERBAIKAN: Injeksi ulang entry terpilih ke pipeline setelah perbaikan
+// Body: { "ids": [1, 2, 3] }
+router.post(
+  "/reinject",
+  asyncHandler(async (req, res) => {
+    const deadLetterService = getDeadLetterService(req);
+    const ids = parseIds(req.body?.ids);
+
+    if (!ids) {
+      throw new ValidationError("ids is required");
+    }
+    if (ids.length > MAX_REINJECT) {
+      throw new ValidationError(
+        `Too many entries: ${ids.length} (max ${MAX_REINJECT})`
+      );
+    }
+
+    const results = await deadLetterService.reinject(ids);
+    const accepted = results.filter((result) => result.accepted).length;
+
+    res.json({
+      success: accepted === results.length,
+      message: `${accepted} dari ${results.length} dead letter berhasil diinjeksi ulang`,
+      data: {
+        accepted,
+        rejected: results.length - accepted,
+        results,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+export default router;
@@ -0,0 +1,299 @@
+import express from "express";
+import {
+  asyncHandler,
+  AppError,
+  NotFoundError,
+  ValidationError,
+} from "../middleware/errorMiddleware.mjs";
+import { verifyToken, requireRole } from "../middleware/authMiddleware.mjs";
+import {
+  SENSOR_PAYLOAD_SCHEMA,
+  validateSensorPayload,
+} from "../lib/sensorPayload.mjs";
+import { DEVICE_COMMANDS, validateCommand } from "../lib/deviceCommands.mjs";
+import {
+  issueDeviceApiKey,
+  issueDeviceSecret,
+  listDeviceCredentials,
+  revokeDeviceApiKey,
+  revokeDeviceSecret,
+} from "../lib/deviceCredentials.mjs";
+
+const router = express.Router();
+
+const getPresenceService = (req) => {
+  const { presenceService } = req.services || {};
+  if (!presenceService) {
+    throw new AppError("Presence service not available", 503);
+  }
+  return presenceService;
+};
+
+const getCommandService = (req) => {
+  const { commandService } = req.services || {};
+  if (!commandService) {
+    throw new AppError("Command service not available", 503);
+  }
+  return commandService;
+};
+
+// Device ID dipakai di topic MQTT, jadi aturannya sama dengan sensorId
+const validateDeviceId = (deviceId) => {
+  const errors = validateSensorPayload(
+    { deviceId },
+    { deviceId: { ...SENSOR_PAYLOAD_SCHEMA.sensorId, required: true } }
+  );
+  if (errors.length > 0) {
+    throw new ValidationError(errors[0]);
+  }
+};
+
+// HTTP status sesuai hasil perintah
+const COMMAND_HTTP_STATUS = {
+  acked: 200,
+  rejected: 200,
+  timed_out: 504,
+  failed: 503,
+};
+
+// PERBAIKAN: Status online/offline semua device
+router.get(
+  "/presence",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const presenceService = getPresenceService(req);
+    await presenceService.ready;
+
+    const devices = presenceService.getPresence();
+
+    res.json({
+      success: true,
+      message: "Status presence device berhasil diambil",
+      data: {
+        devices,
+        summary: presenceService.getStatus(),
+      },
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// PERBAIKAN: Riwayat perubahan status satu device
+router.get(
+  "/presence/:deviceId/history",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const presenceService = getPresenceService(req);
+    const { deviceId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    const transitions = await presenceService.getTransitions(deviceId, limit);
+
+    res.json({
+      success: true,
+      message: `Riwayat presence ${deviceId} berhasil diambil`,
+      data: transitions,
+      count: transitions.length,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// PERBAIKAN: Daftar perintah yang didukung
+router.get(
+  "/commands",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      message: "Daftar perintah device",
+      data: DEVICE_COMMANDS,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// PERBAIKAN: Status satu perintah berdasarkan correlation ID
+router.get(
+  "/commands/:correlationId",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const commandService = getCommandService(req);
+    const command = await commandService.getCommand(req.params.correlationId);
+
+    if (!command) {
+      throw new NotFoundError("Command not found");
+    }
+
+    res.json({
+      success: true,
+      message: "Status perintah berhasil diambil",
+      data: command,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// PERBAIKAN: Kirim perintah ke device dan tunggu ack (admin saja)
+// Body: { "command": "set_interval", "params": { "seconds": 10 } }
+router.post(
+  "/:id/commands",
+  verifyToken,
+  requireRole("admin"),
+  asyncHandler(async (req, res) => {
+    const commandService = getCommandService(req);
+    const { id: deviceId } = req.params;
+    const { command, params = {} } = req.body || {};
+
+    validateDeviceId(deviceId);
+
+    const errors = validateCommand(command, params);
+    if (errors.length > 0) {
+      throw new ValidationError("Invalid command", errors);
+    }
+
+    const result = await commandService.sendCommand(deviceId, command, params, {
+      requestedBy: req.user?.username || null,
+    });
+
+    const messages = {
+      acked: `Perintah ${command} dikonfirmasi oleh ${deviceId}`,
+      rejected: `Perintah ${command} ditolak oleh ${deviceId}`,
+      timed_out: `Tidak ada ack dari ${deviceId} untuk perintah ${command}`,
+      failed: "Perintah gagal dikirim: MQTT tidak terhubung",
+    };
+
+    res.status(COMMAND_HTTP_STATUS[result.status] || 202).json({
+      success: result.status === "acked",
+      message: messages[result.status] || `Perintah ${command} dikirim`,
+      data: result,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// PERBAIKAN: Riwayat perintah satu device
+router.get(
+  "/:id/commands",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const commandService = getCommandService(req);
+    const { id: deviceId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    validateDeviceId(deviceId);
+
+    const commands = await commandService.listCommands(deviceId, limit);
+
+    res.json({
+      success: true,
+      message: `Riwayat perintah ${deviceId} berhasil diambil`,
+      data: commands,
+      count: commands.length,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// PERBAIKAN: Kredensial device untuk broker MQTT embedded (admin saja)
+router.get(
+  "/credentials",
+  verifyToken,
+  requireRole("admin"),
+  asyncHandler(async (req, res) => {
+    const credentials = await listDeviceCredentials();
+
+    res.json({
+      success: true,
+      message: "Daftar kredensial device berhasil diambil",
+      data: credentials,
+      count: credentials.length,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// Buat (atau ganti) secret device. Secret hanya ditampilkan sekali.
+router.post(
+  "/:id/credentials",
+  verifyToken,
+  requireRole("admin"),
+  asyncHandler(async (req, res) => {
+    const { id: deviceId } = req.params;
+    validateDeviceId(deviceId);
+
+    const secret = await issueDeviceSecret(deviceId);
+
+    res.status(201).json({
+      success: true,
+      message: `Kredensial ${deviceId} dibuat. Simpan secret ini, tidak bisa ditampilkan lagi.`,
+      data: { deviceId, username: deviceId, password: secret },
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.delete(
+  "/:id/credentials",
+  verifyToken,
+  requireRole("admin"),
+  asyncHandler(async (req, res) => {
+    const { id: deviceId } = req.params;
+    validateDeviceId(deviceId);
+
+    const revoked = await revokeDeviceSecret(deviceId);
+    if (!revoked) {
+      throw new NotFoundError(`No active credentials for ${deviceId}`);
+    }
+
+    res.json({
+      success: true,
+      message: `Kredensial ${deviceId} dicabut`,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// PERBAIKAN: API key untuk ingest HTTP (POST /api/ingest/readings).
+// Key hanya ditampilkan sekali.
+router.post(
+  "/:id/api-key",
+  verifyToken,
+  requireRole("admin"),
+  asyncHandler(async (req, res) => {
+    const { id: deviceId } = req.params;
+    validateDeviceId(deviceId);
+
+    const apiKey = await issueDeviceApiKey(deviceId);
+
+    res.status(201).json({
+      success: true,
+      message: `API key ${deviceId} dibuat. Simpan key ini, tidak bisa ditampilkan lagi.`,
+      data: { deviceId, apiKey, header: "X-API-Key" },
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+router.delete(
+  "/:id/api-key",
+  verifyToken,
+  requireRole("admin"),
+  asyncHandler(async (req, res) => {
+    const { id: deviceId } = req.params;
+    validateDeviceId(deviceId);
+
+    const revoked = await revokeDeviceApiKey(deviceId);
+    if (!revoked) {
+      throw new NotFoundError(`No API key for ${deviceId}`);
+    }
+
+    res.json({
+      success: true,
+      message: `API key ${deviceId} dicabut`,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+export default router;
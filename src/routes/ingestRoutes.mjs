@@ -0,0 +1,266 @@
+import express from "express";
+import rateLimit from "express-rate-limit";
+import {
+  asyncHandler,
+  AppError,
+  ValidationError,
+} from "../middleware/errorMiddleware.mjs";
+import { verifyApiKey } from "../middleware/authMiddleware.mjs";
+import { DEFAULT_SENSOR_ID, parseSensorObject } from "../lib/sensorPayload.mjs";
+
+// Ingest HTTP untuk device yang tidak bisa MQTT (data logger, PLC gateway).
+// Format reading sama dengan payload JSON MQTT:
+//   {"sensorId":"dryer_2","temperature":85.2,"humidity":40.1,"ts":1735689600,"msgId":"abc"}
+// Body boleh satu reading, array reading, atau {"readings":[...]}.
+//
+// Autentikasi lewat header X-API-Key:
+// - API key device: sensorId default = deviceId, sensorId lain ditolak
+// - INTERNAL_API_KEY: boleh kirim untuk sensorId mana saja
+//
+// Backfill (POST /backfill) untuk reading yang tersimpan di device selama
+// offline; setiap reading wajib membawa "ts":
+//   {"sensorId":"dryer_2","batchId":"b-42","readings":[{"temperature":85.2,"ts":1735689600}, ...]}
+
+const router = express.Router();
+
+// Env dibaca per request, bukan saat import (server.mjs memanggil
+// dotenv.config() setelah semua import dievaluasi)
+const getMaxBatchSize = () => parseInt(process.env.INGEST_MAX_BATCH) || 500;
+
+// Device bisa kirim tiap beberapa detik, jadi limit-nya terpisah dari
+// limiter global. Sebelum autentikasi dibatasi per IP (API key karangan
+// tidak dapat kuota baru), setelah key valid dibatasi per device.
+const ingestIpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: () => parseInt(process.env.INGEST_IP_RATE_LIMIT_MAX) || 5000,
+  message: {
+    error: "Too many ingest requests, please slow down.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const ingestLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: () => parseInt(process.env.INGEST_RATE_LIMIT_MAX) || 1000,
+  keyGenerator: (req) =>
+    req.apiClient.type === "device"
+      ? `device:${req.apiClient.deviceId}`
+      : req.apiClient.type,
+  message: {
+    error: "Too many ingest requests, please slow down.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const requireApiClient = (req, res, next) => {
+  // verifyApiKey melewatkan request tanpa key kalau INTERNAL_API_KEY
+  // tidak diset; ingest selalu butuh key
+  if (!req.apiClient) {
+    return res.status(401).json({
+      error: "API key required",
+      message: "Device API key required in X-API-Key header",
+    });
+  }
+  next();
+};
+
+const extractReadings = (body) => {
+  if (Array.isArray(body)) return body;
+  if (body && Array.isArray(body.readings)) return body.readings;
+  if (body && typeof body === "object") return [body];
+  return null;
+};
+
+const resolveSensorId = (apiClient, requestedSensorId) => {
+  if (apiClient.type !== "device") {
+    return { sensorId: requestedSensorId || DEFAULT_SENSOR_ID };
+  }
+
+  if (requestedSensorId && requestedSensorId !== apiClient.deviceId) {
+    return {
+      error: `sensorId "${requestedSensorId}" does not belong to device ${apiClient.deviceId}`,
+    };
+  }
+
+  return { sensorId: apiClient.deviceId };
+};
+
+// PERBAIKAN: Terima satu reading atau batch dari device lewat HTTP
+router.post(
+  "/readings",
+  ingestIpLimiter,
+  verifyApiKey,
+  requireApiClient,
+  ingestLimiter,
+  asyncHandler(async (req, res) => {
+    const { mqttService, deadLetterService } = req.services || {};
+    if (!mqttService) {
+      throw new AppError("Ingest service not available", 503);
+    }
+
+    const readings = extractReadings(req.body);
+    if (!readings || readings.length === 0) {
+      throw new ValidationError(
+        "Body must be a reading, an array of readings, or { readings: [...] }"
+      );
+    }
+
+    const maxBatchSize = getMaxBatchSize();
+    if (readings.length > maxBatchSize) {
+      throw new ValidationError(
+        `Batch too large: ${readings.length} readings (max ${maxBatchSize})`
+      );
+    }
+
+    const results = [];
+
+    // Berurutan supaya reading masuk ke buffer menit sesuai urutan kirim
+    for (const [index, payload] of readings.entries()) {
+      const parsed = parseSensorObject(payload);
+      if (!parsed.ok) {
+        results.push({ index, accepted: false, reason: parsed.reason });
+        deadLetterService?.record({
+          source: "http",
+          sensorId: req.apiClient.deviceId || null,
+          payload,
+          stage: "invalid_payload",
+          reason: parsed.reason,
+        });
+        continue;
+      }
+
+      const { sensorId, error } = resolveSensorId(
+        req.apiClient,
+        parsed.reading.sensorId
+      );
+      if (error) {
+        results.push({ index, accepted: false, reason: error });
+        continue;
+      }
+
+      const outcome = await mqttService.ingestReading(
+        {
+          ...parsed.reading,
+          sensorId,
+          tags:
+            req.apiClient.type === "device"
+              ? { deviceId: req.apiClient.deviceId }
+              : {},
+        },
+        { source: "http", payload }
+      );
+
+      if (!outcome.accepted && !outcome.duplicate && !outcome.spooled) {
+        deadLetterService?.record({
+          source: "http",
+          sensorId,
+          payload,
+          stage: outcome.stage,
+          reason: outcome.reason,
+        });
+      }
+
+      results.push(
+        outcome.accepted
+          ? {
+              index,
+              accepted: true,
+              sensorId,
+              late: outcome.result.late,
+              filtered: outcome.result.filtered || undefined,
+              timestamp: outcome.result.timestamp,
+            }
+          : {
+              index,
+              accepted: false,
+              sensorId,
+              duplicate: outcome.duplicate || undefined,
+              reason: outcome.reason,
+            }
+      );
+    }
+
+    const accepted = results.filter((result) => result.accepted).length;
+    const rejected = results.length - accepted;
+
+    // 200 kalau semua diterima, 207 kalau sebagian, 422 kalau semua ditolak
+    const status = rejected === 0 ? 200 : accepted > 0 ? 207 : 422;
+
+    res.status(status).json({
+      success: rejected === 0,
+      message: `${accepted} reading diterima, ${rejected} ditolak`,
+      data: {
+        accepted,
+        rejected,
+        results,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// PERBAIKAN: Backfill reading historis dari device yang sempat offline.
+// Reading ditempatkan di menit aslinya, yang sudah tersimpan dihitung
+// duplicate, dan slot agregat yang terdampak dihitung ulang.
+router.post(
+  "/backfill",
+  ingestIpLimiter,
+  verifyApiKey,
+  requireApiClient,
+  ingestLimiter,
+  asyncHandler(async (req, res) => {
+    const { mqttService, deadLetterService } = req.services || {};
+    if (!mqttService) {
+      throw new AppError("Ingest service not available", 503);
+    }
+
+    const body = req.body;
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+      throw new ValidationError(
+        'Body must be { "sensorId": ..., "readings": [...] }'
+      );
+    }
+
+    const { sensorId, error } = resolveSensorId(req.apiClient, body.sensorId);
+    if (error) {
+      throw new ValidationError(error);
+    }
+
+    const outcome = await mqttService.ingestBackfill(
+      req.apiClient.deviceId || null,
+      body,
+      { source: "http", sensorId }
+    );
+
+    if (!outcome.accepted) {
+      deadLetterService?.record({
+        source: "http_backfill",
+        sensorId,
+        payload: body,
+        stage: outcome.stage,
+        reason: outcome.reason,
+      });
+
+      if (outcome.stage === "invalid_payload") {
+        throw new ValidationError(outcome.reason);
+      }
+      throw new AppError(`Backfill failed: ${outcome.reason}`, 503);
+    }
+
+    const { accepted, duplicates, rejected } = outcome.summary;
+
+    // Duplicate bukan kegagalan: device boleh kirim ulang batch yang sama
+    const status = rejected === 0 ? 200 : accepted + duplicates > 0 ? 207 : 422;
+
+    res.status(status).json({
+      success: rejected === 0,
+      message: `${accepted} reading di-backfill, ${duplicates} duplicate, ${rejected} ditolak`,
+      data: outcome.summary,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+export default router;
@@ -0,0 +1,138 @@
+import express from "express";
+import {
+  asyncHandler,
+  AppError,
+  NotFoundError,
+  ValidationError,
+} from "../middleware/errorMiddleware.mjs";
+import { verifyToken, requireRole } from "../middleware/authMiddleware.mjs";
+import {
+  SENSOR_PAYLOAD_SCHEMA,
+  validateSensorPayload,
+} from "../lib/sensorPayload.mjs";
+import { parseFactoryDateTime } from "../lib/factoryTime.mjs";
+
+// Admin API re-agregasi: hitung ulang agregasi 10 menit (dan export 6 jam /
+// backup harian yang sudah ada) dari baris menit tersimpan. Default dry run;
+// kirim "dryRun": false untuk menerapkan. CLI: npm run reaggregate.
+const router = express.Router();
+
+router.use(verifyToken, requireRole("admin"));
+
+const getReaggregationService = (req) => {
+  const { reaggregationService } = req.services || {};
+  if (!reaggregationService) {
+    throw new AppError("Re-aggregation service not available", 503);
+  }
+  return reaggregationService;
+};
+
+// PERBAIKAN: Re-agregasi satu sensor dalam rentang waktu
+// Body: { "sensorId": "dryer_1", "from": "2025-01-15T06:00", "to": "2025-01-15T12:00",
+//         "recalibrate": true, "dryRun": false, "reason": "Kalibrasi QA-2025-01 diperbaiki" }
+router.post(
+  "/",
+  asyncHandler(async (req, res) => {
+    const reaggregationService = getReaggregationService(req);
+    const {
+      sensorId,
+      recalibrate = false,
+      dryRun = true,
+      reason,
+    } = req.body || {};
+
+    const errors = validateSensorPayload(
+      { sensorId },
+      { sensorId: { ...SENSOR_PAYLOAD_SCHEMA.sensorId, required: true } }
+    );
+    if (req.body?.from === undefined) errors.push("from is required");
+    if (req.body?.to === undefined) errors.push("to is required");
+    if (typeof recalibrate !== "boolean") {
+      errors.push("recalibrate must be a boolean");
+    }
+    if (typeof dryRun !== "boolean") errors.push("dryRun must be a boolean");
+    if (reason !== undefined && typeof reason !== "string") {
+      errors.push("reason must be a string");
+    }
+    if (errors.length > 0) {
+      throw new ValidationError("Invalid re-aggregation request", errors);
+    }
+
+    const from = parseFactoryDateTime(req.body.from);
+    const to = parseFactoryDateTime(req.body.to);
+    const rangeErrors = reaggregationService.validateRange({ from, to });
+    if (rangeErrors.length > 0) {
+      throw new ValidationError(rangeErrors[0]);
+    }
+
+    const result = await reaggregationService.reaggregate({
+      sensorId,
+      from,
+      to,
+      recalibrate,
+      dryRun,
+      reason: reason ?? null,
+      requestedBy: req.user?.username || null,
+      source: "api",
+    });
+
+    if (!result.success) {
+      throw new AppError(result.reason, 409);
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      message: dryRun
+        ? `Dry run: ${result.slots.created} slot baru, ${result.slots.updated} slot berubah`
+        : `Re-agregasi #${result.revisionId} diterapkan: ${result.slots.created} slot baru, ${result.slots.updated} slot berubah`,
+      data: result,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// PERBAIKAN: Riwayat re-agregasi (?sensorId=&limit=)
+router.get(
+  "/",
+  asyncHandler(async (req, res) => {
+    const reaggregationService = getReaggregationService(req);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    const revisions = await reaggregationService.listRevisions({
+      sensorId: req.query.sensorId || null,
+      limit,
+    });
+
+    res.json({
+      success: true,
+      message: "Riwayat re-agregasi berhasil diambil",
+      data: revisions,
+      count: revisions.length,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+// Detail satu revisi beserta nilai sebelum / sesudah setiap slot
+router.get(
+  "/:id",
+  asyncHandler(async (req, res) => {
+    const reaggregationService = getReaggregationService(req);
+    const revision = await reaggregationService.getRevision(
+      parseInt(req.params.id) || 0
+    );
+
+    if (!revision) {
+      throw new NotFoundError("Revision not found");
+    }
+
+    res.json({
+      success: true,
+      message: `Revisi re-agregasi #${revision.id} berhasil diambil`,
+      data: revision,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
+export default router;
@@ -1,12 +1,76 @@
 import express from "express";
 import {
   asyncHandler,
+  AppError,
   ValidationError,
 } from "../middleware/errorMiddleware.mjs";
 import { verifyToken } from "../middleware/authMiddleware.mjs";
+import {
+  addDays,
+  parseFactoryDate,
+  parseFactoryDateTime,
+  startOfDay,
+} from "../lib/factoryTime.mjs";
 
 const router = express.Router();
 
+// Agregasi 10 menit disimpan 7 hari secara default (ROLLUP_RETENTION)
+const MAX_COMPLETENESS_RANGE_DAYS = 7;
+
+// PERBAIKAN: Data historis untuk rentang bebas; tier (1m / 10m / 1h / 1d)
+// dipilih otomatis dari rentang dan retensi, atau dipaksa lewat ?tier=
+// ?from=2025-01-01&to=2025-02-01&sensorId=dryer_1&tier=auto
+router.get(
+  "/history",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const { rollupService } = req.services || {};
+    if (!rollupService) {
+      throw new AppError("Rollup service not available", 503);
+    }
+
+    const parseDate = (value, name) => {
+      const date = parseFactoryDateTime(value);
+      if (!date) {
+        throw new ValidationError(`${name} must be a valid date`);
+      }
+      return date;
+    };
+
+    if (!req.query.from) {
+      throw new ValidationError("from is required");
+    }
+    const from = parseDate(req.query.from, "from");
+    const to = req.query.to ? parseDate(req.query.to, "to") : new Date();
+    if (from >= to) {
+      throw new ValidationError("from must be before to");
+    }
+
+    const tier = req.query.tier || "auto";
+    if (tier !== "auto" && !rollupService.getTier(tier)) {
+      throw new ValidationError(
+        `tier must be auto or one of: ${rollupService.tiers
+          .map((item) => item.name)
+          .join(", ")}`
+      );
+    }
+
+    const history = await rollupService.getHistory({
+      from,
+      to,
+      sensorId: req.query.sensorId || null,
+      tier,
+    });
+
+    res.json({
+      success: true,
+      message: `Data historis tier ${history.tier} berhasil diambil`,
+      data: history,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
 // Getting Historical data
 router.get(
   "/history/:date",
@@ -21,9 +85,9 @@ router.get(
         }`
       );
 
-      // Validasi format tanggal
-      const targetDate = new Date(date);
-      if (isNaN(targetDate.getTime())) {
+      // Validasi format tanggal (hari di zona waktu pabrik)
+      const targetDate = parseFactoryDate(date);
+      if (!targetDate) {
         return res.status(400).json({
           success: false,
           message: "Format tanggal tidak valid. Gunakan format YYYY-MM-DD",
@@ -61,11 +125,8 @@ router.get(
         console.log(`🔍 No backup found for ${date}, checking aggregates...`);
 
         // Data belum dibackup, coba ambil dari agregasi
-        const startDate = new Date(date);
-        startDate.setHours(0, 0, 0, 0);
-
-        const endDate = new Date(startDate);
-        endDate.setDate(endDate.getDate() + 1);
+        const startDate = targetDate;
+        const endDate = addDays(startDate, 1);
 
         const aggregateData = await db.withRetry(async (prisma) => {
           return await prisma.temperatureAggregate.findMany({
@@ -148,7 +209,7 @@ router.get(
 
       // Get recent readings from database
       const recentReadings = await db.withRetry(async (prisma) => {
-        return await prisma.temperatureBuffer.findMany({
+        return await prisma.temperatureReading.findMany({
           where: {
             timestamp: {
               gte: new Date(Date.now() - 10 * 60 * 1000), // Last 10 minutes
@@ -180,14 +241,18 @@ router.get(
       // Process real data - ambil reading terbaru
       const latestReading = recentReadings[0];
 
-      console.log(`✅ Retrieved real data: ${latestReading.suhu}°C`);
+      console.log(`✅ Retrieved real data: ${latestReading.temperature}°C`);
 
       res.json({
         success: true,
         message: "Current temperature data retrieved from ESP32",
         data: {
-          temperature: latestReading.suhu,
-          humidity: latestReading.humidity || 0,
+          temperature: latestReading.temperature,
+          // PERBAIKAN: Nilai sebelum kalibrasi
+          rawTemperature:
+            latestReading.rawTemperature ?? latestReading.temperature,
+          // PERBAIKAN: Kelembaban terukur; null jika sensor tidak mengirim
+          humidity: latestReading.humidity,
           isConnected: true,
           timestamp: latestReading.timestamp.toISOString(),
           lastUpdate: latestReading.timestamp.toISOString(),
@@ -236,7 +301,7 @@ router.get(
 
       // Get the most recent temperature reading
       const latestReading = await db.withRetry(async (prisma) => {
-        return await prisma.temperatureBuffer.findFirst({
+        return await prisma.temperatureReading.findFirst({
           orderBy: { timestamp: "desc" },
         });
       });
@@ -305,7 +370,7 @@ router.get(
 
       // Get recent readings from database (last 10 data points)
       const recentReadings = await db.withRetry(async (prisma) => {
-        return await prisma.temperatureBuffer.findMany({
+        return await prisma.temperatureReading.findMany({
           where: {
             timestamp: {
               gte: new Date(Date.now() - 60 * 60 * 1000), // Last 1 hour
@@ -374,10 +439,9 @@ router.get(
 
       console.log(`📈 Aggregate data requested by user: ${req.user?.username}`);
 
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      const tomorrow = new Date(today);
-      tomorrow.setDate(tomorrow.getDate() + 1);
+      // PERBAIKAN: "Hari ini" menurut zona waktu pabrik
+      const today = startOfDay();
+      const tomorrow = addDays(today, 1);
 
       const aggregateData = await db.withRetry(async (prisma) => {
         return await prisma.temperatureAggregate.findMany({
@@ -398,6 +462,7 @@ router.get(
         });
       }
 
+      const temperatureService = req.services?.temperatureService;
       const dailyStats = {
         totalSlots: aggregateData.length,
         avgTemp:
@@ -409,6 +474,14 @@ router.get(
           (sum, item) => sum + item.sampleCount,
           0
         ),
+        // PERBAIKAN: Simpangan baku, P5 / P95 (dari menit hari ini) dan
+        // detik di luar batas
+        ...(temperatureService
+          ? temperatureService.calculateDistributionSummary(
+              aggregateData,
+              await temperatureService.loadSummaryTemperatures(aggregateData)
+            )
+          : {}),
       };
 
       res.json({
@@ -576,7 +649,7 @@ router.post(
 
       console.log(`🔧 MQTT reconnect forced by user: ${req.user?.username}`);
 
-      mqttService.forceReconnect();
+      await mqttService.forceReconnect();
 
       res.json({
         success: true,
@@ -616,9 +689,9 @@ router.get(
         backupCount,
         errorCount,
       ] = await Promise.all([
-        db.withRetry(async (prisma) => prisma.temperatureBuffer.count()),
+        db.withRetry(async (prisma) => prisma.temperatureMinute.count()),
         db.withRetry(async (prisma) =>
-          prisma.temperatureBuffer.count({ where: { isProcessed: false } })
+          prisma.temperatureMinute.count({ where: { isProcessed: false } })
         ),
         db.withRetry(async (prisma) =>
           prisma.temperatureAggregate.count({ where: { isExported: false } })
@@ -664,6 +737,53 @@ router.get(
   })
 );
 
+// PERBAIKAN: Kelengkapan data per sensor dan per hari + daftar gap
+// ?from=2025-01-15&to=2025-01-16&sensorId=dryer_1 (default: hari ini)
+router.get(
+  "/completeness",
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const { temperatureService } = req.services || {};
+    if (!temperatureService) {
+      throw new AppError("Temperature service not available", 503);
+    }
+
+    const parseDate = (value, name) => {
+      const date = parseFactoryDateTime(value);
+      if (!date) {
+        throw new ValidationError(`${name} must be a valid date`);
+      }
+      return date;
+    };
+
+    const today = startOfDay();
+    const from = req.query.from ? parseDate(req.query.from, "from") : today;
+    const to = req.query.to ? parseDate(req.query.to, "to") : new Date();
+
+    if (from >= to) {
+      throw new ValidationError("from must be before to");
+    }
+    if (to - from > MAX_COMPLETENESS_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+      throw new ValidationError(
+        `Range must not exceed ${MAX_COMPLETENESS_RANGE_DAYS} days`
+      );
+    }
+
+    const completeness = await temperatureService.getCompleteness({
+      from,
+      to,
+      sensorId: req.query.sensorId || null,
+    });
+
+    res.json({
+      success: true,
+      message: "Kelengkapan data berhasil dihitung",
+      data: completeness,
+      timestamp: new Date().toISOString(),
+    });
+  })
+);
+
 // PERBAIKAN: Tambah route realtime stats yang hilang
 router.get(
   "/realtime/stats",
@@ -677,16 +797,11 @@ router.get(
           connected: mqttService?.isConnected || false,
           lastTemperature: mqttService?.getLastTemperature() || 0,
           hasRecentData: mqttService?.hasRecentData() || false,
-          queueSize: mqttService?.saveQueue?.length || 0,
+          queueSize: mqttService?.spool?.depth || 0,
         },
         temperature: {
-          bufferSize: temperatureService?.state?.bufferData?.length || 0,
-          minuteCount: temperatureService?.state?.minuteDataCount || 0,
-          currentMinute: temperatureService?.state?.currentMinuteStartTime
-            ? temperatureService.formatMinute(
-                temperatureService.state.currentMinuteStartTime
-              )
-            : null,
+          bufferSize: temperatureService?.getBufferSize() || 0,
+          sensors: temperatureService?.getSensorSummaries() || [],
           lastProcessedSlot:
             temperatureService?.state?.lastProcessedSlot || null,
           isProcessing: temperatureService?.state?.isProcessing || false,
@@ -728,7 +843,7 @@ router.get(
 
       // Get latest temperature reading
       const latestReading = await db.withRetry(async (prisma) => {
-        return await prisma.temperatureBuffer.findFirst({
+        return await prisma.temperatureReading.findFirst({
           orderBy: { timestamp: "desc" },
         });
       });
@@ -810,7 +925,7 @@ router.get("/realtime/stats", async (req, res) => {
     const { db } = await import("../lib/database.mjs");
 
     // Get recent readings for stats
-    const recentReadings = await db.temperatureBuffer.findMany({
+    const recentReadings = await db.temperatureReading.findMany({
       where: {
         timestamp: {
           gte: new Date(Date.now() - 60 * 60 * 1000), // Last hour
@@ -883,8 +998,8 @@ router.get("/suhu", async (req, res) => {
 
     const { db } = await import("../lib/database.mjs");
 
-    // Ambil data terbaru dari buffer
-    const latest = await db.temperatureBuffer.findFirst({
+    // Ambil reading mentah terbaru
+    const latest = await db.temperatureReading.findFirst({
       orderBy: { timestamp: "desc" },
       take: 1,
     });
@@ -906,10 +1021,10 @@ router.get("/suhu", async (req, res) => {
       success: true,
       message: "Temperature data retrieved",
       data: {
-        temperature: latest.suhu,
+        temperature: latest.temperature,
         isConnected: true,
         timestamp: latest.timestamp.toISOString(),
-        humidity: latest.humidity || 0,
+        humidity: latest.humidity,
         dryerId: latest.dryerId,
       },
     });
@@ -932,8 +1047,8 @@ router.get("/history/:date", async (req, res) => {
     const { db } = await import("../lib/database.mjs");
 
     // Parse date parameter
-    const targetDate = new Date(date);
-    if (isNaN(targetDate.getTime())) {
+    const targetDate = parseFactoryDate(date);
+    if (!targetDate) {
       return res.status(400).json({
         success: false,
         message: "Invalid date format",
@@ -941,10 +1056,8 @@ router.get("/history/:date", async (req, res) => {
       });
     }
 
-    const startOfDay = new Date(targetDate);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(targetDate);
-    endOfDay.setHours(23, 59, 59, 999);
+    const startOfDay = targetDate;
+    const endOfDay = new Date(addDays(targetDate, 1).getTime() - 1);
 
     // Try to get aggregate data first
     const aggregateData = await db.temperatureAggregate.findMany({
@@ -975,8 +1088,8 @@ router.get("/history/:date", async (req, res) => {
       });
     }
 
-    // If no aggregate data, try raw data and calculate averages
-    const rawData = await db.temperatureBuffer.findMany({
+    // If no aggregate data, try minute averages and calculate daily stats
+    const rawData = await db.temperatureMinute.findMany({
       where: {
         timestamp: {
           gte: startOfDay,
@@ -1045,11 +1158,11 @@ router.get("/status", async (req, res) => {
     const { db } = await import("../lib/database.mjs");
 
     // Get database status
-    const bufferCount = await db.temperatureBuffer.count();
+    const bufferCount = await db.temperatureMinute.count();
     const aggregateCount = await db.temperatureAggregate.count();
 
     // Get latest data
-    const latestBuffer = await db.temperatureBuffer.findFirst({
+    const latestBuffer = await db.temperatureMinute.findFirst({
       orderBy: { timestamp: "desc" },
     });
 
@@ -8,10 +8,28 @@ import rateLimit from "express-rate-limit";
 import { db } from "./lib/database.mjs";
 import { MQTTService } from "./services/mqttService.mjs";
 import { TemperatureService } from "./services/dataService.mjs";
+import { PresenceService } from "./services/presenceService.mjs";
+import { CommandService } from "./services/commandService.mjs";
+import { DeadLetterService } from "./services/deadLetterService.mjs";
+import { CalibrationService } from "./services/calibrationService.mjs";
+import { RollupService } from "./services/rollupService.mjs";
+import { ReaggregationService } from "./services/reaggregationService.mjs";
+import {
+  addDays,
+  getFactoryHour,
+  getZonedParts,
+  startOfDay,
+  zonedTimeToDate,
+} from "./lib/factoryTime.mjs";
 import authRoutes from "./routes/auth.mjs";
 import sensorRoutes from "./routes/sensor.mjs";
 import healthRoutes from "./routes/healthRoutes.mjs";
 import backupRoutes from "./routes/backupRoutes.mjs";
+import deviceRoutes from "./routes/deviceRoutes.mjs";
+import ingestRoutes from "./routes/ingestRoutes.mjs";
+import deadLetterRoutes from "./routes/deadLetterRoutes.mjs";
+import calibrationRoutes from "./routes/calibrationRoutes.mjs";
+import reaggregationRoutes from "./routes/reaggregationRoutes.mjs";
 import {
   errorHandler,
   notFoundHandler,
@@ -33,13 +51,17 @@ const io = new SocketIOServer(server, {
 const PORT = process.env.PORT || 3000;
 
 // PERBAIKAN: Global error handling
+// Checkpoint buffer ditulis dulu supaya reading yang belum tersimpan
+// dipulihkan saat start berikutnya
 process.on("uncaughtException", (error) => {
   console.error("🚨 Uncaught Exception:", error);
+  temperatureService?.writeCheckpoint();
   process.exit(1);
 });
 
 process.on("unhandledRejection", (reason, promise) => {
   console.error("🚨 Unhandled Rejection at:", promise, "reason:", reason);
+  temperatureService?.writeCheckpoint();
   process.exit(1);
 });
 
@@ -75,6 +97,8 @@ const limiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  // Ingest device punya limiter sendiri (routes/ingestRoutes.mjs)
+  skip: (req) => req.path.startsWith("/api/ingest"),
 });
 
 app.use(limiter);
@@ -86,6 +110,12 @@ app.use((req, res, next) => {
   req.services = {
     temperatureService: app.locals.temperatureService,
     mqttService: app.locals.mqttService,
+    presenceService: app.locals.presenceService,
+    commandService: app.locals.commandService,
+    deadLetterService: app.locals.deadLetterService,
+    calibrationService: app.locals.calibrationService,
+    rollupService: app.locals.rollupService,
+    reaggregationService: app.locals.reaggregationService,
   };
   next();
 });
@@ -93,6 +123,12 @@ app.use((req, res, next) => {
 // PERBAIKAN: Initialize services dengan proper order
 let temperatureService;
 let mqttService;
+let presenceService;
+let commandService;
+let deadLetterService;
+let calibrationService;
+let rollupService;
+let reaggregationService;
 
 async function initializeServices() {
   try {
@@ -101,9 +137,38 @@ async function initializeServices() {
 
     console.log("🔧 Initializing TemperatureService...");
     temperatureService = new TemperatureService();
+    // Tunggu pemulihan checkpoint buffer sebelum MQTT mulai mengirim data
+    await temperatureService.ready;
+
+    console.log("🔧 Initializing RollupService...");
+    rollupService = new RollupService(temperatureService);
+    temperatureService.setRollupService(rollupService);
+
+    console.log("🔧 Initializing PresenceService...");
+    presenceService = new PresenceService(io);
+
+    console.log("🔧 Initializing CalibrationService...");
+    calibrationService = new CalibrationService();
 
     console.log("🔧 Initializing MQTT Service...");
-    mqttService = new MQTTService(temperatureService, io);
+    mqttService = new MQTTService(temperatureService, io, presenceService);
+    // Di-set sebelum await supaya pesan pertama sudah terkalibrasi
+    mqttService.setCalibrationService(calibrationService);
+    await mqttService.brokerReady;
+
+    console.log("🔧 Initializing CommandService...");
+    commandService = new CommandService(mqttService);
+    mqttService.setCommandService(commandService);
+
+    console.log("🔧 Initializing DeadLetterService...");
+    deadLetterService = new DeadLetterService(mqttService);
+    mqttService.setDeadLetterService(deadLetterService);
+
+    console.log("🔧 Initializing ReaggregationService...");
+    reaggregationService = new ReaggregationService(
+      temperatureService,
+      calibrationService
+    );
 
     // PERBAIKAN: Set global IO untuk notifikasi export
     global.io = io;
@@ -111,6 +176,12 @@ async function initializeServices() {
     // PERBAIKAN: Make services available to routes
     app.locals.temperatureService = temperatureService;
     app.locals.mqttService = mqttService;
+    app.locals.presenceService = presenceService;
+    app.locals.commandService = commandService;
+    app.locals.deadLetterService = deadLetterService;
+    app.locals.calibrationService = calibrationService;
+    app.locals.rollupService = rollupService;
+    app.locals.reaggregationService = reaggregationService;
 
     console.log("✅ All services initialized successfully");
 
@@ -138,11 +209,19 @@ function setupSocketIO() {
       },
     });
 
+    // PERBAIKAN: Kirim status presence device saat ini
+    if (presenceService) {
+      socket.emit("devicePresenceSnapshot", {
+        devices: presenceService.getPresence(),
+        timestamp: new Date().toISOString(),
+      });
+    }
+
     // Handle client requests
     socket.on("requestCurrentData", async () => {
       try {
         const currentTemp = mqttService?.getLastTemperature() || 0;
-        const bufferSize = temperatureService?.state?.bufferData?.length || 0;
+        const bufferSize = temperatureService?.getBufferSize() || 0;
 
         socket.emit("currentData", {
           temperature: currentTemp,
@@ -157,11 +236,9 @@ function setupSocketIO() {
 
     socket.on("requestAggregateData", async () => {
       try {
-        // Get today's aggregate data
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        const tomorrow = new Date(today);
-        tomorrow.setDate(tomorrow.getDate() + 1);
+        // Get today's aggregate data (hari pabrik)
+        const today = startOfDay();
+        const tomorrow = addDays(today, 1);
 
         const aggregateData = await db.withRetry(async (prisma) => {
           return await prisma.temperatureAggregate.findMany({
@@ -193,6 +270,11 @@ app.use("/api/auth", authRoutes);
 app.use("/api/sensor", sensorRoutes);
 app.use("/api/health", healthRoutes);
 app.use("/api/backup", backupRoutes);
+app.use("/api/devices", deviceRoutes);
+app.use("/api/ingest", ingestRoutes);
+app.use("/api/dead-letters", deadLetterRoutes);
+app.use("/api/calibrations", calibrationRoutes);
+app.use("/api/reaggregations", reaggregationRoutes);
 
 // PERBAIKAN: System info endpoint dengan 6-hour export status
 app.get("/api/system/info", async (req, res) => {
@@ -209,7 +291,8 @@ app.get("/api/system/info", async (req, res) => {
         mqtt: mqttService ? mqttService.getStatus() : { connected: false },
         temperature: {
           status: temperatureService ? "active" : "inactive",
-          bufferSize: temperatureService?.state?.bufferData?.length || 0,
+          bufferSize: temperatureService?.getBufferSize() || 0,
+          sensors: temperatureService?.getSensorSummaries() || [],
           lastProcessed: temperatureService?.state?.lastSavedMinute || null,
           lastSixHourExport:
             temperatureService?.exportConfig?.lastSixHourExport || null,
@@ -272,7 +355,7 @@ app.get("/api/system/six-hour-exports/pending", async (req, res) => {
 // PERBAIKAN: Helper function untuk kalkulasi next export
 function calculateNextExport() {
   const now = new Date();
-  const currentHour = now.getHours();
+  const currentHour = getFactoryHour(now);
   let nextExportHour;
 
   if (currentHour < 6) {
@@ -285,13 +368,14 @@ function calculateNextExport() {
     nextExportHour = 24; // Next day at 00:00
   }
 
-  const nextExport = new Date(now);
-  if (nextExportHour === 24) {
-    nextExport.setDate(nextExport.getDate() + 1);
-    nextExport.setHours(0, 0, 0, 0);
-  } else {
-    nextExport.setHours(nextExportHour, 0, 0, 0);
-  }
+  // zonedTimeToDate menormalisasi jam 24 ke 00:00 hari berikutnya
+  const { year, month, day } = getZonedParts(now);
+  const nextExport = zonedTimeToDate({
+    year,
+    month,
+    day,
+    hour: nextExportHour,
+  });
 
   return nextExport.toISOString();
 }
@@ -301,40 +385,64 @@ app.use(notFoundHandler);
 app.use(errorHandler);
 
 // PERBAIKAN: Graceful shutdown
+let shuttingDown = false;
+
 async function gracefulShutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
   console.log(`\n🛑 Received ${signal}. Starting graceful shutdown...`);
 
+  // Force close after 30 seconds. Buffer menit tetap di-checkpoint supaya
+  // tidak hilang walaupun flush belum selesai.
+  setTimeout(() => {
+    console.error("❌ Forced shutdown after timeout");
+    temperatureService?.writeCheckpoint();
+    process.exit(1);
+  }, 30000);
+
   try {
-    // Stop accepting new connections
-    server.close(async () => {
-      console.log("🔌 HTTP server closed");
-
-      // Disconnect services
-      if (mqttService) {
-        await mqttService.disconnect();
-        console.log("🔌 MQTT service disconnected");
-      }
+    // Stop accepting new connections. io.close() memutus client Socket.IO
+    // (yang menahan server.close) lalu menutup HTTP server.
+    const httpClosed = new Promise((resolve) => {
+      io.close(() => {
+        console.log("🔌 HTTP server closed");
+        resolve();
+      });
+    });
 
-      if (temperatureService) {
-        await temperatureService.shutdown();
-        console.log("🔌 Temperature service stopped");
-      }
+    // Service dihentikan tanpa menunggu koneksi HTTP yang masih terbuka
+    if (commandService) {
+      commandService.cleanup();
+    }
 
-      // Disconnect database
-      await db.disconnect();
-      console.log("🔌 Database disconnected");
+    if (deadLetterService) {
+      deadLetterService.cleanup();
+    }
 
-      console.log("✅ Graceful shutdown completed");
-      process.exit(0);
-    });
+    if (rollupService) {
+      rollupService.cleanup();
+    }
+
+    if (mqttService) {
+      await mqttService.shutdown();
+      console.log("🔌 MQTT service disconnected");
+    }
+
+    if (temperatureService) {
+      await temperatureService.shutdown();
+      console.log("🔌 Temperature service stopped");
+    }
+
+    // Disconnect database
+    await db.disconnect();
+    console.log("🔌 Database disconnected");
 
-    // Force close after 30 seconds
-    setTimeout(() => {
-      console.error("❌ Forced shutdown after timeout");
-      process.exit(1);
-    }, 30000);
+    await httpClosed;
+    console.log("✅ Graceful shutdown completed");
+    process.exit(0);
   } catch (error) {
     console.error("❌ Error during shutdown:", error);
+    temperatureService?.writeCheckpoint();
     process.exit(1);
   }
 }
@@ -363,4 +471,16 @@ async function startServer() {
 // Start the server
 startServer();
 
-export { app, server, io, temperatureService, mqttService };
+export {
+  app,
+  server,
+  io,
+  temperatureService,
+  mqttService,
+  presenceService,
+  commandService,
+  deadLetterService,
+  calibrationService,
+  rollupService,
+  reaggregationService,
+};
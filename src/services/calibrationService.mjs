@@ -0,0 +1,170 @@
+import { db } from "../lib/database.mjs";
+import { DEFAULT_SENSOR_ID } from "../lib/sensorPayload.mjs";
+import { applyCalibration, normalizePoints } from "../lib/calibration.mjs";
+
+// Kalibrasi per sensor, diterapkan di ingest sebelum reading masuk ke
+// TemperatureService. Profil yang berlaku untuk sebuah reading adalah
+// profil aktif (belum dicabut) dengan validFrom terakhir <= waktu reading,
+// jadi backfill / reading terlambat memakai kalibrasi yang berlaku saat itu.
+export class CalibrationService {
+  constructor() {
+    this.profiles = new Map(); // sensorId -> [profile], urut validFrom naik
+    this.appliedCount = 0;
+    this.ready = this.loadProfiles();
+  }
+
+  // Cache semua profil aktif supaya ingest tidak query database per reading
+  async loadProfiles() {
+    try {
+      const rows = await db.withRetry(async (prisma) => {
+        return await prisma.sensorCalibration.findMany({
+          where: { revokedAt: null },
+          orderBy: { validFrom: "asc" },
+        });
+      });
+
+      this.profiles.clear();
+      rows.forEach((row) => {
+        const list = this.profiles.get(row.sensorId) || [];
+        list.push(this.toProfile(row));
+        this.profiles.set(row.sensorId, list);
+      });
+
+      console.log(
+        `✅ Calibration profiles loaded: ${rows.length} profile(s) for ${this.profiles.size} sensor(s)`
+      );
+    } catch (error) {
+      console.error("❌ Failed to load calibration profiles:", error.message);
+    }
+  }
+
+  toProfile(row) {
+    let points = null;
+    if (row.points) {
+      try {
+        points = normalizePoints(JSON.parse(row.points));
+      } catch {
+        console.error(`❌ Calibration #${row.id} has unreadable points`);
+      }
+    }
+
+    return { ...row, points };
+  }
+
+  getProfile(sensorId, at = new Date()) {
+    const list = this.profiles.get(sensorId || DEFAULT_SENSOR_ID) || [];
+
+    for (let i = list.length - 1; i >= 0; i--) {
+      const profile = list[i];
+      if (profile.validFrom > at) continue;
+      // Tabel rusak: lebih aman pakai nilai mentah daripada salah hitung
+      if (profile.type === "table" && !profile.points) return null;
+      return profile;
+    }
+
+    return null;
+  }
+
+  // Hasil: reading dengan temperature terkalibrasi, rawTemperature, dan
+  // calibrationId (null kalau sensor belum punya profil)
+  async calibrate(reading, at = reading.timestamp || new Date()) {
+    await this.ready;
+
+    const rawTemperature = reading.rawTemperature ?? reading.temperature;
+    const profile = this.getProfile(reading.sensorId, at);
+
+    if (!profile || typeof rawTemperature !== "number") {
+      return { ...reading, rawTemperature, calibrationId: null };
+    }
+
+    this.appliedCount++;
+    return {
+      ...reading,
+      temperature: applyCalibration(profile, rawTemperature),
+      rawTemperature,
+      calibrationId: profile.id,
+    };
+  }
+
+  async createCalibration(
+    sensorId,
+    { type, offset, gain, points, validFrom, note },
+    { createdBy = null } = {}
+  ) {
+    const row = await db.withRetry(async (prisma) => {
+      return await prisma.sensorCalibration.create({
+        data: {
+          sensorId,
+          type,
+          offset: type === "linear" ? offset ?? 0 : 0,
+          gain: type === "linear" ? gain ?? 1 : 1,
+          points:
+            type === "table" ? JSON.stringify(normalizePoints(points)) : null,
+          validFrom,
+          note: note ?? null,
+          createdBy,
+        },
+      });
+    });
+
+    await this.loadProfiles();
+    console.log(
+      `🎯 Calibration #${
+        row.id
+      } (${type}) added for ${sensorId}, valid from ${validFrom.toISOString()}`
+    );
+
+    return this.toProfile(row);
+  }
+
+  async revokeCalibration(sensorId, id, { revokedBy = null } = {}) {
+    const result = await db.withRetry(async (prisma) => {
+      return await prisma.sensorCalibration.updateMany({
+        where: { id, sensorId, revokedAt: null },
+        data: { revokedAt: new Date(), revokedBy },
+      });
+    });
+
+    if (result.count === 0) return false;
+
+    await this.loadProfiles();
+    console.log(`🗑️ Calibration #${id} for ${sensorId} revoked`);
+    return true;
+  }
+
+  // Riwayat lengkap (termasuk yang dicabut) untuk audit, terbaru dulu
+  async getHistory(sensorId) {
+    const rows = await db.withRetry(async (prisma) => {
+      return await prisma.sensorCalibration.findMany({
+        where: { sensorId },
+        orderBy: [{ validFrom: "desc" }, { id: "desc" }],
+      });
+    });
+
+    const current = this.getProfile(sensorId);
+    return rows.map((row) => ({
+      ...this.toProfile(row),
+      status: row.revokedAt
+        ? "revoked"
+        : row.id === current?.id
+        ? "active"
+        : row.validFrom > new Date()
+        ? "scheduled"
+        : "superseded",
+    }));
+  }
+
+  // Profil yang berlaku sekarang untuk semua sensor
+  getCurrentProfiles() {
+    return [...this.profiles.keys()]
+      .map((sensorId) => this.getProfile(sensorId))
+      .filter(Boolean);
+  }
+
+  getStatus() {
+    return {
+      sensors: this.profiles.size,
+      appliedCount: this.appliedCount,
+    };
+  }
+}
@@ -0,0 +1,206 @@
+import { db } from "../lib/database.mjs";
+import {
+  createCorrelationId,
+  parseCommandAck,
+} from "../lib/deviceCommands.mjs";
+
+// Kirim perintah ke device lewat MQTT dan tunggu ack-nya.
+// Setiap perintah disimpan di tabel perintah_device dengan status:
+//   pending   -> sudah dikirim, menunggu ack
+//   acked     -> device mengkonfirmasi berhasil
+//   rejected  -> device membalas dengan status error
+//   timed_out -> tidak ada ack dalam ackTimeoutMs
+//   failed    -> gagal publish (MQTT tidak terhubung)
+export class CommandService {
+  constructor(mqttService) {
+    this.mqttService = mqttService;
+    this.pending = new Map(); // correlationId -> { deviceId, resolve, timer }
+
+    this.config = {
+      ackTimeoutMs: parseInt(process.env.COMMAND_ACK_TIMEOUT_MS) || 15000,
+    };
+
+    this.ready = this.expireStaleCommands();
+  }
+
+  // Perintah yang masih pending dari proses sebelumnya (restart) tidak akan
+  // pernah ditunggu lagi
+  async expireStaleCommands() {
+    try {
+      const result = await db.withRetry(async (prisma) => {
+        return await prisma.deviceCommand.updateMany({
+          where: { status: "pending" },
+          data: { status: "timed_out" },
+        });
+      });
+
+      if (result.count > 0) {
+        console.warn(
+          `⚠️ ${result.count} pending device command(s) marked as timed out after restart`
+        );
+      }
+    } catch (error) {
+      console.error("❌ Failed to expire stale commands:", error.message);
+    }
+  }
+
+  async sendCommand(
+    deviceId,
+    command,
+    params = {},
+    { requestedBy = null } = {}
+  ) {
+    await this.ready;
+
+    const correlationId = createCorrelationId();
+
+    await db.withRetry(async (prisma) => {
+      return await prisma.deviceCommand.create({
+        data: {
+          correlationId,
+          deviceId,
+          command,
+          params: JSON.stringify(params),
+          status: "pending",
+          requestedBy,
+        },
+      });
+    });
+
+    const ack = this.waitForAck(correlationId, deviceId);
+
+    const published = await this.mqttService.publishCommand(deviceId, {
+      id: correlationId,
+      command,
+      params,
+      ts: Math.floor(Date.now() / 1000),
+    });
+
+    if (!published) {
+      this.clearPending(correlationId);
+      return await this.updateCommand(correlationId, { status: "failed" });
+    }
+
+    console.log(
+      `📨 Command ${command} sent to ${deviceId} (correlation ID: ${correlationId})`
+    );
+
+    await ack;
+    return await this.getCommand(correlationId);
+  }
+
+  waitForAck(correlationId, deviceId) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(async () => {
+        this.pending.delete(correlationId);
+        console.warn(
+          `⏰ Command ${correlationId} to ${deviceId} timed out after ${this.config.ackTimeoutMs}ms`
+        );
+        await this.updateCommand(correlationId, { status: "timed_out" }).catch(
+          (error) =>
+            console.error("❌ Failed to update command status:", error.message)
+        );
+        resolve(null);
+      }, this.config.ackTimeoutMs);
+
+      this.pending.set(correlationId, { deviceId, resolve, timer });
+    });
+  }
+
+  clearPending(correlationId) {
+    const entry = this.pending.get(correlationId);
+    if (entry) {
+      clearTimeout(entry.timer);
+      this.pending.delete(correlationId);
+    }
+    return entry;
+  }
+
+  // Dipanggil MQTTService untuk pesan di topic response device
+  async handleAck(deviceId, message) {
+    const ack = parseCommandAck(message);
+
+    if (!ack.ok) {
+      console.warn(`⚠️ Invalid command ack from ${deviceId}: ${ack.reason}`);
+      return null;
+    }
+
+    const existing = await this.getCommand(ack.correlationId);
+    if (!existing || existing.deviceId !== deviceId) {
+      console.warn(
+        `⚠️ Ack from ${deviceId} for unknown command ${ack.correlationId}`
+      );
+      return null;
+    }
+
+    const entry = this.clearPending(ack.correlationId);
+    if (!entry) {
+      // Ack terlambat (setelah timeout) tetap dicatat
+      console.warn(
+        `⚠️ Late ack from ${deviceId} for command ${ack.correlationId} (was ${existing.status})`
+      );
+    }
+
+    const updated = await this.updateCommand(ack.correlationId, {
+      status: ack.success ? "acked" : "rejected",
+      response: JSON.stringify({
+        message: ack.message,
+        result: ack.result,
+      }),
+      ackedAt: new Date(),
+    });
+
+    console.log(
+      `${ack.success ? "✅" : "❌"} Command ${ack.correlationId} ${
+        updated.status
+      } by ${deviceId}`
+    );
+
+    entry?.resolve(updated);
+    return updated;
+  }
+
+  async updateCommand(correlationId, data) {
+    const row = await db.withRetry(async (prisma) => {
+      return await prisma.deviceCommand.update({
+        where: { correlationId },
+        data,
+      });
+    });
+    return this.formatCommand(row);
+  }
+
+  async getCommand(correlationId) {
+    const row = await db.withRetry(async (prisma) => {
+      return await prisma.deviceCommand.findUnique({
+        where: { correlationId },
+      });
+    });
+    return row ? this.formatCommand(row) : null;
+  }
+
+  async listCommands(deviceId, limit = 50) {
+    const rows = await db.withRetry(async (prisma) => {
+      return await prisma.deviceCommand.findMany({
+        where: { deviceId },
+        orderBy: { createdAt: "desc" },
+        take: limit,
+      });
+    });
+    return rows.map((row) => this.formatCommand(row));
+  }
+
+  formatCommand(row) {
+    return {
+      ...row,
+      params: row.params ? JSON.parse(row.params) : {},
+      response: row.response ? JSON.parse(row.response) : null,
+    };
+  }
+
+  cleanup() {
+    for (const correlationId of [...this.pending.keys()]) {
+      this.clearPending(correlationId)?.resolve(null);
+    }
+  }
+}
@@ -2,32 +2,125 @@ import fs from "fs/promises";
 import path from "path";
 import ExcelJS from "exceljs";
 import { db } from "../lib/database.mjs";
+import { DEFAULT_SENSOR_ID } from "../lib/sensorPayload.mjs";
+import { getReadingValidator } from "../lib/readingValidation.mjs";
+import {
+  summarizeCompleteness,
+  combineCompleteness,
+} from "../lib/completeness.mjs";
+import { loadRollupConfig, parseDuration } from "../lib/rollupTiers.mjs";
+import { loadTemperatureLimits } from "../lib/temperatureLimits.mjs";
+import {
+  readStateCheckpoint,
+  writeStateCheckpoint,
+} from "../lib/stateCheckpoint.mjs";
+import {
+  addDays,
+  floorToInterval,
+  formatFactoryDate,
+  formatFactoryMinute,
+  getFactoryHour,
+  getFactoryTimezone,
+  getZonedParts,
+  parseFactoryDate,
+  startOfDay,
+  toFactoryISOString,
+  zonedTimeToDate,
+} from "../lib/factoryTime.mjs";
+
+// Kolom statistik sebaran dan batas proses di export CSV / Excel
+const DISTRIBUTION_COLUMNS = [
+  { header: "Std Dev Temp", key: "stdDevTemp", width: 12 },
+  { header: "P5 Temp", key: "p5Temp", width: 10 },
+  { header: "P95 Temp", key: "p95Temp", width: 10 },
+  { header: "Low Limit", key: "lowLimit", width: 10 },
+  { header: "High Limit", key: "highLimit", width: 10 },
+  { header: "Seconds Below", key: "secondsBelowLimit", width: 14 },
+  { header: "Seconds Above", key: "secondsAboveLimit", width: 14 },
+];
 
 export class TemperatureService {
-  constructor() {
+  // schedulers: false untuk pemakaian dari CLI (tanpa timer agregasi /
+  // export yang berjalan berdampingan dengan server)
+  constructor({ schedulers = true } = {}) {
     this.config = {
       maxBufferSize: parseInt(process.env.MAX_BUFFER_SIZE) || 1000,
       bufferThreshold: parseInt(process.env.BUFFER_CLEANUP_THRESHOLD) || 800,
       aggregateIntervalMinutes: 10,
       bufferIntervalMinutes: 1,
-      requiredAggregateCount: 10, // PERBAIKAN: Tepat 10 data untuk agregasi
+      // PERBAIKAN: Window 10 menit jam dinding ditutup timer setelah grace
+      // period (memberi waktu menit terakhir + reading terlambat masuk)
+      aggregationGraceSeconds:
+        parseInt(process.env.AGGREGATION_GRACE_SECONDS) || 90,
+      windowCheckSeconds: 30,
+      // Window kosong dicatat sebagai gap selama sensor belum diam lebih
+      // lama dari ini (sensor yang sudah dilepas tidak menghasilkan gap terus)
+      gapTrackingHours: parseInt(process.env.GAP_TRACKING_HOURS) || 24,
+      maxWindowsPerRun: 144,
+      // PERBAIKAN: Batas keterlambatan reading (timestamp device). Baris menit
+      // yang sudah diagregasi disimpan 24 jam, jadi window maksimal 24 jam.
+      lateReadingWindowMinutes: Math.min(
+        parseInt(process.env.LATE_READING_WINDOW_MINUTES) || 60,
+        24 * 60
+      ),
+      maxClockSkewSeconds: parseInt(process.env.MAX_CLOCK_SKEW_SECONDS) || 120,
+      // PERBAIKAN: Backfill dari SD/flash device. Dibatasi retensi baris menit
+      // (24 jam, lihat cleanupOldData) supaya slot bisa dihitung ulang.
+      backfillWindowHours: Math.min(
+        parseInt(process.env.BACKFILL_WINDOW_HOURS) || 24,
+        24
+      ),
+      minDeviceTimestamp: new Date("2020-01-01T00:00:00Z"),
+      // PERBAIKAN: Checkpoint buffer menit + state scheduler di disk,
+      // dipulihkan saat start (restart / crash tidak menghilangkan menit
+      // yang sedang berjalan)
+      checkpointPath:
+        process.env.BUFFER_CHECKPOINT_PATH || "./data/buffer-checkpoint.json",
+      checkpointIntervalMs:
+        parseInt(process.env.BUFFER_CHECKPOINT_INTERVAL_MS) || 1000,
+      checkpointFsync: process.env.BUFFER_CHECKPOINT_FSYNC === "true",
     };
 
+    this.validator = getReadingValidator();
+    // PERBAIKAN: Batas suhu proses untuk detik di atas / di bawah batas
+    this.temperatureLimits = loadTemperatureLimits();
+
+    // PERBAIKAN: Tier data + retensi (1m / 10m di sini, 1h / 1d di
+    // RollupService)
+    this.tiers = loadRollupConfig();
+    this.retentionMs = Object.fromEntries(
+      this.tiers.map((tier) => [tier.name, tier.retentionMs])
+    );
+    // Reading mentah (TemperatureReading) tidak ikut tier rollup
+    try {
+      this.retentionMs.raw = parseDuration(
+        process.env.RAW_READING_RETENTION || "24h"
+      );
+    } catch (error) {
+      throw new Error(`RAW_READING_RETENTION: ${error.message}`);
+    }
+    this.rollupService = null;
+
     this.state = {
-      bufferData: [], // Data real-time dalam 1 menit
+      // PERBAIKAN: State pipeline terpisah per sensor (lihat getSensorState)
+      sensors: new Map(),
       lastSavedMinute: null,
       lastProcessedSlot: null,
       isProcessing: false,
-      minuteDataCount: 0, // PERBAIKAN: Counter untuk data per menit
-      currentMinuteStartTime: null, // PERBAIKAN: Track waktu mulai menit
+      isClosingWindows: false,
+      isShuttingDown: false,
+      checkpointDirty: false,
+      lastCheckpointAt: null,
     };
 
     this.timers = {
       buffer: null,
-      aggregate: null,
+      window: null, // PERBAIKAN: Timer penutupan window 10 menit
       export: null,
       sixHourExport: null, // PERBAIKAN: Timer untuk export 6 jam
       cleanup: null, // PERBAIKAN: Timer untuk cleanup data lama
+      exportStart: null, // Timeout sampai tengah malam pertama
+      checkpoint: null, // PERBAIKAN: Timer checkpoint buffer menit
     };
 
     this.exportConfig = {
@@ -35,8 +128,66 @@ export class TemperatureService {
       lastSixHourExport: null,
     };
 
-    this.startSchedulers();
-    console.log("✅ TemperatureService initialized");
+    // CLI (schedulers: false) tidak memulihkan / menimpa checkpoint server
+    this.checkpointEnabled = schedulers;
+    this.ready = schedulers ? this.restoreCheckpoint() : Promise.resolve();
+    if (schedulers) this.startSchedulers();
+    console.log(
+      `✅ TemperatureService initialized (timezone ${getFactoryTimezone()})`
+    );
+  }
+
+  setRollupService(rollupService) {
+    this.rollupService = rollupService;
+  }
+
+  // PERBAIKAN: Ambil (atau buat) state buffer menit untuk satu sensor
+  getSensorState(sensorId) {
+    const key = sensorId || DEFAULT_SENSOR_ID;
+
+    if (!this.state.sensors.has(key)) {
+      this.state.sensors.set(key, {
+        sensorId: key,
+        bufferData: [], // Data real-time dalam 1 menit
+        minuteDataCount: 0,
+        currentMinuteStartTime: null,
+        lastSavedMinute: null,
+        lastProcessedSlot: null,
+        nextWindowStart: null, // Window 10 menit berikutnya yang belum ditutup
+        windowStateLoaded: false,
+        lastDataAt: null,
+        // Menit yang sudah dilepas dari buffer tapi belum tersimpan
+        // ([{ minuteStart, samples }], ikut checkpoint sampai tersimpan)
+        flushing: [],
+      });
+    }
+
+    return this.state.sensors.get(key);
+  }
+
+  getBufferSize() {
+    let total = 0;
+    for (const sensor of this.state.sensors.values()) {
+      total += sensor.bufferData.length;
+    }
+    return total;
+  }
+
+  getSensorSummaries() {
+    return [...this.state.sensors.values()].map((sensor) => ({
+      sensorId: sensor.sensorId,
+      bufferSize: sensor.bufferData.length,
+      minuteCount: sensor.minuteDataCount,
+      currentMinute: sensor.currentMinuteStartTime
+        ? this.formatMinute(sensor.currentMinuteStartTime)
+        : null,
+      lastSavedMinute: sensor.lastSavedMinute,
+      lastProcessedSlot: sensor.lastProcessedSlot,
+      nextWindow: sensor.nextWindowStart
+        ? this.generateTimeSlot(sensor.nextWindowStart)
+        : null,
+      pendingMinutes: sensor.flushing.length,
+    }));
   }
 
   startSchedulers() {
@@ -48,6 +199,11 @@ export class TemperatureService {
       this.processMinuteBufferIfNeeded().catch(this.handleError.bind(this));
     }, this.config.bufferIntervalMinutes * 60 * 1000);
 
+    // PERBAIKAN: Tutup window 10 menit yang sudah lewat + grace period
+    this.timers.window = setInterval(() => {
+      this.closeDueWindows().catch(this.handleError.bind(this));
+    }, this.config.windowCheckSeconds * 1000);
+
     // PERBAIKAN: Check untuk 6-hour export setiap 30 menit
     this.timers.sixHourExport = setInterval(() => {
       this.checkForSixHourExport().catch(this.handleError.bind(this));
@@ -58,6 +214,11 @@ export class TemperatureService {
       this.cleanupOldData().catch(this.handleError.bind(this));
     }, 24 * 60 * 60 * 1000); // Setiap 24 jam
 
+    // PERBAIKAN: Checkpoint buffer menit ke disk (hanya kalau berubah)
+    this.timers.checkpoint = setInterval(() => {
+      if (this.state.checkpointDirty) this.writeCheckpoint();
+    }, this.config.checkpointIntervalMs);
+
     this.scheduleDailyExport();
     console.log("✅ All schedulers started");
   }
@@ -67,473 +228,1355 @@ export class TemperatureService {
     const now = new Date();
     const currentMinute = this.formatMinute(now);
 
-    // Jika menit sudah berganti dan masih ada data di buffer
+    // Menit yang sebelumnya gagal disimpan dicoba lagi dulu (urutan menit)
+    await this.flushPendingMinutes();
+
+    for (const sensor of this.state.sensors.values()) {
+      // Jika menit sudah berganti dan masih ada data di buffer
+      if (
+        sensor.currentMinuteStartTime &&
+        currentMinute !== this.formatMinute(sensor.currentMinuteStartTime) &&
+        sensor.bufferData.length > 0
+      ) {
+        this.logInfo(
+          `⏰ Processing minute buffer for ${sensor.sensorId} due to time change`
+        );
+        await this.processCurrentMinuteBuffer(sensor.sensorId);
+
+        // Mulai menit baru
+        sensor.currentMinuteStartTime = this.getMinuteStart(now);
+      }
+    }
+  }
+
+  // PERBAIKAN: Awal window 10 menit jam dinding (zona waktu pabrik)
+  getWindowStart(date) {
+    return floorToInterval(date, this.config.aggregateIntervalMinutes);
+  }
+
+  getMinuteStart(date) {
+    const minuteStart = new Date(date);
+    minuteStart.setSeconds(0, 0);
+    return minuteStart;
+  }
+
+  // PERBAIKAN: Pakai timestamp dari device jika ada, dengan batas keterlambatan.
+  // Jam device yang belum sinkron (sebelum minDeviceTimestamp) diganti waktu terima.
+  resolveEventTime(deviceTimestamp, receivedAt) {
+    if (!deviceTimestamp) {
+      return receivedAt;
+    }
+
+    const eventTime = new Date(deviceTimestamp);
     if (
-      this.state.currentMinuteStartTime &&
-      currentMinute !== this.formatMinute(this.state.currentMinuteStartTime) &&
-      this.state.bufferData.length > 0
+      isNaN(eventTime.getTime()) ||
+      eventTime < this.config.minDeviceTimestamp
     ) {
-      this.logInfo("⏰ Processing minute buffer due to time change");
-      await this.processCurrentMinuteBuffer();
+      this.logWarn(
+        `Device clock not synchronized (${deviceTimestamp}), using receive time`
+      );
+      return receivedAt;
+    }
 
-      // Reset untuk menit baru
-      this.state.bufferData = [];
-      this.state.minuteDataCount = 0;
-      this.state.currentMinuteStartTime = new Date(now);
-      this.state.currentMinuteStartTime.setSeconds(0, 0);
+    const lagMs = receivedAt.getTime() - eventTime.getTime();
+
+    if (lagMs < -this.config.maxClockSkewSeconds * 1000) {
+      throw new Error(
+        `Reading timestamp ${eventTime.toISOString()} is in the future (clock skew > ${
+          this.config.maxClockSkewSeconds
+        }s)`
+      );
     }
+
+    if (lagMs > this.config.lateReadingWindowMinutes * 60 * 1000) {
+      throw new Error(
+        `Reading timestamp ${eventTime.toISOString()} is older than the ${
+          this.config.lateReadingWindowMinutes
+        }-minute lateness window`
+      );
+    }
+
+    // Timestamp sedikit di depan (skew kecil) dianggap waktu terima
+    return lagMs < 0 ? receivedAt : eventTime;
   }
 
-  async receiveTemperatureData(temperature) {
+  // PERBAIKAN: Terima angka polos atau objek reading hasil parseSensorPayload
+  // ({ temperature, humidity, sensorId, timestamp })
+  async receiveTemperatureData(data) {
+    const reading =
+      data !== null && typeof data === "object" ? data : { temperature: data };
+    const { temperature } = reading;
+
     try {
       const temp = parseFloat(temperature);
-      if (isNaN(temp) || temp < -50 || temp > 500) {
-        throw new Error(`Invalid temperature: ${temperature}`);
+      // PERBAIKAN: Range per sensor dari modul validasi bersama
+      const validation = this.validator.validate({
+        ...reading,
+        temperature: temp,
+        sensorId: reading.sensorId || DEFAULT_SENSOR_ID,
+      });
+      if (!validation.ok) {
+        throw new Error(validation.reason);
       }
 
-      const now = new Date();
+      const receivedAt = new Date();
+      const eventTime = this.resolveEventTime(reading.timestamp, receivedAt);
+      const minuteStart = this.getMinuteStart(eventTime);
+      const sensor = this.getSensorState(reading.sensorId);
 
-      // PERBAIKAN: Track menit saat ini
-      const currentMinute = this.formatMinute(now);
+      // PERBAIKAN: Track menit saat ini (berdasarkan waktu event)
+      const currentMinute = this.formatMinute(eventTime);
 
-      // PERBAIKAN: Reset buffer jika menit baru
+      const dataPoint = {
+        temperature: temp,
+        // PERBAIKAN: Spike yang ditandai filter (disimpan, tidak dirata-rata)
+        filterReason: reading.filterReason ?? null,
+        // Nilai sebelum kalibrasi (sama dengan temperature kalau tidak ada)
+        rawTemperature: parseFloat(reading.rawTemperature ?? temp),
+        humidity: reading.humidity ?? null,
+        sensorId: sensor.sensorId,
+        tags: reading.tags ?? {},
+        deviceTimestamp: reading.timestamp ?? null,
+        timestamp: eventTime,
+        receivedAt,
+        minute: currentMinute,
+      };
+
+      // PERBAIKAN: Reading terlambat (menitnya sudah lewat) masuk ke menit yang benar
       if (
-        !this.state.currentMinuteStartTime ||
-        currentMinute !== this.formatMinute(this.state.currentMinuteStartTime)
+        sensor.currentMinuteStartTime &&
+        minuteStart < sensor.currentMinuteStartTime
       ) {
-        this.state.currentMinuteStartTime = new Date(now);
-        this.state.currentMinuteStartTime.setSeconds(0, 0); // Set ke awal menit
+        return await this.processLateReading(sensor, dataPoint, minuteStart);
+      }
 
+      // PERBAIKAN: Reset buffer jika menit baru
+      if (
+        !sensor.currentMinuteStartTime ||
+        minuteStart > sensor.currentMinuteStartTime
+      ) {
         // Jika ada data di buffer menit sebelumnya, proses dulu
-        if (this.state.bufferData.length > 0) {
-          await this.processCurrentMinuteBuffer();
+        // (sebelum currentMinuteStartTime diganti ke menit baru). Kalau
+        // gagal (database down), error sudah dicatat dan menit itu tetap di
+        // sensor.flushing untuk dicoba lagi; reading baru tetap di-buffer.
+        if (sensor.bufferData.length > 0) {
+          try {
+            await this.processCurrentMinuteBuffer(sensor.sensorId);
+          } catch {
+            // handleError di processCurrentMinuteBuffer
+          }
         }
 
-        // Reset buffer untuk menit baru
-        this.state.bufferData = [];
-        this.state.minuteDataCount = 0;
+        sensor.currentMinuteStartTime = minuteStart;
       }
 
-      const dataPoint = {
-        temperature: temp,
-        timestamp: now,
-        minute: currentMinute,
-      };
-
       // PERBAIKAN: Tambah data ke buffer menit ini
-      this.state.bufferData.push(dataPoint);
-      this.state.minuteDataCount++;
+      sensor.bufferData.push(dataPoint);
+      sensor.minuteDataCount++;
+      this.state.checkpointDirty = true;
 
       this.logInfo(
-        `📊 Data received: ${temp}°C (Minute: ${currentMinute}, Count: ${this.state.minuteDataCount})`
+        `📊 Data received: ${temp}°C from ${sensor.sensorId} (Minute: ${currentMinute}, Count: ${sensor.minuteDataCount})`
       );
 
       return {
         success: true,
         temperature: temp,
-        bufferSize: this.state.bufferData.length,
-        minuteCount: this.state.minuteDataCount,
+        sensorId: sensor.sensorId,
+        late: false,
+        filtered: Boolean(dataPoint.filterReason),
+        bufferSize: sensor.bufferData.length,
+        minuteCount: sensor.minuteDataCount,
         currentMinute: currentMinute,
-        timestamp: now.toISOString(),
+        timestamp: eventTime.toISOString(),
       };
     } catch (error) {
       this.handleError(error, {
         context: "receiveTemperatureData",
         temperature,
+        sensorId: reading.sensorId,
       });
       throw error;
     }
   }
 
-  // PERBAIKAN: Proses buffer data menit saat ini ke database
-  async processCurrentMinuteBuffer() {
-    if (this.state.bufferData.length === 0) {
-      return;
+  // PERBAIKAN: Simpan reading terlambat langsung ke baris menitnya
+  async processLateReading(sensor, dataPoint, minuteStart) {
+    const saved = await this.saveMinuteSamples(sensor.sensorId, minuteStart, [
+      dataPoint,
+    ]);
+
+    this.logInfo(
+      `🕓 Late reading ${dataPoint.temperature}°C from ${
+        sensor.sensorId
+      } placed in minute ${this.formatMinute(minuteStart)}${
+        saved.recomputed ? " (slot recomputed)" : ""
+      }`
+    );
+
+    if (!saved.slotAggregated) {
+      await this.aggregateIfClosed(sensor.sensorId, minuteStart);
     }
 
-    try {
-      // Hitung rata-rata untuk menit ini
-      const temperatures = this.state.bufferData.map(
-        (item) => item.temperature
-      );
-      const avgTemp =
-        temperatures.reduce((sum, temp) => sum + temp, 0) / temperatures.length;
-      const roundedAvg = Math.round(avgTemp * 100) / 100;
+    return {
+      success: true,
+      temperature: dataPoint.temperature,
+      sensorId: sensor.sensorId,
+      late: true,
+      filtered: Boolean(dataPoint.filterReason),
+      recomputed: saved.recomputed,
+      bufferSize: sensor.bufferData.length,
+      minuteCount: sensor.minuteDataCount,
+      currentMinute: dataPoint.minute,
+      timestamp: dataPoint.timestamp.toISOString(),
+    };
+  }
 
-      // Simpan ke TemperatureBuffer
-      const savedData = await db.withRetry(async (prisma) => {
-        return await prisma.temperatureBuffer.create({
-          data: {
-            temperature: roundedAvg,
-            timestamp: this.state.currentMinuteStartTime,
-            isProcessed: false,
-          },
-        });
+  // PERBAIKAN: Backfill reading historis dari device yang sempat offline.
+  // Reading ditempatkan di menit historisnya langsung ke TemperatureMinute
+  // (tidak lewat buffer menit live dan tidak di-emit sebagai suhu live).
+  // Dedup per reading (sensor + timestamp) terhadap TemperatureReading:
+  // reading backfill ikut disimpan sebagai reading mentah, jadi batch yang
+  // dikirim ulang dianggap duplikat, sedangkan reading baru di menit yang
+  // sudah punya data digabung ke baris menitnya.
+  // readings: [{ temperature, humidity, timestamp }]
+  // Hasil per reading: status "accepted" | "duplicate" | "rejected"
+  async backfillReadings(sensorId, readings) {
+    const sensor = this.getSensorState(sensorId);
+    const now = new Date();
+    // Menit live (dan sesudahnya) milik jalur real-time
+    const liveMinute =
+      sensor.currentMinuteStartTime || this.getMinuteStart(now);
+    // Dedup butuh reading mentah, jadi window juga dibatasi retensinya
+    const windowMs = Math.min(
+      this.config.backfillWindowHours * 60 * 60 * 1000,
+      this.retentionMs.raw
+    );
+    const oldestAllowed = new Date(now.getTime() - windowMs);
+
+    const results = new Array(readings.length);
+    const byMinute = new Map(); // minuteStart (ms) -> [{ index, sample }]
+
+    readings.forEach((reading, index) => {
+      const temp = parseFloat(reading.temperature);
+      const eventTime = reading.timestamp ? new Date(reading.timestamp) : null;
+      const validation = this.validator.validate({
+        ...reading,
+        temperature: temp,
+        sensorId: sensor.sensorId,
+      });
+      let reason = null;
+
+      if (!validation.ok) {
+        reason = validation.reason;
+      } else if (!eventTime || isNaN(eventTime.getTime())) {
+        reason = "Backfill reading requires a timestamp";
+      } else if (eventTime < this.config.minDeviceTimestamp) {
+        reason = `Device clock not synchronized (${eventTime.toISOString()})`;
+      } else if (eventTime < oldestAllowed) {
+        reason = `Reading is older than the backfill window (${oldestAllowed.toISOString()})`;
+      } else if (this.getMinuteStart(eventTime) >= liveMinute) {
+        reason = "Reading is not historical, send it as live data";
+      }
+
+      if (reason) {
+        results[index] = { index, status: "rejected", reason };
+        return;
+      }
+
+      const minuteStart = this.getMinuteStart(eventTime).getTime();
+      if (!byMinute.has(minuteStart)) byMinute.set(minuteStart, []);
+      byMinute.get(minuteStart).push({
+        index,
+        sample: {
+          temperature: temp,
+          rawTemperature: parseFloat(reading.rawTemperature ?? temp),
+          filterReason: reading.filterReason ?? null,
+          humidity: reading.humidity ?? null,
+          timestamp: eventTime,
+        },
       });
+    });
+
+    // Dedup terhadap reading mentah yang sudah tersimpan
+    const minuteStarts = [...byMinute.keys()]
+      .sort((a, b) => a - b)
+      .map((time) => new Date(time));
+    const eventTimes = [...byMinute.values()].flatMap((entries) =>
+      entries.map(({ sample }) => sample.timestamp)
+    );
 
-      this.state.lastSavedMinute = this.formatMinute(
-        this.state.currentMinuteStartTime
+    const storedReadings = await db.withRetry(async (prisma) => {
+      return await prisma.temperatureReading.findMany({
+        where: { sensorId: sensor.sensorId, timestamp: { in: eventTimes } },
+        select: { timestamp: true },
+      });
+    });
+    // Timestamp yang sama dua kali di satu batch juga duplikat
+    const seen = new Set(storedReadings.map((row) => row.timestamp.getTime()));
+
+    const affectedSlots = new Map(); // slot start (ms) -> Date
+
+    for (const minuteStart of minuteStarts) {
+      const minute = this.formatMinute(minuteStart);
+      const fresh = [];
+
+      for (const entry of byMinute.get(minuteStart.getTime())) {
+        const time = entry.sample.timestamp.getTime();
+
+        if (seen.has(time)) {
+          results[entry.index] = {
+            index: entry.index,
+            status: "duplicate",
+            reason: `Reading at ${entry.sample.timestamp.toISOString()} is already stored`,
+            minute,
+          };
+          continue;
+        }
+
+        seen.add(time);
+        fresh.push(entry);
+      }
+
+      if (fresh.length === 0) continue;
+
+      await this.saveMinuteSamples(
+        sensor.sensorId,
+        minuteStart,
+        fresh.map(({ sample }) => sample),
+        {
+          recompute: false,
+          rawReadings: fresh.map(({ sample }) => ({
+            sensorId: sensor.sensorId,
+            temperature: sample.temperature,
+            rawTemperature: sample.rawTemperature,
+            humidity: sample.humidity,
+            filterReason: sample.filterReason,
+            timestamp: sample.timestamp,
+            receivedAt: now,
+          })),
+        }
       );
 
-      this.logInfo(
-        `✅ Minute buffer processed: ${roundedAvg}°C from ${temperatures.length} samples (ID: ${savedData.id})`
+      fresh.forEach(({ index }) => {
+        results[index] = { index, status: "accepted", minute };
+      });
+
+      const slotStart = this.getWindowStart(minuteStart);
+      affectedSlots.set(slotStart.getTime(), slotStart);
+    }
+
+    // Setiap slot yang tersentuh dihitung sekali saja
+    const affectedBatches = new Set();
+    let recomputedSlots = 0;
+    let createdSlots = 0;
+
+    for (const slotStart of affectedSlots.values()) {
+      const existing = await this.findAggregateForTime(
+        sensor.sensorId,
+        slotStart
       );
 
-      // PERBAIKAN: Check apakah sudah ada 10 data untuk agregasi
-      await this.checkForAggregation();
+      if (existing) {
+        await this.recomputeAggregateSlot(existing);
+        recomputedSlots++;
+        if (existing.sixHourBatch) affectedBatches.add(existing.sixHourBatch);
+        continue;
+      }
 
-      return {
-        success: true,
-        savedId: savedData.id,
-        avgTemperature: roundedAvg,
-        sampleCount: temperatures.length,
-      };
-    } catch (error) {
-      this.handleError(error, { context: "processCurrentMinuteBuffer" });
-      throw error;
+      // Window yang belum ditutup timer diagregasi oleh closeDueWindows
+      const created = await this.aggregateIfClosed(sensor.sensorId, slotStart);
+      if (created) {
+        createdSlots++;
+        affectedBatches.add(created.sixHourBatch);
+      }
     }
+
+    const refreshedBatches = [];
+    for (const batchId of affectedBatches) {
+      if (await this.refreshSixHourExport(sensor.sensorId, batchId)) {
+        refreshedBatches.push(batchId);
+      }
+    }
+
+    const count = (status) =>
+      results.filter((result) => result.status === status).length;
+    const summary = {
+      success: true,
+      sensorId: sensor.sensorId,
+      accepted: count("accepted"),
+      duplicates: count("duplicate"),
+      rejected: count("rejected"),
+      recomputedSlots,
+      createdSlots,
+      refreshedBatches,
+      results,
+    };
+
+    this.logInfo(
+      `📥 Backfill for ${sensor.sensorId}: ${summary.accepted} accepted, ${summary.duplicates} duplicate, ${summary.rejected} rejected (${recomputedSlots} slot(s) recomputed, ${createdSlots} created)`
+    );
+
+    return summary;
   }
 
-  // PERBAIKAN: Check dan lakukan agregasi jika sudah 10 data
-  async checkForAggregation() {
-    try {
-      // Ambil data buffer yang belum diproses
-      const unprocessedData = await db.withRetry(async (prisma) => {
-        return await prisma.temperatureBuffer.findMany({
-          where: { isProcessed: false },
-          orderBy: { timestamp: "asc" },
-        });
+  // PERBAIKAN: Agregasi slot 10 menit yang sudah lewat dari baris menit
+  // yang tersimpan (jumlah menit bisa kurang dari 10)
+  async createAggregateForSlot(sensorId, slotStart) {
+    const slotEnd = new Date(slotStart.getTime() + 10 * 60 * 1000);
+
+    const minuteRows = await db.withRetry(async (prisma) => {
+      return await prisma.temperatureMinute.findMany({
+        where: { sensorId, timestamp: { gte: slotStart, lt: slotEnd } },
+        orderBy: { timestamp: "asc" },
       });
+    });
 
-      this.logInfo(
-        `🔍 Checking aggregation: ${unprocessedData.length} unprocessed buffer data`
+    if (minuteRows.length === 0) {
+      return null;
+    }
+
+    let aggregate;
+    try {
+      aggregate = await this.insertSlotAggregate(
+        sensorId,
+        slotStart,
+        minuteRows
       );
+    } catch (error) {
+      // Jalur live sempat membuat slot yang sama di antara query dan insert
+      if (error.code !== "P2002") throw error;
+      const existing = await this.findAggregateForTime(sensorId, slotStart);
+      return existing ? await this.recomputeAggregateSlot(existing) : null;
+    }
 
-      // Jika sudah ada 10 data atau lebih, lakukan agregasi
-      if (unprocessedData.length >= this.config.requiredAggregateCount) {
-        // Ambil 10 data pertama
-        const dataToAggregate = unprocessedData.slice(
-          0,
-          this.config.requiredAggregateCount
-        );
+    this.logInfo(
+      `✨ Aggregate ${aggregate.timeSlot} for ${sensorId} created from ${minuteRows.length} minute rows`
+    );
 
-        // PERBAIKAN: Check dulu apakah time slot sudah ada sebelum agregasi
-        const firstTimestamp = dataToAggregate[0].timestamp;
-        const timeSlot = this.generateTimeSlot(firstTimestamp);
-        const dateOnly = new Date(
-          firstTimestamp.getFullYear(),
-          firstTimestamp.getMonth(),
-          firstTimestamp.getDate()
-        );
+    return aggregate;
+  }
 
-        const existingAggregate = await db.withRetry(async (prisma) => {
-          return await prisma.temperatureAggregate.findFirst({
-            where: {
-              date: dateOnly,
-              timeSlot: timeSlot,
-            },
-          });
+  async insertSlotAggregate(sensorId, slotStart, minuteRows) {
+    const timeSlot = this.generateTimeSlot(slotStart);
+
+    const aggregate = await db.withRetry(async (prisma) => {
+      return await prisma.$transaction(async (tx) => {
+        const created = await tx.temperatureAggregate.create({
+          data: {
+            sensorId,
+            date: startOfDay(slotStart),
+            timeSlot,
+            ...this.buildSlotFields(sensorId, minuteRows),
+            windowStart: slotStart,
+            isExported: false,
+            isSixHourExported: false,
+            sixHourBatch: this.generateSixHourBatch(slotStart),
+          },
         });
 
-        if (existingAggregate) {
-          this.logInfo(
-            `ℹ️ Skipping aggregation - slot ${timeSlot} on ${
-              dateOnly.toISOString().split("T")[0]
-            } already exists (ID: ${existingAggregate.id})`
-          );
+        await tx.temperatureMinute.updateMany({
+          where: { id: { in: minuteRows.map((row) => row.id) } },
+          data: { isProcessed: true },
+        });
 
-          // Tandai data sebagai sudah diproses dan hapus
-          await db.withRetry(async (prisma) => {
-            await prisma.temperatureBuffer.deleteMany({
-              where: { id: { in: dataToAggregate.map((item) => item.id) } },
-            });
-          });
+        // Data terlambat / backfill mengisi window yang tadinya gap
+        await tx.temperatureGap.deleteMany({
+          where: { sensorId, windowStart: slotStart },
+        });
 
-          return;
-        }
+        return created;
+      });
+    });
 
-        this.logInfo(
-          `📊 Starting aggregation for ${dataToAggregate.length} data points`
-        );
-        this.logInfo(
-          `📅 Time range: ${dataToAggregate[0].timestamp.toISOString()} to ${dataToAggregate[
-            dataToAggregate.length - 1
-          ].timestamp.toISOString()}`
-        );
+    return aggregate;
+  }
 
-        await this.performAggregation(dataToAggregate);
-      } else {
-        this.logInfo(
-          `⏳ Not enough data for aggregation: ${unprocessedData.length}/${this.config.requiredAggregateCount}`
-        );
-      }
-    } catch (error) {
-      this.handleError(error, { context: "checkForAggregation" });
+  // PERBAIKAN: Tulis ulang export 6 jam yang sudah ada setelah slot di
+  // dalamnya berubah (backfill / re-agregasi). Batch yang belum di-export
+  // tidak disentuh.
+  async refreshSixHourExport(sensorId, batchId) {
+    const existingExport = await db.withRetry(async (prisma) => {
+      return await prisma.sixHourExport.findUnique({
+        where: { sensorId_batchId: { sensorId, batchId } },
+      });
+    });
+
+    if (!existingExport) {
+      return false;
     }
-  }
 
-  // PERBAIKAN: Lakukan agregasi untuk 10 data
-  async performAggregation(bufferData) {
-    try {
-      const temperatures = bufferData.map((item) => item.temperature);
-      const stats = this.calculateStats(temperatures);
-
-      // Generate time slot berdasarkan data pertama
-      const firstTimestamp = bufferData[0].timestamp;
-      const timeSlot = this.generateTimeSlot(firstTimestamp);
-      const dateOnly = new Date(
-        firstTimestamp.getFullYear(),
-        firstTimestamp.getMonth(),
-        firstTimestamp.getDate()
-      );
+    const aggregateData = await db.withRetry(async (prisma) => {
+      return await prisma.temperatureAggregate.findMany({
+        where: { sensorId, sixHourBatch: batchId },
+        orderBy: { timeSlot: "asc" },
+      });
+    });
 
-      this.logInfo(
-        `🎯 Attempting aggregation for date: ${
-          dateOnly.toISOString().split("T")[0]
-        }, timeSlot: ${timeSlot}`
-      );
+    const exportDir = path.join(process.cwd(), "exports", "six-hour");
+    await fs.mkdir(exportDir, { recursive: true });
 
-      // PERBAIKAN: Check apakah sudah ada agregasi untuk slot ini
-      const existingAggregate = await db.withRetry(async (prisma) => {
-        return await prisma.temperatureAggregate.findFirst({
-          where: {
-            date: dateOnly,
-            timeSlot: timeSlot,
+    const completeness = await this.getBatchCompleteness(sensorId, batchId);
+    const csvPath = await this.exportSixHourToCSV(
+      aggregateData,
+      batchId,
+      exportDir,
+      sensorId
+    );
+    const excelPath = await this.exportSixHourToExcel(
+      aggregateData,
+      batchId,
+      exportDir,
+      sensorId,
+      completeness
+    );
+    const stats = {
+      ...this.calculateSixHourStats(
+        aggregateData,
+        await this.loadSummaryTemperatures(aggregateData)
+      ),
+      completeness: completeness.completeness,
+    };
+
+    await db.withRetry(async (prisma) => {
+      return await prisma.$transaction(async (tx) => {
+        await tx.sixHourExport.update({
+          where: { id: existingExport.id },
+          data: {
+            csvFilePath: csvPath,
+            excelFilePath: excelPath,
+            totalRecords: aggregateData.length,
+            avgTemp: stats.avgTemp,
+            minTemp: stats.minTemp,
+            maxTemp: stats.maxTemp,
+            avgHumidity: stats.avgHumidity,
+            minHumidity: stats.minHumidity,
+            maxHumidity: stats.maxHumidity,
+            stdDevTemp: stats.stdDevTemp,
+            p5Temp: stats.p5Temp,
+            p95Temp: stats.p95Temp,
+            secondsAboveLimit: stats.secondsAboveLimit,
+            secondsBelowLimit: stats.secondsBelowLimit,
+            downloadNotified: false,
           },
         });
+
+        await tx.temperatureAggregate.updateMany({
+          where: { id: { in: aggregateData.map((item) => item.id) } },
+          data: { isSixHourExported: true },
+        });
       });
+    });
 
-      if (existingAggregate) {
-        this.logInfo(
-          `ℹ️ Aggregate already exists for ${timeSlot} on ${
-            dateOnly.toISOString().split("T")[0]
-          } (ID: ${existingAggregate.id}), skipping creation...`
-        );
+    this.logInfo(
+      `♻️ 6-hour export ${batchId} for ${sensorId} regenerated (${aggregateData.length} records)`
+    );
 
-        // Tetap hapus buffer data yang sudah diproses
-        await db.withRetry(async (prisma) => {
-          await prisma.temperatureBuffer.deleteMany({
-            where: { id: { in: bufferData.map((item) => item.id) } },
-          });
-        });
+    this.emitSixHourExportNotification(batchId, {
+      sensorId,
+      csvPath,
+      excelPath,
+      recordCount: aggregateData.length,
+      stats,
+      updated: true,
+    });
 
-        this.logInfo(
-          `🗑️ Cleaned up ${bufferData.length} processed buffer records`
-        );
-        return existingAggregate;
-      }
+    return true;
+  }
 
-      this.logInfo(
-        `✨ Creating new aggregate for ${timeSlot} with stats:`,
-        stats
-      );
+  // PERBAIKAN: Simpan rata-rata menit; jika menit sudah ada, gabungkan
+  // (rata-rata berbobot jumlah sample). Jika slot 10 menitnya sudah
+  // diagregasi, agregasi slot dihitung ulang (kecuali recompute: false,
+  // pemanggil yang menghitung ulang sekali per slot).
+  // samples: [{ temperature, humidity, timestamp }] (humidity / timestamp
+  // boleh null). rawReadings: baris TemperatureReading yang disimpan dalam
+  // transaksi yang sama (backfill).
+  async saveMinuteSamples(
+    sensorId,
+    minuteStart,
+    samples,
+    { recompute = true, rawReadings = null } = {}
+  ) {
+    // PERBAIKAN: Spike yang ditandai filter tidak ikut rata-rata menit,
+    // hanya dihitung di filteredCount. Kalau semua sample menit ini spike,
+    // baris tetap dibuat (sampleCount 0) dengan rata-rata spike-nya.
+    const filteredCount = samples.filter((item) => item.filterReason).length;
+    const accepted = samples.filter((item) => !item.filterReason);
+    const averaged = accepted.length > 0 ? accepted : samples;
+
+    const temperatures = accepted.map((item) => item.temperature);
+    const sum = temperatures.reduce((acc, temp) => acc + temp, 0);
+    // PERBAIKAN: Rata-rata nilai mentah (sebelum kalibrasi) disimpan juga
+    const rawSum = accepted.reduce(
+      (acc, item) => acc + (item.rawTemperature ?? item.temperature),
+      0
+    );
 
-      const result = await db.withRetry(async (prisma) => {
-        return await prisma.$transaction(async (tx) => {
-          // Buat agregasi baru
-          const aggregate = await tx.temperatureAggregate.create({
+    // PERBAIKAN: Kelembaban dirata-rata terpisah, hanya dari reading yang
+    // benar-benar membawa nilai kelembaban
+    const humidities = samples
+      .map((item) => item.humidity)
+      .filter((value) => typeof value === "number" && Number.isFinite(value));
+    const humiditySum = humidities.reduce((acc, value) => acc + value, 0);
+
+    const limitSeconds = this.calculateMinuteLimitSeconds(
+      sensorId,
+      minuteStart,
+      accepted
+    );
+
+    const existingAggregate = await this.findAggregateForTime(
+      sensorId,
+      minuteStart
+    );
+
+    const savedData = await db.withRetry(async (prisma) => {
+      return await prisma.$transaction(async (tx) => {
+        // Reading mentah (backfill) disimpan bersama menitnya, jadi dedup per
+        // reading tidak pernah melihat reading yang belum masuk rata-rata
+        if (rawReadings?.length > 0) {
+          await tx.temperatureReading.createMany({ data: rawReadings });
+        }
+
+        const existing = await tx.temperatureMinute.findFirst({
+          where: { sensorId, timestamp: minuteStart },
+        });
+
+        if (existing) {
+          const sampleCount = existing.sampleCount + temperatures.length;
+          // Timestamp reading yang sudah tersimpan tidak ada di baris menit:
+          // detik digabung berbobot jumlah sample. Detik lama yang dihitung
+          // dengan batas lain tidak bisa digabung (null, dihitung per menit).
+          const mergeSeconds = (field, limitField) => {
+            const stored =
+              existing[limitField] === limitSeconds[limitField] &&
+              typeof existing[field] === "number"
+                ? existing[field]
+                : null;
+            if (existing.sampleCount === 0) return limitSeconds[field];
+            if (temperatures.length === 0) return stored;
+            if (stored === null || limitSeconds[field] === null) return null;
+            return Math.round(
+              (stored * existing.sampleCount +
+                limitSeconds[field] * temperatures.length) /
+                sampleCount
+            );
+          };
+          const avg =
+            sampleCount > 0
+              ? (existing.temperature * existing.sampleCount + sum) /
+                sampleCount
+              : existing.temperature;
+          const rawAvg =
+            sampleCount > 0
+              ? ((existing.rawTemperature ?? existing.temperature) *
+                  existing.sampleCount +
+                  rawSum) /
+                sampleCount
+              : existing.rawTemperature;
+
+          const humiditySampleCount =
+            existing.humiditySampleCount + humidities.length;
+          const humidityAvg =
+            humiditySampleCount > 0
+              ? ((existing.humidity ?? 0) * existing.humiditySampleCount +
+                  humiditySum) /
+                humiditySampleCount
+              : null;
+
+          return await tx.temperatureMinute.update({
+            where: { id: existing.id },
             data: {
-              date: dateOnly,
-              timeSlot,
-              meanTemp: stats.mean,
-              medianTemp: stats.median,
-              modeTemp: stats.mode,
-              minTemp: stats.min,
-              maxTemp: stats.max,
-              sampleCount: bufferData.length,
-              isExported: false,
-              isSixHourExported: false,
-              sixHourBatch: this.generateSixHourBatch(firstTimestamp),
+              temperature: Math.round(avg * 100) / 100,
+              rawTemperature:
+                rawAvg === null ? null : Math.round(rawAvg * 100) / 100,
+              sampleCount,
+              filteredCount: (existing.filteredCount || 0) + filteredCount,
+              humidity:
+                humidityAvg === null
+                  ? null
+                  : Math.round(humidityAvg * 100) / 100,
+              humiditySampleCount,
+              lowLimit: limitSeconds.lowLimit,
+              highLimit: limitSeconds.highLimit,
+              secondsBelowLimit: mergeSeconds("secondsBelowLimit", "lowLimit"),
+              secondsAboveLimit: mergeSeconds("secondsAboveLimit", "highLimit"),
             },
           });
+        }
 
-          // PERBAIKAN: Mark buffer data as processed dan HAPUS
-          await tx.temperatureBuffer.deleteMany({
-            where: { id: { in: bufferData.map((item) => item.id) } },
-          });
+        return await tx.temperatureMinute.create({
+          data: {
+            sensorId,
+            temperature:
+              Math.round(this.mean(averaged, "temperature") * 100) / 100,
+            rawTemperature:
+              Math.round(this.mean(averaged, "rawTemperature") * 100) / 100,
+            sampleCount: temperatures.length,
+            filteredCount,
+            humidity:
+              humidities.length > 0
+                ? Math.round((humiditySum / humidities.length) * 100) / 100
+                : null,
+            humiditySampleCount: humidities.length,
+            ...limitSeconds,
+            timestamp: minuteStart,
+            isProcessed: Boolean(existingAggregate),
+          },
+        });
+      });
+    });
+
+    const sensor = this.getSensorState(sensorId);
+    sensor.lastDataAt = new Date();
+
+    let recomputed = false;
+    if (existingAggregate && recompute) {
+      await this.recomputeAggregateSlot(existingAggregate);
+      recomputed = true;
+    }
 
-          return aggregate;
+    return {
+      savedData,
+      slotAggregated: Boolean(existingAggregate),
+      recomputed,
+    };
+  }
+
+  async findAggregateForTime(sensorId, date) {
+    const timeSlot = this.generateTimeSlot(date);
+    const dateOnly = startOfDay(date);
+
+    return await db.withRetry(async (prisma) => {
+      return await prisma.temperatureAggregate.findFirst({
+        where: { sensorId, date: dateOnly, timeSlot },
+      });
+    });
+  }
+
+  // PERBAIKAN: Hitung ulang agregasi 10 menit dari baris menit yang tersimpan
+  async recomputeAggregateSlot(aggregate) {
+    const startTime = this.getAggregateWindowStart(aggregate);
+    const endTime = new Date(startTime.getTime() + 10 * 60 * 1000);
+
+    const minuteRows = await db.withRetry(async (prisma) => {
+      return await prisma.temperatureMinute.findMany({
+        where: {
+          sensorId: aggregate.sensorId,
+          timestamp: { gte: startTime, lt: endTime },
+        },
+        orderBy: { timestamp: "asc" },
+      });
+    });
+
+    if (minuteRows.length === 0) {
+      return aggregate;
+    }
+
+    const updated = await db.withRetry(async (prisma) => {
+      return await prisma.$transaction(async (tx) => {
+        await tx.temperatureMinute.updateMany({
+          where: { id: { in: minuteRows.map((row) => row.id) } },
+          data: { isProcessed: true },
+        });
+
+        return await tx.temperatureAggregate.update({
+          where: { id: aggregate.id },
+          data: {
+            ...this.buildSlotFields(aggregate.sensorId, minuteRows),
+            windowStart: startTime,
+            // Rollup 1 jam / 1 hari yang memuat slot ini dihitung ulang
+            computedAt: new Date(),
+          },
         });
       });
+    });
+
+    this.logInfo(
+      `♻️ Aggregate ${aggregate.timeSlot} for ${aggregate.sensorId} recomputed from ${minuteRows.length} minute rows`
+    );
+
+    return updated;
+  }
+
+  // PERBAIKAN: Proses buffer data menit saat ini ke database
+  async processCurrentMinuteBuffer(sensorId = DEFAULT_SENSOR_ID) {
+    const sensor = this.getSensorState(sensorId);
+
+    if (sensor.bufferData.length === 0) {
+      return;
+    }
 
-      this.state.lastProcessedSlot = timeSlot;
+    // Lepas buffer sebelum await supaya reading baru tidak ikut ter-reset.
+    // Sample tetap ikut checkpoint (sensor.flushing) sampai tersimpan.
+    const samples = sensor.bufferData;
+    const minuteStart = sensor.currentMinuteStartTime;
+    const entry = { minuteStart, samples };
+    sensor.bufferData = [];
+    sensor.minuteDataCount = 0;
+    sensor.flushing.push(entry);
+    this.state.checkpointDirty = true;
+
+    try {
+      // Simpan rata-rata menit ini ke TemperatureMinute
+      const { savedData, slotAggregated } = await this.saveFlushEntry(
+        sensor,
+        entry
+      );
+
+      sensor.lastSavedMinute = this.formatMinute(minuteStart);
+      this.state.lastSavedMinute = sensor.lastSavedMinute;
 
       this.logInfo(
-        `✅ Aggregation completed for ${timeSlot}: ${bufferData.length} samples aggregated and buffer data deleted (Aggregate ID: ${result.id})`
+        `✅ Minute buffer processed for ${sensor.sensorId}: ${
+          savedData.temperature
+        }°C${
+          savedData.humidity !== null ? `, ${savedData.humidity}%RH` : ""
+        } from ${samples.length} samples (ID: ${savedData.id})`
       );
 
-      // PERBAIKAN: Check apakah sudah siap untuk 6-hour export
-      await this.checkForSixHourExport();
+      // PERBAIKAN: Menit untuk window yang sudah ditutup langsung diagregasi
+      if (!slotAggregated) {
+        await this.aggregateIfClosed(sensor.sensorId, minuteStart);
+      }
 
-      return result;
+      return {
+        success: true,
+        sensorId: sensor.sensorId,
+        savedId: savedData.id,
+        avgTemperature: savedData.temperature,
+        avgHumidity: savedData.humidity,
+        sampleCount: samples.length,
+      };
     } catch (error) {
       this.handleError(error, {
-        context: "performAggregation",
-        bufferDataCount: bufferData?.length,
-        firstTimestamp: bufferData?.[0]?.timestamp?.toISOString(),
+        context: "processCurrentMinuteBuffer",
+        sensorId: sensor.sensorId,
       });
       throw error;
     }
   }
 
-  // PERBAIKAN: Check apakah sudah siap untuk export 6 jam
-  async checkForSixHourExport() {
+  // PERBAIKAN: Simpan satu menit yang sudah dilepas dari buffer. Entry baru
+  // dihapus dari sensor.flushing (dan checkpoint) setelah tersimpan; kalau
+  // gagal, dicoba lagi oleh timer buffer atau saat start berikutnya.
+  async saveFlushEntry(sensor, entry) {
+    entry.saving = true;
     try {
-      const now = new Date();
-      const currentBatch = this.generateSixHourBatch(now);
+      const result = await this.saveMinuteSamples(
+        sensor.sensorId,
+        entry.minuteStart,
+        entry.samples
+      );
 
-      // Cek berapa banyak data agregasi untuk batch ini
-      const aggregateCount = await db.withRetry(async (prisma) => {
-        return await prisma.temperatureAggregate.count({
-          where: {
-            sixHourBatch: currentBatch,
-            isSixHourExported: false,
-          },
+      sensor.flushing = sensor.flushing.filter((item) => item !== entry);
+      // Langsung ditulis supaya menit yang sudah tersimpan tidak dipulihkan
+      // (dihitung dua kali) kalau proses mati sesudah ini
+      this.writeCheckpoint();
+      return result;
+    } finally {
+      entry.saving = false;
+    }
+  }
+
+  // Menit tertunda (gagal disimpan / dipulihkan dari checkpoint), urut menit
+  async flushPendingMinutes() {
+    for (const sensor of this.state.sensors.values()) {
+      for (const entry of [...sensor.flushing]) {
+        if (entry.saving) continue;
+
+        try {
+          const { slotAggregated } = await this.saveFlushEntry(sensor, entry);
+          if (!slotAggregated) {
+            await this.aggregateIfClosed(sensor.sensorId, entry.minuteStart);
+          }
+          this.logInfo(
+            `♻️ Pending minute ${this.formatMinute(entry.minuteStart)} for ${
+              sensor.sensorId
+            } saved (${entry.samples.length} samples)`
+          );
+        } catch (error) {
+          this.handleError(error, {
+            context: "flushPendingMinutes",
+            sensorId: sensor.sensorId,
+          });
+          break; // Menit berikutnya menunggu supaya urutan tetap
+        }
+      }
+    }
+  }
+
+  // PERBAIKAN: Agregasi per window jam dinding (00:00-00:10, 00:10-00:20, ...).
+  // Timer menutup setiap window yang sudah berakhir + grace period:
+  // window berisi data diagregasi dengan jumlah menit sebenarnya (boleh
+  // kurang dari 10), window kosong dicatat sebagai gap.
+  async closeDueWindows(now = new Date()) {
+    if (this.state.isClosingWindows) {
+      return { success: false, reason: "Window closing already running" };
+    }
+
+    this.state.isClosingWindows = true;
+
+    try {
+      // Sensor aktif di memory + sensor yang masih punya baris menit belum
+      // diproses (misalnya setelah restart)
+      const pending = await db.withRetry(async (prisma) => {
+        return await prisma.temperatureMinute.findMany({
+          where: { isProcessed: false },
+          distinct: ["sensorId"],
+          select: { sensorId: true },
         });
       });
 
-      // Jika sudah 6 jam (36 agregasi @ 10 menit), lakukan export
-      if (aggregateCount >= 36) {
-        await this.exportSixHourData();
+      const sensorIds = new Set([
+        ...this.state.sensors.keys(),
+        ...pending.map((row) => row.sensorId),
+      ]);
+
+      const results = [];
+      for (const sensorId of sensorIds) {
+        try {
+          const closed = await this.closeWindowsForSensor(sensorId, now);
+          if (closed.length > 0) results.push({ sensorId, windows: closed });
+        } catch (error) {
+          this.handleError(error, { context: "closeDueWindows", sensorId });
+        }
       }
-    } catch (error) {
-      this.handleError(error, { context: "checkForSixHourExport" });
+
+      return { success: true, sensors: results };
+    } finally {
+      this.state.isClosingWindows = false;
     }
   }
 
-  async processBuffer() {
-    if (this.state.isProcessing || this.state.bufferData.length === 0) {
-      return;
+  async closeWindowsForSensor(sensorId, now = new Date()) {
+    const sensor = this.getSensorState(sensorId);
+    if (!sensor.windowStateLoaded) {
+      await this.restoreWindowState(sensor);
     }
 
-    this.state.isProcessing = true;
+    const windowMs = this.config.aggregateIntervalMinutes * 60 * 1000;
+    const graceMs = this.config.aggregationGraceSeconds * 1000;
+    const gapFloor = this.getWindowStart(
+      new Date(now.getTime() - this.config.gapTrackingHours * 60 * 60 * 1000)
+    );
+    const hasLiveData = sensor.bufferData.length > 0;
 
-    try {
-      const currentMinute = this.formatMinute(new Date());
+    // Sensor yang lama diam tidak terus-menerus menghasilkan gap
+    if (!hasLiveData && (!sensor.lastDataAt || sensor.lastDataAt < gapFloor)) {
+      return [];
+    }
 
-      if (this.state.lastSavedMinute === currentMinute) {
-        this.logInfo(
-          `⏭️ Minute ${currentMinute} already processed, skipping...`
-        );
-        return;
+    let start = sensor.nextWindowStart;
+    if (!start || start < gapFloor) {
+      // Lompat langsung ke data tertua yang belum diproses; sebelum gapFloor
+      // tidak ada gap yang dicatat
+      const earliest = await db.withRetry(async (prisma) => {
+        return await prisma.temperatureMinute.findFirst({
+          where: {
+            sensorId: sensor.sensorId,
+            isProcessed: false,
+            ...(start ? { timestamp: { gte: start } } : {}),
+          },
+          orderBy: { timestamp: "asc" },
+        });
+      });
+
+      const firstData = earliest
+        ? earliest.timestamp
+        : hasLiveData
+        ? sensor.currentMinuteStartTime
+        : null;
+      if (!firstData && !start) return [];
+
+      const firstWindow = firstData ? this.getWindowStart(firstData) : gapFloor;
+      // Sensor baru mulai dari data pertamanya; sensor yang lama diam
+      // lanjut dari gapFloor (atau lebih awal kalau ada data belum diproses)
+      start = !start || firstWindow < gapFloor ? firstWindow : gapFloor;
+    }
+
+    const closed = [];
+    while (
+      start.getTime() + windowMs + graceMs <= now.getTime() &&
+      closed.length < this.config.maxWindowsPerRun
+    ) {
+      const end = new Date(start.getTime() + windowMs);
+
+      // Menit terakhir window masih di buffer live (belum ada reading baru)
+      if (sensor.bufferData.length > 0 && sensor.currentMinuteStartTime < end) {
+        await this.processCurrentMinuteBuffer(sensor.sensorId);
       }
 
-      const temperatures = this.state.bufferData.map(
-        (item) => item.temperature
+      closed.push(
+        await this.closeWindow(sensor.sensorId, start, {
+          recordGap: start >= gapFloor,
+        })
       );
-      const avgTemp =
-        temperatures.reduce((sum, temp) => sum + temp, 0) / temperatures.length;
-      const roundedAvg = Math.round(avgTemp * 100) / 100;
+      start = end;
+      sensor.nextWindowStart = start;
+      this.state.checkpointDirty = true;
+    }
 
-      const savedData = await db.withRetry(async (prisma) => {
-        return await prisma.temperatureBuffer.create({
-          data: {
-            temperature: roundedAvg,
-            timestamp: new Date(),
+    return closed;
+  }
+
+  // Posisi window setelah restart: setelah agregasi / gap terakhir
+  async restoreWindowState(sensor) {
+    const [lastAggregate, lastGap, lastRow] = await db.withRetry(
+      async (prisma) => {
+        return await Promise.all([
+          prisma.temperatureAggregate.findFirst({
+            where: { sensorId: sensor.sensorId, windowStart: { not: null } },
+            orderBy: { windowStart: "desc" },
+          }),
+          prisma.temperatureGap.findFirst({
+            where: { sensorId: sensor.sensorId },
+            orderBy: { windowStart: "desc" },
+          }),
+          prisma.temperatureMinute.findFirst({
+            where: { sensorId: sensor.sensorId },
+            orderBy: { timestamp: "desc" },
+          }),
+        ]);
+      }
+    );
+
+    const windowMs = this.config.aggregateIntervalMinutes * 60 * 1000;
+    const candidates = [
+      lastAggregate && new Date(lastAggregate.windowStart.getTime() + windowMs),
+      lastGap && lastGap.windowEnd,
+    ].filter(Boolean);
+
+    if (candidates.length > 0 && !sensor.nextWindowStart) {
+      sensor.nextWindowStart = new Date(
+        Math.max(...candidates.map((date) => date.getTime()))
+      );
+    }
+    if (
+      lastRow &&
+      (!sensor.lastDataAt || lastRow.timestamp > sensor.lastDataAt)
+    ) {
+      sensor.lastDataAt = lastRow.timestamp;
+    }
+
+    // Baris yang belum diproses di window yang sudah lewat (reading
+    // terlambat sebelum restart) ditutup ulang dari window-nya
+    if (sensor.nextWindowStart) {
+      const orphan = await db.withRetry(async (prisma) => {
+        return await prisma.temperatureMinute.findFirst({
+          where: {
+            sensorId: sensor.sensorId,
             isProcessed: false,
+            timestamp: { lt: sensor.nextWindowStart },
           },
+          orderBy: { timestamp: "asc" },
         });
       });
+      if (orphan) {
+        sensor.nextWindowStart = this.getWindowStart(orphan.timestamp);
+      }
+    }
 
-      this.state.lastSavedMinute = currentMinute;
-      const bufferCount = this.state.bufferData.length;
-      this.state.bufferData = [];
+    sensor.windowStateLoaded = true;
+  }
 
-      this.logInfo(
-        `✅ Buffer processed: ${roundedAvg}°C from ${bufferCount} samples saved (ID: ${savedData.id})`
-      );
+  async closeWindow(sensorId, windowStart, { recordGap = true } = {}) {
+    const timeSlot = this.generateTimeSlot(windowStart);
+    const existing = await this.findAggregateForTime(sensorId, windowStart);
 
-      return {
-        success: true,
-        savedId: savedData.id,
-        avgTemperature: roundedAvg,
-        sampleCount: bufferCount,
-      };
-    } catch (error) {
-      this.handleError(error, { context: "processBuffer" });
-      throw error;
-    } finally {
-      this.state.isProcessing = false;
+    if (existing) {
+      // Window sudah diagregasi (backfill / jalur lama); cukup hitung ulang
+      // kalau ada baris baru
+      const unprocessed = await db.withRetry(async (prisma) => {
+        return await prisma.temperatureMinute.count({
+          where: {
+            sensorId,
+            isProcessed: false,
+            timestamp: {
+              gte: windowStart,
+              lt: new Date(
+                windowStart.getTime() +
+                  this.config.aggregateIntervalMinutes * 60 * 1000
+              ),
+            },
+          },
+        });
+      });
+      if (unprocessed > 0) await this.recomputeAggregateSlot(existing);
+      return { timeSlot, status: "existing", aggregateId: existing.id };
     }
+
+    const aggregate = await this.createAggregateForSlot(sensorId, windowStart);
+
+    if (!aggregate) {
+      if (recordGap) await this.recordGap(sensorId, windowStart);
+      return { timeSlot, status: "gap" };
+    }
+
+    const sensor = this.getSensorState(sensorId);
+    sensor.lastProcessedSlot = aggregate.timeSlot;
+    this.state.lastProcessedSlot = aggregate.timeSlot;
+
+    // PERBAIKAN: Check apakah sudah siap untuk 6-hour export
+    await this.checkForSixHourExport(sensorId);
+
+    return {
+      timeSlot,
+      status: "aggregated",
+      aggregateId: aggregate.id,
+      sampleCount: aggregate.sampleCount,
+    };
   }
 
-  async processAggregation() {
+  async recordGap(sensorId, windowStart) {
+    const windowEnd = new Date(
+      windowStart.getTime() + this.config.aggregateIntervalMinutes * 60 * 1000
+    );
+    const timeSlot = this.generateTimeSlot(windowStart);
+
     try {
-      const now = new Date();
-      const timeSlot = this.generateTimeSlot(now);
+      await db.withRetry(async (prisma) => {
+        return await prisma.temperatureGap.create({
+          data: { sensorId, windowStart, windowEnd, timeSlot },
+        });
+      });
+      this.logWarn(
+        `🕳️ No data for ${sensorId} in window ${timeSlot} (${windowStart.toISOString()}), recorded as gap`
+      );
+    } catch (error) {
+      if (error.code !== "P2002") throw error; // Gap sudah tercatat
+    }
+  }
 
-      if (this.state.lastProcessedSlot === timeSlot) {
-        this.logInfo(`⏭️ Slot ${timeSlot} already processed, skipping...`);
-        return;
-      }
+  // PERBAIKAN: Baris menit untuk window yang sudah ditutup timer (reading
+  // terlambat / backfill) langsung diagregasi, menggantikan gap-nya
+  async aggregateIfClosed(sensorId, minuteStart) {
+    const sensor = this.getSensorState(sensorId);
+    if (!sensor.windowStateLoaded) {
+      await this.restoreWindowState(sensor);
+    }
+    const windowStart = this.getWindowStart(minuteStart);
+
+    if (!sensor.nextWindowStart || windowStart >= sensor.nextWindowStart) {
+      return null; // Masih terbuka, ditutup oleh closeDueWindows
+    }
 
-      const { startTime, endTime } = this.getSlotTimeRange(now);
+    return await this.createAggregateForSlot(sensorId, windowStart);
+  }
 
-      const bufferData = await db.withRetry(async (prisma) => {
-        return await prisma.temperatureBuffer.findMany({
+  // PERBAIKAN: Awal window agregasi (baris lama belum punya windowStart)
+  getAggregateWindowStart(aggregate) {
+    if (aggregate.windowStart) return new Date(aggregate.windowStart);
+
+    const [startHour, startMinute] = aggregate.timeSlot
+      .split("-")[0]
+      .split(":")
+      .map((value) => parseInt(value));
+    const { year, month, day } = getZonedParts(aggregate.date);
+    return zonedTimeToDate({
+      year,
+      month,
+      day,
+      hour: startHour,
+      minute: startMinute,
+    });
+  }
+
+  // PERBAIKAN: Kelengkapan data per sensor dan per hari dalam [from, to).
+  // Hanya window yang sudah ditutup (lewat grace period) yang dihitung.
+  async getCompleteness({ from, to, sensorId = null }) {
+    const windowMs = this.config.aggregateIntervalMinutes * 60 * 1000;
+    const closedUntil = this.getWindowStart(
+      new Date(Date.now() - this.config.aggregationGraceSeconds * 1000)
+    );
+    const start = this.getWindowStart(from);
+    const requestedEnd = this.getWindowStart(to);
+    const end = requestedEnd > closedUntil ? closedUntil : requestedEnd;
+
+    const [aggregates, gaps] = await db.withRetry(async (prisma) => {
+      return await Promise.all([
+        prisma.temperatureAggregate.findMany({
           where: {
-            timestamp: { gte: startTime, lt: endTime },
-            isProcessed: false,
+            ...(sensorId ? { sensorId } : {}),
+            date: { gte: startOfDay(start), lt: end },
           },
-          orderBy: { timestamp: "asc" },
+          select: {
+            sensorId: true,
+            date: true,
+            timeSlot: true,
+            windowStart: true,
+            sampleCount: true,
+          },
+        }),
+        prisma.temperatureGap.findMany({
+          where: {
+            ...(sensorId ? { sensorId } : {}),
+            windowStart: { gte: start, lt: end },
+          },
+          distinct: ["sensorId"],
+          select: { sensorId: true },
+        }),
+      ]);
+    });
+
+    const slotsBySensor = new Map();
+    if (sensorId) slotsBySensor.set(sensorId, []);
+    gaps.forEach((gap) => {
+      if (!slotsBySensor.has(gap.sensorId)) slotsBySensor.set(gap.sensorId, []);
+    });
+    aggregates.forEach((aggregate) => {
+      const windowStart = this.getAggregateWindowStart(aggregate);
+      if (windowStart < start || windowStart >= end) return;
+      if (!slotsBySensor.has(aggregate.sensorId)) {
+        slotsBySensor.set(aggregate.sensorId, []);
+      }
+      slotsBySensor
+        .get(aggregate.sensorId)
+        .push({ windowStart, sampleCount: aggregate.sampleCount });
+    });
+
+    const sensors = [...slotsBySensor.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([id, slots]) => {
+        const days = [];
+        for (let day = startOfDay(start); day < end; ) {
+          const next = addDays(day, 1);
+
+          const { gaps: dayGaps, ...summary } = summarizeCompleteness({
+            from: day < start ? start : day,
+            to: next > end ? end : next,
+            slots,
+            intervalMinutes: this.config.aggregateIntervalMinutes,
+          });
+          days.push({
+            date: this.formatDate(day),
+            ...summary,
+            gapCount: dayGaps.length,
+          });
+          day = next;
+        }
+
+        return {
+          sensorId: id,
+          ...summarizeCompleteness({
+            from: start,
+            to: end > start ? end : start,
+            slots,
+            intervalMinutes: this.config.aggregateIntervalMinutes,
+          }),
+          days,
+        };
+      });
+
+    return {
+      from: start,
+      to: end > start ? end : start,
+      windowMinutes: windowMs / 60000,
+      ...combineCompleteness(sensors),
+      sensors,
+    };
+  }
+
+  // Kelengkapan satu sensor untuk satu batch 6 jam
+  async getBatchCompleteness(sensorId, batchId) {
+    const { startTime, endTime } = this.getSixHourTimeRange(batchId);
+    return await this.getCompleteness({
+      from: startTime,
+      to: endTime,
+      sensorId,
+    });
+  }
+
+  // PERBAIKAN: Check apakah sudah siap untuk export 6 jam
+  // Tanpa sensorId: cek semua sensor yang punya data di batch saat ini
+  async checkForSixHourExport(sensorId = null) {
+    try {
+      const now = new Date();
+      const currentBatch = this.generateSixHourBatch(now);
+
+      const sensorIds = sensorId
+        ? [sensorId]
+        : await this.getSensorIdsForBatch(currentBatch);
+
+      for (const id of sensorIds) {
+        // Cek berapa banyak data agregasi untuk batch ini
+        const aggregateCount = await db.withRetry(async (prisma) => {
+          return await prisma.temperatureAggregate.count({
+            where: {
+              sensorId: id,
+              sixHourBatch: currentBatch,
+              isSixHourExported: false,
+            },
+          });
         });
+
+        // Jika sudah 6 jam (36 agregasi @ 10 menit), lakukan export
+        if (aggregateCount >= 36) {
+          await this.exportSixHourData(id);
+        }
+      }
+    } catch (error) {
+      this.handleError(error, { context: "checkForSixHourExport", sensorId });
+    }
+  }
+
+  async getSensorIdsForBatch(batchId) {
+    const rows = await db.withRetry(async (prisma) => {
+      return await prisma.temperatureAggregate.findMany({
+        where: { sixHourBatch: batchId, isSixHourExported: false },
+        distinct: ["sensorId"],
+        select: { sensorId: true },
       });
+    });
+
+    return rows.map((row) => row.sensorId);
+  }
+
+  // PERBAIKAN: Flush buffer menit semua sensor (manual / saat shutdown)
+  async processBuffer() {
+    if (this.state.isProcessing || this.getBufferSize() === 0) {
+      return;
+    }
 
-      if (bufferData.length === 0) {
-        this.logWarn(`No data found for slot ${timeSlot}`, {
-          startTime,
-          endTime,
-        });
-        return;
-      }
+    this.state.isProcessing = true;
 
-      const temperatures = bufferData.map((item) => item.temperature);
-      const stats = this.calculateStats(temperatures);
+    try {
+      const results = [];
 
-      const result = await db.withRetry(async (prisma) => {
-        return await prisma.$transaction(async (tx) => {
-          const aggregate = await tx.temperatureAggregate.create({
-            data: {
-              date: new Date(now.getFullYear(), now.getMonth(), now.getDate()),
-              timeSlot,
-              meanTemp: stats.mean,
-              medianTemp: stats.median,
-              modeTemp: stats.mode,
-              minTemp: stats.min,
-              maxTemp: stats.max,
-              sampleCount: bufferData.length,
-              isExported: false,
-              isSixHourExported: false, // PERBAIKAN: Field baru untuk 6-hour export tracking
-              sixHourBatch: this.generateSixHourBatch(now), // PERBAIKAN: Batch ID untuk 6 jam
-            },
-          });
+      for (const sensor of this.state.sensors.values()) {
+        if (sensor.bufferData.length === 0) continue;
 
-          await tx.temperatureBuffer.updateMany({
-            where: { id: { in: bufferData.map((item) => item.id) } },
-            data: { isProcessed: true },
-          });
+        const minute = this.formatMinute(sensor.currentMinuteStartTime);
+        if (sensor.lastSavedMinute === minute) {
+          this.logInfo(
+            `⏭️ Minute ${minute} already processed for ${sensor.sensorId}, skipping...`
+          );
+          continue;
+        }
 
-          return aggregate;
-        });
-      });
+        const result = await this.processCurrentMinuteBuffer(sensor.sensorId);
 
-      this.state.lastProcessedSlot = timeSlot;
+        if (result) results.push(result);
+      }
 
-      this.logInfo(
-        `✅ Aggregation completed for ${timeSlot}: ${bufferData.length} samples`,
-        {
-          aggregateId: result.id,
-          stats,
-        }
-      );
+      this.logInfo(`✅ Buffer processed for ${results.length} sensor(s)`);
 
       return {
         success: true,
-        aggregateId: result.id,
-        timeSlot,
-        sampleCount: bufferData.length,
-        stats,
+        sensors: results,
       };
+    } catch (error) {
+      this.handleError(error, { context: "processBuffer" });
+      throw error;
+    } finally {
+      this.state.isProcessing = false;
+    }
+  }
+
+  // Tutup semua window yang sudah jatuh tempo sekarang (manual / debug)
+  async processAggregation() {
+    try {
+      return await this.closeDueWindows();
     } catch (error) {
       this.handleError(error, { context: "processAggregation" });
       throw error;
@@ -541,15 +1584,20 @@ export class TemperatureService {
   }
 
   // Utility methods
+  // PERBAIKAN: Semua label tanggal / menit / slot dalam zona waktu pabrik
+  // Tanggal pabrik "YYYY-MM-DD"
+  formatDate(date) {
+    return formatFactoryDate(date);
+  }
+
   formatMinute(date) {
-    return date.toISOString().slice(0, 16).replace("T", " ");
+    return formatFactoryMinute(date);
   }
 
   generateTimeSlot(date) {
-    const minutes = date.getMinutes();
+    const { hour, minute: minutes } = getZonedParts(date);
     const slotStart = Math.floor(minutes / 10) * 10;
     const slotEnd = slotStart + 10;
-    const hour = date.getHours();
 
     const startTime = `${hour.toString().padStart(2, "0")}:${slotStart
       .toString()
@@ -579,9 +1627,202 @@ export class TemperatureService {
     return { startTime, endTime };
   }
 
+  mean(samples, field) {
+    const values = samples.map((item) => item[field] ?? item.temperature);
+    return values.reduce((acc, value) => acc + value, 0) / values.length;
+  }
+
+  // PERBAIKAN: Statistik slot dari baris menit. Baris yang seluruh
+  // sample-nya spike (sampleCount 0) tidak ikut statistik maupun sampleCount
+  // slot (bobot ringkasan dan kelengkapan), tapi jumlah spike tetap dicatat
+  // di filteredCount agregasi.
+  calculateSlotStats(rows, sensorId = DEFAULT_SENSOR_ID) {
+    const source = this.selectSlotRows(rows);
+
+    return {
+      stats: this.calculateStats(source.map((row) => row.temperature)),
+      humidityStats: this.calculateHumidityStats(source),
+      limitStats: this.calculateLimitStats(source, sensorId),
+      sampleCount: source.length,
+      filteredCount: rows.reduce(
+        (sum, row) => sum + (row.filteredCount || 0),
+        0
+      ),
+    };
+  }
+
+  // Baris menit yang masuk statistik slot
+  selectSlotRows(rows) {
+    const usable = rows.filter((row) => (row.sampleCount ?? 1) > 0);
+    // Semua baris spike (jarang): statistik dari semua baris daripada nol
+    return usable.length > 0 ? usable : rows;
+  }
+
+  // PERBAIKAN: Suhu semua menit di balik baris agregasi, untuk sebaran
+  // ringkasan 6 jam / harian. Baris menit disimpan selama retensi tier 1m
+  // (24 jam), jadi masih ada saat export 6 jam dan harian berjalan. null
+  // kalau menit salah satu slot sudah (sebagian) terhapus retensi.
+  async loadSummaryTemperatures(aggregates) {
+    if (aggregates.length === 0) {
+      return null;
+    }
+
+    const slotMs = this.config.aggregateIntervalMinutes * 60 * 1000;
+    const slots = new Map();
+    let from = Infinity;
+    let to = -Infinity;
+    aggregates.forEach((aggregate) => {
+      const start = this.getAggregateWindowStart(aggregate).getTime();
+      slots.set(`${aggregate.sensorId}|${start}`, { aggregate, rows: [] });
+      from = Math.min(from, start);
+      to = Math.max(to, start + slotMs);
+    });
+
+    const minuteRows = await db.withRetry(async (prisma) => {
+      return await prisma.temperatureMinute.findMany({
+        where: {
+          sensorId: { in: [...new Set(aggregates.map((a) => a.sensorId))] },
+          timestamp: { gte: new Date(from), lt: new Date(to) },
+        },
+        select: {
+          sensorId: true,
+          temperature: true,
+          sampleCount: true,
+          timestamp: true,
+        },
+      });
+    });
+
+    minuteRows.forEach((row) => {
+      const start = this.getWindowStart(row.timestamp).getTime();
+      slots.get(`${row.sensorId}|${start}`)?.rows.push(row);
+    });
+
+    const temperatures = [];
+    for (const { aggregate, rows } of slots.values()) {
+      const selected = this.selectSlotRows(rows);
+      if (selected.length !== aggregate.sampleCount) {
+        return null;
+      }
+      selected.forEach((row) => temperatures.push(row.temperature));
+    }
+
+    return temperatures;
+  }
+
+  // Kolom TemperatureAggregate dari baris menit satu slot (dipakai agregasi
+  // live, hitung ulang slot dan re-agregasi)
+  buildSlotFields(sensorId, rows) {
+    const { stats, humidityStats, limitStats, sampleCount, filteredCount } =
+      this.calculateSlotStats(rows, sensorId);
+
+    return {
+      meanTemp: stats.mean,
+      medianTemp: stats.median,
+      modeTemp: stats.mode,
+      minTemp: stats.min,
+      maxTemp: stats.max,
+      stdDevTemp: stats.stdDev,
+      p5Temp: stats.p5,
+      p95Temp: stats.p95,
+      ...limitStats,
+      ...humidityStats,
+      sampleCount,
+      filteredCount,
+    };
+  }
+
+  // PERBAIKAN: Detik di atas / di bawah batas proses dalam satu slot, jumlah
+  // detik yang tersimpan di baris menit. Baris menit lama (atau yang detiknya
+  // dihitung dengan batas lain) dihitung per menit: 60 detik kalau
+  // rata-ratanya melewati batas. null = batas tidak diatur.
+  calculateLimitStats(rows, sensorId) {
+    const { low, high } = this.temperatureLimits.resolve(sensorId);
+    const secondsWhere = (limit, limitField, field, predicate) =>
+      rows.reduce((sum, row) => {
+        if (row[limitField] === limit && typeof row[field] === "number") {
+          return sum + row[field];
+        }
+        return sum + (predicate(row.temperature) ? 60 : 0);
+      }, 0);
+
+    return {
+      lowLimit: low,
+      highLimit: high,
+      secondsAboveLimit:
+        high !== null
+          ? secondsWhere(
+              high,
+              "highLimit",
+              "secondsAboveLimit",
+              (temp) => temp > high
+            )
+          : null,
+      secondsBelowLimit:
+        low !== null
+          ? secondsWhere(
+              low,
+              "lowLimit",
+              "secondsBelowLimit",
+              (temp) => temp < low
+            )
+          : null,
+    };
+  }
+
+  // Detik di atas / di bawah batas dalam satu menit dari timestamp tiap
+  // reading (tanpa spike). Setiap reading berlaku sampai reading berikutnya;
+  // reading pertama sejak awal menit, reading terakhir sampai akhir menit.
+  // Sample tanpa timestamp (mis. data lama) membagi 60 detik sama rata.
+  calculateMinuteLimitSeconds(sensorId, minuteStart, samples) {
+    const { low, high } = this.temperatureLimits.resolve(sensorId);
+    const start = minuteStart.getTime();
+    const end = start + 60 * 1000;
+
+    const points = samples.map((item) => ({
+      temperature: item.temperature,
+      time: item.timestamp ? new Date(item.timestamp).getTime() : NaN,
+    }));
+    const timed = points.every(({ time }) => time >= start && time < end);
+    if (timed) points.sort((a, b) => a.time - b.time);
+
+    const durations = points.map(({ time }, index) =>
+      timed
+        ? (index === points.length - 1 ? end : points[index + 1].time) -
+          (index === 0 ? start : time)
+        : (end - start) / points.length
+    );
+    const secondsWhere = (limit, predicate) =>
+      limit !== null && points.length > 0
+        ? Math.round(
+            points.reduce(
+              (sum, { temperature }, index) =>
+                predicate(temperature) ? sum + durations[index] : sum,
+              0
+            ) / 1000
+          )
+        : null;
+
+    return {
+      lowLimit: low,
+      highLimit: high,
+      secondsBelowLimit: secondsWhere(low, (temp) => temp < low),
+      secondsAboveLimit: secondsWhere(high, (temp) => temp > high),
+    };
+  }
+
   calculateStats(temperatures) {
     if (temperatures.length === 0) {
-      return { mean: 0, median: 0, mode: 0, min: 0, max: 0 };
+      return {
+        mean: 0,
+        median: 0,
+        mode: 0,
+        min: 0,
+        max: 0,
+        stdDev: 0,
+        p5: 0,
+        p95: 0,
+      };
     }
 
     const mean =
@@ -604,44 +1845,87 @@ export class TemperatureService {
       )
     );
 
+    // Simpangan baku populasi (semua menit slot, bukan sampel)
+    const variance =
+      temperatures.reduce((sum, temp) => sum + (temp - mean) ** 2, 0) /
+      temperatures.length;
+
     return {
       mean: Math.round(mean * 100) / 100,
       median: Math.round(median * 100) / 100,
       mode,
       min: Math.min(...temperatures),
       max: Math.max(...temperatures),
+      stdDev: Math.round(Math.sqrt(variance) * 100) / 100,
+      p5: Math.round(this.percentile(sorted, 5) * 100) / 100,
+      p95: Math.round(this.percentile(sorted, 95) * 100) / 100,
+    };
+  }
+
+  // Persentil dengan interpolasi linear antar nilai terurut
+  percentile(sorted, p) {
+    const position = ((sorted.length - 1) * p) / 100;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  }
+
+  // PERBAIKAN: Statistik kelembaban dari baris menit. Baris tanpa kelembaban
+  // (firmware lama / sensor suhu saja) tidak ikut dihitung.
+  calculateHumidityStats(rows) {
+    const humidities = rows
+      .map((row) => row.humidity)
+      .filter((value) => typeof value === "number" && Number.isFinite(value));
+
+    if (humidities.length === 0) {
+      return { meanHumidity: null, minHumidity: null, maxHumidity: null };
+    }
+
+    const mean =
+      humidities.reduce((sum, value) => sum + value, 0) / humidities.length;
+
+    return {
+      meanHumidity: Math.round(mean * 100) / 100,
+      minHumidity: Math.min(...humidities),
+      maxHumidity: Math.max(...humidities),
     };
   }
 
   async emergencyCleanup() {
     try {
       const keepCount = 50;
-      const latestData = this.state.bufferData.slice(-keepCount);
+      const latestData = new Map();
+      for (const sensor of this.state.sensors.values()) {
+        latestData.set(sensor.sensorId, sensor.bufferData.slice(-keepCount));
+      }
 
-      if (this.state.bufferData.length > 0) {
+      if (this.getBufferSize() > 0) {
         await this.processBuffer();
       }
 
-      this.state.bufferData = latestData;
+      for (const [sensorId, data] of latestData) {
+        this.getSensorState(sensorId).bufferData = data;
+      }
 
       this.logWarn(
-        `Emergency cleanup completed, buffer reduced to ${latestData.length} items`
+        `Emergency cleanup completed, buffer reduced to ${this.getBufferSize()} items`
       );
     } catch (error) {
       this.handleError(error, { context: "emergencyCleanup" });
-      this.state.bufferData = [];
+      for (const sensor of this.state.sensors.values()) {
+        sensor.bufferData = [];
+      }
     }
   }
 
   scheduleDailyExport() {
     const now = new Date();
-    const tomorrow = new Date(now);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    tomorrow.setHours(0, 0, 0, 0);
+    // Tengah malam pabrik berikutnya
+    const tomorrow = addDays(startOfDay(now), 1);
 
     const timeUntilMidnight = tomorrow.getTime() - now.getTime();
 
-    setTimeout(() => {
+    this.timers.exportStart = setTimeout(() => {
       this.exportDailyData().catch(this.handleError.bind(this));
 
       this.timers.export = setInterval(() => {
@@ -657,9 +1941,11 @@ export class TemperatureService {
   }
 
   // PERBAIKAN: Fungsi untuk generate batch ID 6 jam
+  // PERBAIKAN: Tanggal dan jam dari zona pabrik (sebelumnya tanggal UTC +
+  // jam lokal server, batch bisa salah tanggal)
   generateSixHourBatch(date) {
-    const hours = date.getHours();
-    const dateStr = date.toISOString().split("T")[0];
+    const hours = getFactoryHour(date);
+    const dateStr = formatFactoryDate(date);
 
     if (hours >= 0 && hours < 6) {
       return `${dateStr}_00-06`;
@@ -673,23 +1959,39 @@ export class TemperatureService {
   }
 
   // PERBAIKAN: Export data setiap 6 jam
-  // PERBAIKAN: Export data setiap 6 jam
-  async exportSixHourData() {
+  // Tanpa sensorId: export batch saat ini untuk semua sensor yang punya data
+  async exportSixHourData(sensorId = null) {
+    if (!sensorId) {
+      const currentBatch = this.generateSixHourBatch(new Date());
+      const sensorIds = await this.getSensorIdsForBatch(currentBatch);
+      const results = [];
+
+      for (const id of sensorIds) {
+        results.push(await this.exportSixHourData(id));
+      }
+
+      return results;
+    }
+
     try {
       const now = new Date();
       const currentBatch = this.generateSixHourBatch(now);
 
-      this.logInfo(`🕕 Starting 6-hour export for batch: ${currentBatch}`);
+      this.logInfo(
+        `🕕 Starting 6-hour export for batch: ${currentBatch} (${sensorId})`
+      );
 
       // Cek apakah batch ini sudah di-export
       const existingExport = await db.withRetry(async (prisma) => {
         return await prisma.sixHourExport.findUnique({
-          where: { batchId: currentBatch },
+          where: { sensorId_batchId: { sensorId, batchId: currentBatch } },
         });
       });
 
       if (existingExport) {
-        this.logInfo(`⏭️ Batch ${currentBatch} already exported, skipping...`);
+        this.logInfo(
+          `⏭️ Batch ${currentBatch} for ${sensorId} already exported, skipping...`
+        );
         return;
       }
 
@@ -697,6 +1999,7 @@ export class TemperatureService {
       const aggregateData = await db.withRetry(async (prisma) => {
         return await prisma.temperatureAggregate.findMany({
           where: {
+            sensorId,
             sixHourBatch: currentBatch,
             isSixHourExported: false,
           },
@@ -706,7 +2009,9 @@ export class TemperatureService {
 
       // PERBAIKAN: Minimum harus ada data untuk di-export
       if (aggregateData.length === 0) {
-        this.logWarn(`No data to export for batch ${currentBatch}`);
+        this.logWarn(
+          `No data to export for batch ${currentBatch} (${sensorId})`
+        );
         return;
       }
 
@@ -723,20 +2028,35 @@ export class TemperatureService {
       const exportDir = path.join(process.cwd(), "exports", "six-hour");
       await fs.mkdir(exportDir, { recursive: true });
 
+      // PERBAIKAN: Kelengkapan data batch ikut di file export
+      const completeness = await this.getBatchCompleteness(
+        sensorId,
+        currentBatch
+      );
+
       // Export ke CSV dan Excel
       const csvPath = await this.exportSixHourToCSV(
         aggregateData,
         currentBatch,
-        exportDir
+        exportDir,
+        sensorId
       );
       const excelPath = await this.exportSixHourToExcel(
         aggregateData,
         currentBatch,
-        exportDir
+        exportDir,
+        sensorId,
+        completeness
       );
 
       // Hitung statistik
-      const stats = this.calculateSixHourStats(aggregateData);
+      const stats = {
+        ...this.calculateSixHourStats(
+          aggregateData,
+          await this.loadSummaryTemperatures(aggregateData)
+        ),
+        completeness: completeness.completeness,
+      };
       const { startTime } = this.getSixHourTimeRange(currentBatch);
 
       // Simpan record export dan update status
@@ -745,6 +2065,7 @@ export class TemperatureService {
           // Buat record export
           const exportRecord = await tx.sixHourExport.create({
             data: {
+              sensorId,
               batchId: currentBatch,
               startTime,
               endTime,
@@ -754,6 +2075,14 @@ export class TemperatureService {
               avgTemp: stats.avgTemp,
               minTemp: stats.minTemp,
               maxTemp: stats.maxTemp,
+              avgHumidity: stats.avgHumidity,
+              minHumidity: stats.minHumidity,
+              maxHumidity: stats.maxHumidity,
+              stdDevTemp: stats.stdDevTemp,
+              p5Temp: stats.p5Temp,
+              p95Temp: stats.p95Temp,
+              secondsAboveLimit: stats.secondsAboveLimit,
+              secondsBelowLimit: stats.secondsBelowLimit,
               isReady: true,
               downloadNotified: false,
             },
@@ -770,11 +2099,12 @@ export class TemperatureService {
       });
 
       this.logInfo(
-        `✅ 6-hour export completed: ${aggregateData.length} records for batch ${currentBatch}`
+        `✅ 6-hour export completed: ${aggregateData.length} records for batch ${currentBatch} (${sensorId})`
       );
 
       // PERBAIKAN: Emit notifikasi ke frontend via Socket.IO
       this.emitSixHourExportNotification(currentBatch, {
+        sensorId,
         csvPath,
         excelPath,
         recordCount: aggregateData.length,
@@ -783,6 +2113,7 @@ export class TemperatureService {
 
       return {
         success: true,
+        sensorId,
         batchId: currentBatch,
         recordCount: aggregateData.length,
         csvPath,
@@ -790,22 +2121,31 @@ export class TemperatureService {
         stats,
       };
     } catch (error) {
-      this.handleError(error, { context: "exportSixHourData" });
+      this.handleError(error, { context: "exportSixHourData", sensorId });
       throw error;
     }
   }
 
   // PERBAIKAN: Export ke CSV untuk 6 jam
-  async exportSixHourToCSV(data, batchId, exportDir) {
-    const csvPath = path.join(exportDir, `temperature_6h_${batchId}.csv`);
+  async exportSixHourToCSV(data, batchId, exportDir, sensorId) {
+    const csvPath = path.join(
+      exportDir,
+      `temperature_6h_${sensorId}_${batchId}.csv`
+    );
     const csvHeader =
-      "Date,TimeSlot,MeanTemp,MedianTemp,ModeTemp,MinTemp,MaxTemp,SampleCount\n";
+      "Date,SensorId,TimeSlot,WindowStart,MeanTemp,MedianTemp,ModeTemp,MinTemp,MaxTemp,StdDevTemp,P5Temp,P95Temp,LowLimit,HighLimit,SecondsBelowLimit,SecondsAboveLimit,MeanHumidity,MinHumidity,MaxHumidity,SampleCount,Completeness\n";
     const csvData = data
       .map(
         (row) =>
-          `${batchId.split("_")[0]},${row.timeSlot},${row.meanTemp},${
-            row.medianTemp
-          },${row.modeTemp},${row.minTemp},${row.maxTemp},${row.sampleCount}`
+          `${batchId.split("_")[0]},${row.sensorId},${
+            row.timeSlot
+          },${this.formatWindowStart(row)},${row.meanTemp},${row.medianTemp},${
+            row.modeTemp
+          },${row.minTemp},${row.maxTemp},${this.formatDistributionColumns(
+            row
+          )},${row.meanHumidity ?? ""},${row.minHumidity ?? ""},${
+            row.maxHumidity ?? ""
+          },${row.sampleCount},${this.slotCompleteness(row)}`
       )
       .join("\n");
 
@@ -814,32 +2154,55 @@ export class TemperatureService {
   }
 
   // PERBAIKAN: Export ke Excel untuk 6 jam
-  async exportSixHourToExcel(data, batchId, exportDir) {
-    const excelPath = path.join(exportDir, `temperature_6h_${batchId}.xlsx`);
+  async exportSixHourToExcel(
+    data,
+    batchId,
+    exportDir,
+    sensorId,
+    completeness = null
+  ) {
+    const excelPath = path.join(
+      exportDir,
+      `temperature_6h_${sensorId}_${batchId}.xlsx`
+    );
     const workbook = new ExcelJS.Workbook();
     const worksheet = workbook.addWorksheet(`6-Hour Data ${batchId}`);
 
     worksheet.columns = [
       { header: "Date", key: "date", width: 12 },
+      { header: "Sensor", key: "sensorId", width: 18 },
       { header: "Time Slot", key: "timeSlot", width: 15 },
+      { header: "Window Start", key: "windowStart", width: 26 },
       { header: "Mean Temp", key: "meanTemp", width: 12 },
       { header: "Median Temp", key: "medianTemp", width: 12 },
       { header: "Mode Temp", key: "modeTemp", width: 12 },
       { header: "Min Temp", key: "minTemp", width: 12 },
       { header: "Max Temp", key: "maxTemp", width: 12 },
+      ...DISTRIBUTION_COLUMNS,
+      { header: "Mean RH (%)", key: "meanHumidity", width: 12 },
+      { header: "Min RH (%)", key: "minHumidity", width: 12 },
+      { header: "Max RH (%)", key: "maxHumidity", width: 12 },
       { header: "Sample Count", key: "sampleCount", width: 12 },
+      { header: "Completeness (%)", key: "completeness", width: 16 },
     ];
 
     data.forEach((row) => {
       worksheet.addRow({
         date: batchId.split("_")[0],
+        sensorId: row.sensorId,
         timeSlot: row.timeSlot,
+        windowStart: this.formatWindowStart(row),
         meanTemp: row.meanTemp,
         medianTemp: row.medianTemp,
         modeTemp: row.modeTemp,
         minTemp: row.minTemp,
         maxTemp: row.maxTemp,
+        ...this.pickDistributionFields(row),
+        meanHumidity: row.meanHumidity,
+        minHumidity: row.minHumidity,
+        maxHumidity: row.maxHumidity,
         sampleCount: row.sampleCount,
+        completeness: this.slotCompleteness(row),
       });
     });
 
@@ -851,13 +2214,28 @@ export class TemperatureService {
       fgColor: { argb: "FFE6F3FF" },
     };
 
+    if (completeness) {
+      this.addCompletenessSheet(workbook, completeness);
+    }
+
     await workbook.xlsx.writeFile(excelPath);
     return excelPath;
   }
 
-  // PERBAIKAN: Hitung statistik untuk 6 jam
-  calculateSixHourStats(data) {
-    if (data.length === 0) return { avgTemp: 0, minTemp: 0, maxTemp: 0 };
+  // PERBAIKAN: Hitung statistik untuk 6 jam (temperatures: lihat
+  // calculateDistributionSummary)
+  calculateSixHourStats(data, temperatures = null) {
+    if (data.length === 0) {
+      return {
+        avgTemp: 0,
+        minTemp: 0,
+        maxTemp: 0,
+        avgHumidity: null,
+        minHumidity: null,
+        maxHumidity: null,
+        ...this.calculateDistributionSummary(data, temperatures),
+      };
+    }
 
     const allMeans = data.map((item) => item.meanTemp);
     const allMins = data.map((item) => item.minTemp);
@@ -871,6 +2249,101 @@ export class TemperatureService {
         ) / 100,
       minTemp: Math.min(...allMins),
       maxTemp: Math.max(...allMaxs),
+      ...this.calculateHumiditySummary(data),
+      ...this.calculateDistributionSummary(data, temperatures),
+    };
+  }
+
+  // PERBAIKAN: Sebaran suhu dan waktu di luar batas untuk ringkasan 6 jam /
+  // harian. temperatures = suhu semua menit slot (loadSummaryTemperatures):
+  // simpangan baku dan P5 / P95 dihitung langsung dari menit-menit itu.
+  // Tanpa menit (sudah terhapus retensi), simpangan baku digabung dari mean,
+  // simpangan baku dan jumlah menit tiap slot, dan persentil null karena
+  // tidak bisa digabung dari slot. Slot lama tanpa statistik ini dilewati.
+  calculateDistributionSummary(data, temperatures = null) {
+    const withStats = data.filter(
+      (item) =>
+        typeof item.stdDevTemp === "number" && (item.sampleCount ?? 0) > 0
+    );
+    const sumOf = (field) => {
+      const values = data
+        .map((item) => item[field])
+        .filter((value) => typeof value === "number");
+      return values.length > 0
+        ? values.reduce((sum, value) => sum + value, 0)
+        : null;
+    };
+
+    if (temperatures && temperatures.length > 0) {
+      // Tanpa calculateStats: Math.min(...) bisa melebihi batas argumen
+      // untuk menit sehari semua sensor
+      const sorted = [...temperatures].sort((a, b) => a - b);
+      const mean = sorted.reduce((sum, temp) => sum + temp, 0) / sorted.length;
+      const variance =
+        sorted.reduce((sum, temp) => sum + (temp - mean) ** 2, 0) /
+        sorted.length;
+
+      return {
+        stdDevTemp: Math.round(Math.sqrt(variance) * 100) / 100,
+        p5Temp: Math.round(this.percentile(sorted, 5) * 100) / 100,
+        p95Temp: Math.round(this.percentile(sorted, 95) * 100) / 100,
+        secondsAboveLimit: sumOf("secondsAboveLimit"),
+        secondsBelowLimit: sumOf("secondsBelowLimit"),
+      };
+    }
+
+    if (withStats.length === 0) {
+      return {
+        stdDevTemp: null,
+        p5Temp: null,
+        p95Temp: null,
+        secondsAboveLimit: sumOf("secondsAboveLimit"),
+        secondsBelowLimit: sumOf("secondsBelowLimit"),
+      };
+    }
+
+    const minutes = withStats.reduce((sum, item) => sum + item.sampleCount, 0);
+    const mean =
+      withStats.reduce(
+        (sum, item) => sum + item.meanTemp * item.sampleCount,
+        0
+      ) / minutes;
+    const variance =
+      withStats.reduce(
+        (sum, item) =>
+          sum +
+          item.sampleCount *
+            (item.stdDevTemp ** 2 + (item.meanTemp - mean) ** 2),
+        0
+      ) / minutes;
+
+    return {
+      stdDevTemp: Math.round(Math.sqrt(variance) * 100) / 100,
+      p5Temp: null,
+      p95Temp: null,
+      secondsAboveLimit: sumOf("secondsAboveLimit"),
+      secondsBelowLimit: sumOf("secondsBelowLimit"),
+    };
+  }
+
+  // PERBAIKAN: Ringkasan kelembaban dari baris agregasi (slot tanpa
+  // kelembaban dilewati)
+  calculateHumiditySummary(data) {
+    const withHumidity = data.filter((item) => item.meanHumidity !== null);
+
+    if (withHumidity.length === 0) {
+      return { avgHumidity: null, minHumidity: null, maxHumidity: null };
+    }
+
+    const means = withHumidity.map((item) => item.meanHumidity);
+
+    return {
+      avgHumidity:
+        Math.round(
+          (means.reduce((sum, value) => sum + value, 0) / means.length) * 100
+        ) / 100,
+      minHumidity: Math.min(...withHumidity.map((item) => item.minHumidity)),
+      maxHumidity: Math.max(...withHumidity.map((item) => item.maxHumidity)),
     };
   }
 
@@ -878,12 +2351,10 @@ export class TemperatureService {
   getSixHourTimeRange(batchId) {
     const [dateStr, timeRange] = batchId.split("_");
     const [startHour, endHour] = timeRange.split("-").map((h) => parseInt(h));
+    const [year, month, day] = dateStr.split("-").map((part) => parseInt(part));
 
-    const startTime = new Date(dateStr);
-    startTime.setHours(startHour, 0, 0, 0);
-
-    const endTime = new Date(dateStr);
-    endTime.setHours(endHour, 0, 0, 0);
+    const startTime = zonedTimeToDate({ year, month, day, hour: startHour });
+    const endTime = zonedTimeToDate({ year, month, day, hour: endHour });
 
     return { startTime, endTime };
   }
@@ -894,7 +2365,8 @@ export class TemperatureService {
     if (global.io) {
       global.io.emit("sixHourExportReady", {
         batchId,
-        message: `Data 6 jam untuk batch ${batchId} siap untuk di-download!`,
+        sensorId: exportData.sensorId,
+        message: `Data 6 jam untuk batch ${batchId} (${exportData.sensorId}) siap untuk di-download!`,
         exportData,
         timestamp: new Date().toISOString(),
       });
@@ -903,38 +2375,53 @@ export class TemperatureService {
     this.logInfo(`📢 6-hour export notification sent for batch: ${batchId}`);
   }
 
-  // PERBAIKAN: Cleanup data yang sudah lebih dari 24 jam dan sudah di-backup
+  // PERBAIKAN: Cleanup data yang lewat retensi tier-nya (ROLLUP_RETENTION)
+  // dan sudah di-backup
   async cleanupOldData() {
     try {
       this.logInfo("🧹 Starting cleanup of old data...");
 
-      const twentyFourHoursAgo = new Date();
-      twentyFourHoursAgo.setHours(twentyFourHoursAgo.getHours() - 24);
+      const now = Date.now();
+      const rawCutoff = new Date(now - this.retentionMs.raw);
+      const minuteCutoff = new Date(now - this.retentionMs["1m"]);
+      const slotCutoff = new Date(now - this.retentionMs["10m"]);
+
+      // PERBAIKAN: Cleanup reading mentah (default 24 jam). Tidak dipakai
+      // agregasi, jadi tidak perlu menunggu isProcessed.
+      const deletedReadings = await db.withRetry(async (prisma) => {
+        return await prisma.temperatureReading.deleteMany({
+          where: { timestamp: { lt: rawCutoff } },
+        });
+      });
 
-      // Cleanup buffer data yang sudah processed dan lebih dari 24 jam
+      // Cleanup baris menit yang sudah diagregasi (default 24 jam)
       const deletedBuffers = await db.withRetry(async (prisma) => {
-        return await prisma.temperatureBuffer.deleteMany({
+        return await prisma.temperatureMinute.deleteMany({
           where: {
-            timestamp: { lt: twentyFourHoursAgo },
+            timestamp: { lt: minuteCutoff },
             isProcessed: true,
           },
         });
       });
 
-      // Cleanup agregasi data yang sudah di-export dan lebih dari 7 hari
-      const sevenDaysAgo = new Date();
-      sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-
+      // Cleanup agregasi 10 menit yang sudah di-export (default 7 hari)
       const deletedAggregates = await db.withRetry(async (prisma) => {
         return await prisma.temperatureAggregate.deleteMany({
           where: {
-            date: { lt: sevenDaysAgo },
+            date: { lt: slotCutoff },
             isExported: true,
             isSixHourExported: true,
           },
         });
       });
 
+      // Cleanup catatan gap seumur agregasi 10 menit
+      const deletedGaps = await db.withRetry(async (prisma) => {
+        return await prisma.temperatureGap.deleteMany({
+          where: { windowStart: { lt: slotCutoff } },
+        });
+      });
+
       // Cleanup export records yang lebih dari 30 hari
       const thirtyDaysAgo = new Date();
       thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
@@ -948,13 +2435,15 @@ export class TemperatureService {
       });
 
       this.logInfo(
-        `✅ Cleanup completed: ${deletedBuffers.count} buffers, ${deletedAggregates.count} aggregates, ${deletedExports.count} exports deleted`
+        `✅ Cleanup completed: ${deletedReadings.count} raw readings, ${deletedBuffers.count} minute rows, ${deletedAggregates.count} aggregates, ${deletedGaps.count} gaps, ${deletedExports.count} exports deleted`
       );
 
       return {
         success: true,
+        deletedReadings: deletedReadings.count,
         deletedBuffers: deletedBuffers.count,
         deletedAggregates: deletedAggregates.count,
+        deletedGaps: deletedGaps.count,
         deletedExports: deletedExports.count,
         timestamp: new Date().toISOString(),
       };
@@ -966,11 +2455,11 @@ export class TemperatureService {
 
   async exportDailyData() {
     try {
-      const yesterday = new Date();
-      yesterday.setDate(yesterday.getDate() - 1);
-      yesterday.setHours(0, 0, 0, 0);
+      // PERBAIKAN: "Kemarin" menurut zona waktu pabrik
+      const yesterday = addDays(startOfDay(), -1);
+      const nextDay = addDays(yesterday, 1);
 
-      const dateString = yesterday.toISOString().split("T")[0];
+      const dateString = formatFactoryDate(yesterday);
 
       this.logInfo(`📤 Starting daily export for ${dateString}`);
 
@@ -980,11 +2469,11 @@ export class TemperatureService {
           where: {
             date: {
               gte: yesterday,
-              lt: new Date(yesterday.getTime() + 24 * 60 * 60 * 1000),
+              lt: nextDay,
             },
             isExported: false,
           },
-          orderBy: { timeSlot: "asc" },
+          orderBy: [{ sensorId: "asc" }, { timeSlot: "asc" }],
         });
       });
 
@@ -996,6 +2485,12 @@ export class TemperatureService {
       const exportDir = path.join(process.cwd(), "exports");
       await fs.mkdir(exportDir, { recursive: true });
 
+      // PERBAIKAN: Kelengkapan data hari kemarin (semua sensor)
+      const completeness = await this.getCompleteness({
+        from: yesterday,
+        to: nextDay,
+      });
+
       const csvPath = await this.exportToCSV(
         aggregateData,
         dateString,
@@ -1004,7 +2499,13 @@ export class TemperatureService {
       const excelPath = await this.exportToExcel(
         aggregateData,
         dateString,
-        exportDir
+        exportDir,
+        completeness
+      );
+
+      const dailyStats = this.calculateDailyStats(
+        aggregateData,
+        await this.loadSummaryTemperatures(aggregateData)
       );
 
       await db.withRetry(async (prisma) => {
@@ -1015,39 +2516,40 @@ export class TemperatureService {
               csvFilePath: csvPath,
               excelFilePath: excelPath,
               totalRecords: aggregateData.length,
-              avgDailyTemp: this.calculateDailyStats(aggregateData).avgTemp,
-              minDailyTemp: this.calculateDailyStats(aggregateData).minTemp,
-              maxDailyTemp: this.calculateDailyStats(aggregateData).maxTemp,
+              avgDailyTemp: dailyStats.avgTemp,
+              minDailyTemp: dailyStats.minTemp,
+              maxDailyTemp: dailyStats.maxTemp,
+              avgDailyHumidity: dailyStats.avgHumidity,
+              minDailyHumidity: dailyStats.minHumidity,
+              maxDailyHumidity: dailyStats.maxHumidity,
+              stdDevDailyTemp: dailyStats.stdDevTemp,
+              p5DailyTemp: dailyStats.p5Temp,
+              p95DailyTemp: dailyStats.p95Temp,
+              secondsAboveLimit: dailyStats.secondsAboveLimit,
+              secondsBelowLimit: dailyStats.secondsBelowLimit,
+              completeness: completeness.completeness,
             },
           });
 
+          // PERBAIKAN: Agregasi tidak langsung dihapus; tetap tersimpan
+          // selama retensi tier 10m (sumber rollup 1 jam dan kelengkapan),
+          // dihapus oleh cleanupOldData
           await tx.temperatureAggregate.updateMany({
             where: { id: { in: aggregateData.map((item) => item.id) } },
             data: { isExported: true },
           });
-
-          // PERBAIKAN: HAPUS data agregasi yang sudah di-backup (requirement 24 jam)
-          await tx.temperatureAggregate.deleteMany({
-            where: {
-              date: {
-                gte: yesterday,
-                lt: new Date(yesterday.getTime() + 24 * 60 * 60 * 1000),
-              },
-              isExported: true,
-              isSixHourExported: true,
-            },
-          });
         });
       });
 
       this.logInfo(
-        `✅ Daily export completed: ${aggregateData.length} records for ${dateString} and old data cleaned up`
+        `✅ Daily export completed: ${aggregateData.length} records for ${dateString}`
       );
 
       return {
         success: true,
         date: dateString,
         recordCount: aggregateData.length,
+        completeness: completeness.completeness,
         csvPath,
         excelPath,
       };
@@ -1057,14 +2559,111 @@ export class TemperatureService {
     }
   }
 
+  // PERBAIKAN: Tulis ulang backup harian yang sudah ada setelah agregasi
+  // hari itu berubah (re-agregasi). Hari yang belum di-export tidak disentuh.
+  async refreshDailyExport(dateString) {
+    const existingBackup = await db.withRetry(async (prisma) => {
+      return await prisma.dailyTemperatureBackup.findUnique({
+        where: { date: dateString },
+      });
+    });
+
+    if (!existingBackup) {
+      return false;
+    }
+
+    const day = parseFactoryDate(dateString);
+    const nextDay = addDays(day, 1);
+
+    const aggregateData = await db.withRetry(async (prisma) => {
+      return await prisma.temperatureAggregate.findMany({
+        where: { date: { gte: day, lt: nextDay } },
+        orderBy: [{ sensorId: "asc" }, { timeSlot: "asc" }],
+      });
+    });
+
+    // Agregasi hari itu sudah dihapus retensi: file lama dibiarkan
+    if (aggregateData.length === 0) {
+      return false;
+    }
+
+    const exportDir = path.join(process.cwd(), "exports");
+    await fs.mkdir(exportDir, { recursive: true });
+
+    const completeness = await this.getCompleteness({
+      from: day,
+      to: nextDay,
+    });
+    const csvPath = await this.exportToCSV(
+      aggregateData,
+      dateString,
+      exportDir
+    );
+    const excelPath = await this.exportToExcel(
+      aggregateData,
+      dateString,
+      exportDir,
+      completeness
+    );
+    const dailyStats = this.calculateDailyStats(
+      aggregateData,
+      await this.loadSummaryTemperatures(aggregateData)
+    );
+
+    await db.withRetry(async (prisma) => {
+      return await prisma.$transaction(async (tx) => {
+        await tx.dailyTemperatureBackup.update({
+          where: { id: existingBackup.id },
+          data: {
+            csvFilePath: csvPath,
+            excelFilePath: excelPath,
+            totalRecords: aggregateData.length,
+            avgDailyTemp: dailyStats.avgTemp,
+            minDailyTemp: dailyStats.minTemp,
+            maxDailyTemp: dailyStats.maxTemp,
+            avgDailyHumidity: dailyStats.avgHumidity,
+            minDailyHumidity: dailyStats.minHumidity,
+            maxDailyHumidity: dailyStats.maxHumidity,
+            stdDevDailyTemp: dailyStats.stdDevTemp,
+            p5DailyTemp: dailyStats.p5Temp,
+            p95DailyTemp: dailyStats.p95Temp,
+            secondsAboveLimit: dailyStats.secondsAboveLimit,
+            secondsBelowLimit: dailyStats.secondsBelowLimit,
+            completeness: completeness.completeness,
+            exportedAt: new Date(),
+          },
+        });
+
+        await tx.temperatureAggregate.updateMany({
+          where: { id: { in: aggregateData.map((item) => item.id) } },
+          data: { isExported: true },
+        });
+      });
+    });
+
+    this.logInfo(
+      `♻️ Daily backup ${dateString} regenerated (${aggregateData.length} records)`
+    );
+
+    return true;
+  }
+
   async exportToCSV(data, dateString, exportDir) {
     const csvPath = path.join(exportDir, `temperature_${dateString}.csv`);
     const csvHeader =
-      "Date,TimeSlot,MeanTemp,MedianTemp,ModeTemp,MinTemp,MaxTemp,SampleCount\n";
+      "Date,SensorId,TimeSlot,WindowStart,MeanTemp,MedianTemp,ModeTemp,MinTemp,MaxTemp,StdDevTemp,P5Temp,P95Temp,LowLimit,HighLimit,SecondsBelowLimit,SecondsAboveLimit,MeanHumidity,MinHumidity,MaxHumidity,SampleCount,Completeness\n";
     const csvData = data
       .map(
         (row) =>
-          `${dateString},${row.timeSlot},${row.meanTemp},${row.medianTemp},${row.modeTemp},${row.minTemp},${row.maxTemp},${row.sampleCount}`
+          `${dateString},${row.sensorId},${
+            row.timeSlot
+          },${this.formatWindowStart(row)},${row.meanTemp},${row.medianTemp},${
+            row.modeTemp
+          },${row.minTemp},${row.maxTemp},${this.formatDistributionColumns(
+            row
+          )},${row.meanHumidity ?? ""},${row.minHumidity ?? ""},${
+            row.maxHumidity ?? ""
+          },${row.sampleCount},${this.slotCompleteness(row)}`
       )
       .join("\n");
 
@@ -1072,32 +2671,46 @@ export class TemperatureService {
     return csvPath;
   }
 
-  async exportToExcel(data, dateString, exportDir) {
+  async exportToExcel(data, dateString, exportDir, completeness = null) {
     const excelPath = path.join(exportDir, `temperature_${dateString}.xlsx`);
     const workbook = new ExcelJS.Workbook();
     const worksheet = workbook.addWorksheet(`Temperature Data ${dateString}`);
 
     worksheet.columns = [
       { header: "Date", key: "date", width: 12 },
+      { header: "Sensor", key: "sensorId", width: 18 },
       { header: "Time Slot", key: "timeSlot", width: 15 },
+      { header: "Window Start", key: "windowStart", width: 26 },
       { header: "Mean Temp", key: "meanTemp", width: 12 },
       { header: "Median Temp", key: "medianTemp", width: 12 },
       { header: "Mode Temp", key: "modeTemp", width: 12 },
       { header: "Min Temp", key: "minTemp", width: 12 },
       { header: "Max Temp", key: "maxTemp", width: 12 },
+      ...DISTRIBUTION_COLUMNS,
+      { header: "Mean RH (%)", key: "meanHumidity", width: 12 },
+      { header: "Min RH (%)", key: "minHumidity", width: 12 },
+      { header: "Max RH (%)", key: "maxHumidity", width: 12 },
       { header: "Sample Count", key: "sampleCount", width: 12 },
+      { header: "Completeness (%)", key: "completeness", width: 16 },
     ];
 
     data.forEach((row) => {
       worksheet.addRow({
         date: dateString,
+        sensorId: row.sensorId,
         timeSlot: row.timeSlot,
+        windowStart: this.formatWindowStart(row),
         meanTemp: row.meanTemp,
         medianTemp: row.medianTemp,
         modeTemp: row.modeTemp,
         minTemp: row.minTemp,
         maxTemp: row.maxTemp,
+        ...this.pickDistributionFields(row),
+        meanHumidity: row.meanHumidity,
+        minHumidity: row.minHumidity,
+        maxHumidity: row.maxHumidity,
         sampleCount: row.sampleCount,
+        completeness: this.slotCompleteness(row),
       });
     });
 
@@ -1108,12 +2721,93 @@ export class TemperatureService {
       fgColor: { argb: "FFE6F3FF" },
     };
 
+    if (completeness) {
+      this.addCompletenessSheet(workbook, completeness);
+    }
+
     await workbook.xlsx.writeFile(excelPath);
     return excelPath;
   }
 
-  calculateDailyStats(data) {
-    if (data.length === 0) return { avgTemp: 0, minTemp: 0, maxTemp: 0 };
+  // Kolom sebaran / batas di CSV (kosong untuk slot lama tanpa statistik ini)
+  formatDistributionColumns(row) {
+    return DISTRIBUTION_COLUMNS.map(({ key }) => row[key] ?? "").join(",");
+  }
+
+  pickDistributionFields(row) {
+    return Object.fromEntries(
+      DISTRIBUTION_COLUMNS.map(({ key }) => [key, row[key] ?? null])
+    );
+  }
+
+  // PERBAIKAN: Timestamp di file export dengan offset zona pabrik,
+  // mis. "2025-01-15T08:00:00+07:00"
+  formatWindowStart(row) {
+    return toFactoryISOString(this.getAggregateWindowStart(row));
+  }
+
+  // PERBAIKAN: Persentase menit yang diterima dalam satu slot 10 menit
+  slotCompleteness(row) {
+    const minutes = Math.min(
+      row.sampleCount,
+      this.config.aggregateIntervalMinutes
+    );
+    return (
+      Math.round((minutes / this.config.aggregateIntervalMinutes) * 10000) / 100
+    );
+  }
+
+  // PERBAIKAN: Sheet ringkasan kelengkapan + daftar gap per sensor
+  addCompletenessSheet(workbook, { from, to, sensors }) {
+    const sheet = workbook.addWorksheet("Completeness");
+
+    sheet.columns = [
+      { header: "Sensor", key: "sensorId", width: 18 },
+      { header: "Type", key: "type", width: 10 },
+      { header: "Start", key: "start", width: 20 },
+      { header: "End", key: "end", width: 20 },
+      { header: "Expected Minutes", key: "expected", width: 16 },
+      { header: "Received / Missing Minutes", key: "minutes", width: 26 },
+      { header: "Completeness (%)", key: "completeness", width: 16 },
+    ];
+
+    sensors.forEach((sensor) => {
+      sheet.addRow({
+        sensorId: sensor.sensorId,
+        type: "summary",
+        start: this.formatMinute(from),
+        end: this.formatMinute(to),
+        expected: sensor.expectedMinutes,
+        minutes: sensor.receivedMinutes,
+        completeness: sensor.completeness,
+      });
+
+      sensor.gaps.forEach((gap) => {
+        sheet.addRow({
+          sensorId: sensor.sensorId,
+          type: gap.type,
+          start: this.formatMinute(gap.start),
+          end: this.formatMinute(gap.end),
+          minutes: gap.missingMinutes,
+        });
+      });
+    });
+
+    sheet.getRow(1).font = { bold: true };
+  }
+
+  calculateDailyStats(data, temperatures = null) {
+    if (data.length === 0) {
+      return {
+        avgTemp: 0,
+        minTemp: 0,
+        maxTemp: 0,
+        avgHumidity: null,
+        minHumidity: null,
+        maxHumidity: null,
+        ...this.calculateDistributionSummary(data, temperatures),
+      };
+    }
 
     const allMeans = data.map((item) => item.meanTemp);
     const allMins = data.map((item) => item.minTemp);
@@ -1127,6 +2821,8 @@ export class TemperatureService {
         ) / 100,
       minTemp: Math.min(...allMins),
       maxTemp: Math.max(...allMaxs),
+      ...this.calculateHumiditySummary(data),
+      ...this.calculateDistributionSummary(data, temperatures),
     };
   }
 
@@ -1175,28 +2871,38 @@ export class TemperatureService {
 
   async getSystemStatus() {
     try {
-      const [bufferCount, processedCount, aggregateCount] = await Promise.all([
-        db.withRetry(async (prisma) =>
-          prisma.temperatureBuffer.count({ where: { isProcessed: false } })
-        ),
-        db.withRetry(async (prisma) =>
-          prisma.temperatureBuffer.count({ where: { isProcessed: true } })
-        ),
-        db.withRetry(async (prisma) =>
-          prisma.temperatureAggregate.count({ where: { isExported: false } })
-        ),
-      ]);
+      const [bufferCount, processedCount, aggregateCount, readingCount] =
+        await Promise.all([
+          db.withRetry(async (prisma) =>
+            prisma.temperatureMinute.count({ where: { isProcessed: false } })
+          ),
+          db.withRetry(async (prisma) =>
+            prisma.temperatureMinute.count({ where: { isProcessed: true } })
+          ),
+          db.withRetry(async (prisma) =>
+            prisma.temperatureAggregate.count({ where: { isExported: false } })
+          ),
+          db.withRetry(async (prisma) => prisma.temperatureReading.count()),
+        ]);
 
       return {
         status: "healthy",
-        memoryBuffer: this.state.bufferData.length,
+        memoryBuffer: this.getBufferSize(),
+        sensors: this.getSensorSummaries(),
         databaseBuffer: bufferCount,
         processedBuffer: processedCount,
+        rawReadings: readingCount,
         pendingAggregates: aggregateCount,
         lastSavedMinute: this.state.lastSavedMinute,
         lastProcessedSlot: this.state.lastProcessedSlot,
         isProcessing: this.state.isProcessing,
+        checkpoint: {
+          enabled: this.checkpointEnabled,
+          path: this.config.checkpointPath,
+          lastWrittenAt: this.state.lastCheckpointAt,
+        },
         config: this.config,
+        timezone: getFactoryTimezone(),
         timestamp: new Date().toISOString(),
       };
     } catch (error) {
@@ -1224,17 +2930,156 @@ export class TemperatureService {
     return await this.exportDailyData();
   }
 
-  async cleanup() {
-    this.logInfo("🔄 Cleaning up TemperatureService...");
+  // PERBAIKAN: Isi checkpoint: state scheduler per sensor dan semua sample
+  // yang belum tersimpan (menit tertunda + menit yang sedang berjalan)
+  buildCheckpoint() {
+    return {
+      version: 1,
+      savedAt: new Date(),
+      lastSavedMinute: this.state.lastSavedMinute,
+      lastProcessedSlot: this.state.lastProcessedSlot,
+      sensors: [...this.state.sensors.values()].map((sensor) => ({
+        sensorId: sensor.sensorId,
+        lastSavedMinute: sensor.lastSavedMinute,
+        lastProcessedSlot: sensor.lastProcessedSlot,
+        nextWindowStart: sensor.nextWindowStart,
+        lastDataAt: sensor.lastDataAt,
+        pending: [
+          ...sensor.flushing.map(({ minuteStart, samples }) => ({
+            minuteStart,
+            samples,
+          })),
+          ...(sensor.bufferData.length > 0
+            ? [
+                {
+                  minuteStart: sensor.currentMinuteStartTime,
+                  samples: sensor.bufferData,
+                },
+              ]
+            : []),
+        ],
+      })),
+    };
+  }
+
+  // Sinkron supaya bisa dipanggil dari handler uncaughtException
+  writeCheckpoint() {
+    if (!this.checkpointEnabled) return;
+
+    try {
+      writeStateCheckpoint(this.config.checkpointPath, this.buildCheckpoint(), {
+        fsync: this.config.checkpointFsync,
+      });
+      this.state.checkpointDirty = false;
+      this.state.lastCheckpointAt = new Date();
+    } catch (error) {
+      console.error("❌ Failed to write buffer checkpoint:", error.message);
+    }
+  }
+
+  // PERBAIKAN: Pulihkan state dari checkpoint run sebelumnya. Sample yang
+  // belum tersimpan langsung disimpan ke baris menitnya (digabung kalau
+  // menit itu sudah punya baris) dan diagregasi kalau window-nya sudah lewat.
+  async restoreCheckpoint() {
+    const checkpoint = readStateCheckpoint(this.config.checkpointPath);
+    if (!checkpoint || checkpoint.version !== 1) return;
+
+    const toDate = (value) => (value ? new Date(value) : null);
+    let sampleCount = 0;
+
+    (checkpoint.sensors || []).forEach((saved) => {
+      const sensor = this.getSensorState(saved.sensorId);
+      sensor.lastSavedMinute = saved.lastSavedMinute ?? null;
+      sensor.lastProcessedSlot = saved.lastProcessedSlot ?? null;
+      // restoreWindowState tetap mengecek database (dan baris orphan)
+      sensor.nextWindowStart = toDate(saved.nextWindowStart);
+      sensor.lastDataAt = toDate(saved.lastDataAt);
+
+      (saved.pending || []).forEach(({ minuteStart, samples }) => {
+        if (!minuteStart || !samples?.length) return;
+        sampleCount += samples.length;
+        sensor.flushing.push({
+          minuteStart: new Date(minuteStart),
+          samples: samples.map((sample) => ({
+            ...sample,
+            timestamp: toDate(sample.timestamp),
+            receivedAt: toDate(sample.receivedAt),
+          })),
+        });
+      });
+    });
+
+    this.state.lastSavedMinute = checkpoint.lastSavedMinute ?? null;
+    this.state.lastProcessedSlot = checkpoint.lastProcessedSlot ?? null;
+
+    this.logInfo(
+      `♻️ Buffer checkpoint from ${checkpoint.savedAt} restored: ${
+        checkpoint.sensors?.length || 0
+      } sensor(s), ${sampleCount} unsaved reading(s)`
+    );
+
+    if (sampleCount > 0) {
+      await this.flushPendingMinutes();
+    }
+  }
+
+  // PERBAIKAN: Shutdown: hentikan timer, tunggu pekerjaan yang sedang
+  // berjalan, simpan semua buffer menit, lalu tulis checkpoint terakhir.
+  // Sample yang gagal disimpan (database down) tetap di checkpoint dan
+  // dipulihkan saat start berikutnya.
+  async shutdown({ timeoutMs = 20000 } = {}) {
+    if (this.state.isShuttingDown) return;
+    this.state.isShuttingDown = true;
+    this.logInfo("🔄 Shutting down TemperatureService...");
 
     Object.values(this.timers).forEach((timer) => {
       if (timer) clearInterval(timer);
     });
 
-    if (this.state.bufferData.length > 0) {
-      await this.processBuffer();
+    await this.ready.catch(() => {});
+
+    const isBusy = () =>
+      this.state.isClosingWindows ||
+      this.state.isProcessing ||
+      [...this.state.sensors.values()].some((sensor) =>
+        sensor.flushing.some((entry) => entry.saving)
+      );
+    const deadline = Date.now() + timeoutMs;
+    while (isBusy() && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+
+    for (const sensor of this.state.sensors.values()) {
+      if (sensor.bufferData.length === 0) continue;
+      try {
+        await this.processCurrentMinuteBuffer(sensor.sensorId);
+      } catch {
+        // Sudah di-log; sample tetap di sensor.flushing
+      }
     }
+    await this.flushPendingMinutes();
+    this.writeCheckpoint();
+
+    const unsaved = [...this.state.sensors.values()].reduce(
+      (sum, sensor) =>
+        sum +
+        sensor.flushing.reduce(
+          (count, entry) => count + entry.samples.length,
+          0
+        ),
+      0
+    );
+    if (unsaved > 0) {
+      this.logWarn(
+        `${unsaved} unsaved reading(s) kept in checkpoint ${this.config.checkpointPath}`
+      );
+    }
+
+    this.logInfo("✅ TemperatureService shutdown completed");
+  }
 
-    this.logInfo("✅ TemperatureService cleanup completed");
+  // Alias lama (dipakai CLI)
+  async cleanup() {
+    return await this.shutdown();
   }
 }
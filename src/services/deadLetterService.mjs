@@ -0,0 +1,276 @@
+import { db } from "../lib/database.mjs";
+import { DEFAULT_SENSOR_ID, parseSensorObject } from "../lib/sensorPayload.mjs";
+
+// Dead letter: pesan sensor yang ditolak (topic tidak dikenal, payload
+// invalid, atau ditolak TemperatureService) disimpan mentah di tabel
+// dead_letter supaya sensor bermasalah bisa didiagnosa. Setelah masalahnya
+// diperbaiki (rule topic, range, firmware), entry bisa diinjeksi ulang.
+//
+// Stage:
+//   unmapped_topic  -> tidak ada topic rule yang cocok
+//   invalid_payload -> payload gagal di-parse / divalidasi
+//   rejected        -> ditolak TemperatureService (range, terlambat, dll)
+export const DEAD_LETTER_STAGES = [
+  "unmapped_topic",
+  "invalid_payload",
+  "rejected",
+];
+
+export class DeadLetterService {
+  constructor(mqttService) {
+    this.mqttService = mqttService;
+
+    this.config = {
+      maxPayloadLength: parseInt(process.env.DEAD_LETTER_MAX_PAYLOAD) || 4096,
+      retentionDays: parseInt(process.env.DEAD_LETTER_RETENTION_DAYS) || 30,
+      pruneIntervalMs: 6 * 60 * 60 * 1000, // 6 jam
+    };
+
+    this.recordedCount = 0;
+    this.failedCount = 0;
+
+    // PERBAIKAN: Sensor rusak bisa kirim ribuan pesan, entry lama dibuang
+    this.pruneTimer = setInterval(
+      () => this.pruneExpired(),
+      this.config.pruneIntervalMs
+    );
+  }
+
+  // Tidak pernah throw: gagal simpan dead letter tidak boleh mengganggu
+  // pemrosesan pesan lain
+  async record({
+    source,
+    topic = null,
+    sensorId = null,
+    payload,
+    stage,
+    reason,
+  }) {
+    try {
+      const entry = await db.withRetry(async (prisma) => {
+        return await prisma.deadLetter.create({
+          data: this.toRow({ source, topic, sensorId, payload, stage, reason }),
+        });
+      });
+
+      this.recordedCount++;
+      return entry;
+    } catch (error) {
+      this.failedCount++;
+      console.error("❌ Failed to store dead letter:", error.message);
+      return null;
+    }
+  }
+
+  // Data baris dead_letter (payload jadi teks, dipotong sesuai batas). Juga
+  // dipakai MQTTService untuk reading yang ditolak setelah masuk spool.
+  toRow({ source, topic = null, sensorId = null, payload, stage, reason }) {
+    let text = Buffer.isBuffer(payload)
+      ? payload.toString("utf8")
+      : typeof payload === "string"
+      ? payload
+      : JSON.stringify(payload);
+
+    if (text.length > this.config.maxPayloadLength) {
+      text = text.slice(0, this.config.maxPayloadLength);
+    }
+
+    return {
+      source,
+      topic,
+      sensorId,
+      payload: text,
+      stage,
+      reason: String(reason).slice(0, 1000),
+    };
+  }
+
+  buildWhere({ ids, stage, source, sensorId, topic, status, from, to } = {}) {
+    const where = {};
+
+    if (ids) where.id = { in: ids };
+    if (stage) where.stage = stage;
+    if (source) where.source = source;
+    if (sensorId) where.sensorId = sensorId;
+    if (topic) where.topic = topic;
+    if (status) where.status = status;
+
+    if (from || to) {
+      where.receivedAt = {};
+      if (from) where.receivedAt.gte = from;
+      if (to) where.receivedAt.lte = to;
+    }
+
+    return where;
+  }
+
+  async list(filters = {}, { limit = 50, offset = 0 } = {}) {
+    const where = this.buildWhere(filters);
+
+    const [entries, total] = await db.withRetry(async (prisma) => {
+      return await Promise.all([
+        prisma.deadLetter.findMany({
+          where,
+          orderBy: { receivedAt: "desc" },
+          take: limit,
+          skip: offset,
+        }),
+        prisma.deadLetter.count({ where }),
+      ]);
+    });
+
+    return { entries, total };
+  }
+
+  async get(id) {
+    return await db.withRetry(async (prisma) => {
+      return await prisma.deadLetter.findUnique({ where: { id } });
+    });
+  }
+
+  async purge(filters = {}) {
+    const result = await db.withRetry(async (prisma) => {
+      return await prisma.deadLetter.deleteMany({
+        where: this.buildWhere(filters),
+      });
+    });
+
+    console.log(`🗑️ Purged ${result.count} dead letter(s)`);
+    return result.count;
+  }
+
+  async pruneExpired() {
+    try {
+      const cutoff = new Date(
+        Date.now() - this.config.retentionDays * 24 * 60 * 60 * 1000
+      );
+      const result = await db.withRetry(async (prisma) => {
+        return await prisma.deadLetter.deleteMany({
+          where: { receivedAt: { lt: cutoff } },
+        });
+      });
+
+      if (result.count > 0) {
+        console.log(
+          `🧹 Removed ${result.count} dead letter(s) older than ${this.config.retentionDays} days`
+        );
+      }
+    } catch (error) {
+      console.error("❌ Dead letter cleanup failed:", error.message);
+    }
+  }
+
+  // Injeksi ulang entry ke pipeline. Berurutan (urutan id) supaya reading
+  // masuk ke buffer menit sesuai urutan aslinya.
+  async reinject(ids) {
+    const results = [];
+
+    for (const id of [...ids].sort((a, b) => a - b)) {
+      const entry = await this.get(id);
+
+      if (!entry) {
+        results.push({ id, accepted: false, reason: "Not found" });
+        continue;
+      }
+
+      if (entry.status === "reinjected") {
+        results.push({ id, accepted: false, reason: "Already reinjected" });
+        continue;
+      }
+
+      const outcome = await this.replayEntry(entry);
+
+      await db.withRetry(async (prisma) => {
+        return await prisma.deadLetter.update({
+          where: { id },
+          data: outcome.accepted
+            ? {
+                status: "reinjected",
+                reinjectedAt: new Date(),
+                reinjectError: null,
+              }
+            : { reinjectError: outcome.reason },
+        });
+      });
+
+      results.push({
+        id,
+        accepted: outcome.accepted,
+        ...(outcome.accepted
+          ? { sensorId: outcome.sensorId, late: outcome.result?.late }
+          : { stage: outcome.stage, reason: outcome.reason }),
+      });
+    }
+
+    const accepted = results.filter((result) => result.accepted).length;
+    console.log(
+      `♻️ Reinjected ${accepted}/${results.length} dead letter(s) into pipeline`
+    );
+
+    return results;
+  }
+
+  async replayEntry(entry) {
+    // Pesan tanpa timestamp device ditempatkan di waktu aslinya diterima,
+    // bukan waktu injeksi ulang
+    const replayOptions = { replay: true, receivedAt: entry.receivedAt };
+
+    if (entry.source === "mqtt") {
+      return await this.mqttService.replayMessage(
+        entry.topic,
+        Buffer.from(entry.payload, "utf8"),
+        replayOptions
+      );
+    }
+
+    // Batch backfill HTTP: reading sudah membawa timestamp sendiri
+    if (entry.source === "http_backfill") {
+      return await this.mqttService.ingestBackfill(
+        entry.sensorId,
+        entry.payload,
+        { source: "http", sensorId: entry.sensorId }
+      );
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(entry.payload);
+    } catch (error) {
+      return {
+        accepted: false,
+        stage: "invalid_payload",
+        reason: `Malformed JSON: ${error.message}`,
+      };
+    }
+
+    const parsed = parseSensorObject(payload);
+    if (!parsed.ok) {
+      return {
+        accepted: false,
+        stage: "invalid_payload",
+        reason: parsed.reason,
+      };
+    }
+
+    const sensorId =
+      entry.sensorId || parsed.reading.sensorId || DEFAULT_SENSOR_ID;
+    const outcome = await this.mqttService.ingestReading(
+      { ...parsed.reading, sensorId, tags: {} },
+      { ...replayOptions, source: entry.source }
+    );
+
+    return { ...outcome, sensorId };
+  }
+
+  getStatus() {
+    return {
+      recordedCount: this.recordedCount,
+      failedCount: this.failedCount,
+      retentionDays: this.config.retentionDays,
+    };
+  }
+
+  cleanup() {
+    clearInterval(this.pruneTimer);
+  }
+}
@@ -0,0 +1,228 @@
+import net from "net";
+import { Duplex } from "stream";
+import Aedes from "aedes";
+import { verifyDeviceSecret } from "../lib/deviceCredentials.mjs";
+
+// Broker MQTT di dalam proses Node (aedes) untuk site kecil tanpa broker
+// eksternal. ESP32 connect langsung ke backend (MQTT_EMBEDDED_PORT), dan
+// MQTTService connect ke broker lewat stream in-process (tanpa TCP).
+//
+// Autentikasi per device: username = deviceId, password = secret device
+// (lihat lib/deviceCredentials.mjs). Hak publish/subscribe ditentukan oleh
+// topicPolicy dari MQTTService.
+
+// Sepasang stream yang saling terhubung (client <-> broker)
+const createStreamPair = () => {
+  let clientSide;
+  let brokerSide;
+
+  const link = (getPeer) =>
+    new Duplex({
+      read() {},
+      write(chunk, encoding, callback) {
+        getPeer().push(chunk);
+        callback();
+      },
+      final(callback) {
+        getPeer().push(null);
+        callback();
+      },
+      destroy(error, callback) {
+        const peer = getPeer();
+        if (!peer.destroyed) peer.destroy();
+        callback(error);
+      },
+    });
+
+  clientSide = link(() => brokerSide);
+  brokerSide = link(() => clientSide);
+
+  return { clientSide, brokerSide };
+};
+
+const SYS_PREFIX = "$SYS/";
+
+export class EmbeddedBroker {
+  constructor(topicPolicy) {
+    // topicPolicy: { canPublish(deviceId, topic), canSubscribe(deviceId, topic) }
+    this.topicPolicy = topicPolicy;
+
+    this.config = {
+      host: process.env.MQTT_EMBEDDED_HOST || "0.0.0.0",
+      port: parseInt(process.env.MQTT_EMBEDDED_PORT) || 1883,
+      // Hanya untuk testing: device tanpa username boleh connect
+      allowAnonymous: process.env.MQTT_EMBEDDED_ALLOW_ANONYMOUS === "true",
+    };
+
+    this.aedes = new Aedes({ maxClientsIdLength: 128 });
+    this.aedes.authenticate = this.authenticate.bind(this);
+    this.aedes.authorizePublish = this.authorizePublish.bind(this);
+    this.aedes.authorizeSubscribe = this.authorizeSubscribe.bind(this);
+
+    this.server = null;
+    this.rejectedAuthCount = 0;
+    this.deniedPublishCount = 0;
+    this.deniedSubscribeCount = 0;
+
+    this.aedes.on("clientReady", (client) => {
+      if (!client.internal) {
+        console.log(
+          `📶 Device connected to embedded broker: ${
+            client.deviceId || "anonymous"
+          } (client ${client.id})`
+        );
+      }
+    });
+
+    this.aedes.on("clientDisconnect", (client) => {
+      if (!client.internal) {
+        console.log(
+          `📴 Device disconnected from embedded broker: ${
+            client.deviceId || "anonymous"
+          } (client ${client.id})`
+        );
+      }
+    });
+
+    if (this.config.allowAnonymous) {
+      console.warn(
+        "⚠️ Embedded MQTT broker allows anonymous devices (MQTT_EMBEDDED_ALLOW_ANONYMOUS=true)"
+      );
+    }
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = net.createServer(this.aedes.handle);
+
+      this.server.once("error", (error) => {
+        console.error(
+          `❌ Embedded MQTT broker failed to listen on ${this.config.host}:${this.config.port}:`,
+          error.message
+        );
+        reject(error);
+      });
+
+      this.server.listen(this.config.port, this.config.host, () => {
+        console.log(
+          `✅ Embedded MQTT broker listening on ${this.config.host}:${this.config.port}`
+        );
+        resolve();
+      });
+    });
+  }
+
+  // Stream untuk MQTT client backend sendiri (dipercaya penuh)
+  createInProcessStream() {
+    const { clientSide, brokerSide } = createStreamPair();
+    brokerSide.internal = true;
+    this.aedes.handle(brokerSide);
+    return clientSide;
+  }
+
+  authenticate(client, username, password, callback) {
+    if (client.conn?.internal) {
+      client.internal = true;
+      return callback(null, true);
+    }
+
+    if (!username && this.config.allowAnonymous) {
+      client.deviceId = null;
+      return callback(null, true);
+    }
+
+    verifyDeviceSecret(username, password?.toString("utf8"))
+      .then((valid) => {
+        if (!valid) {
+          this.rejectedAuthCount++;
+          console.warn(
+            `⚠️ Embedded broker rejected login for device "${username || ""}"`
+          );
+          const error = new Error("Bad username or password");
+          error.returnCode = 4;
+          return callback(error, false);
+        }
+
+        client.deviceId = username;
+        callback(null, true);
+      })
+      .catch((error) => {
+        console.error("❌ Device authentication failed:", error.message);
+        const authError = new Error("Server unavailable");
+        authError.returnCode = 3;
+        callback(authError, false);
+      });
+  }
+
+  authorizePublish(client, packet, callback) {
+    // client null = LWT lama yang dipublish broker sendiri
+    if (!client || client.internal) {
+      return callback(null);
+    }
+
+    if (
+      packet.topic.startsWith(SYS_PREFIX) ||
+      !this.topicPolicy.canPublish(client.deviceId ?? null, packet.topic)
+    ) {
+      this.deniedPublishCount++;
+      console.warn(
+        `⚠️ Embedded broker denied publish to ${packet.topic} by ${
+          client.deviceId || "anonymous"
+        }`
+      );
+      return callback(new Error(`Publish to ${packet.topic} not allowed`));
+    }
+
+    callback(null);
+  }
+
+  authorizeSubscribe(client, subscription, callback) {
+    if (client.internal) {
+      return callback(null, subscription);
+    }
+
+    if (
+      !this.topicPolicy.canSubscribe(
+        client.deviceId ?? null,
+        subscription.topic
+      )
+    ) {
+      this.deniedSubscribeCount++;
+      console.warn(
+        `⚠️ Embedded broker denied subscribe to ${subscription.topic} by ${
+          client.deviceId || "anonymous"
+        }`
+      );
+      // Subscription ditolak (SUBACK 128) tanpa memutus koneksi
+      return callback(null, null);
+    }
+
+    callback(null, subscription);
+  }
+
+  getStatus() {
+    return {
+      host: this.config.host,
+      port: this.config.port,
+      listening: Boolean(this.server?.listening),
+      connectedClients: this.aedes.connectedClients,
+      allowAnonymous: this.config.allowAnonymous,
+      rejectedAuthCount: this.rejectedAuthCount,
+      deniedPublishCount: this.deniedPublishCount,
+      deniedSubscribeCount: this.deniedSubscribeCount,
+    };
+  }
+
+  close() {
+    // aedes.close memutus semua client dulu, baru server TCP bisa selesai
+    return new Promise((resolve) => {
+      this.aedes.close(() => {
+        if (this.server?.listening) {
+          this.server.close(() => resolve());
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+}
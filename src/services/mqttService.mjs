@@ -1,28 +1,200 @@
+import os from "os";
 import mqtt from "mqtt";
+import {
+  DEFAULT_SENSOR_ID,
+  parseBackfillPayload,
+  parseSensorPayload,
+} from "../lib/sensorPayload.mjs";
+import { createTopicMapper, loadTopicRules } from "../lib/topicMapper.mjs";
+import { loadMqttSecurity, redactBrokerUrl } from "../lib/mqttSecurity.mjs";
+import { DedupCache } from "../lib/dedupCache.mjs";
+import { DiskSpool } from "../lib/diskSpool.mjs";
+import { SpikeFilter } from "../lib/spikeFilter.mjs";
+import { getReadingValidator } from "../lib/readingValidation.mjs";
+import { EmbeddedBroker } from "./embeddedBroker.mjs";
+
+// Error dari database yang bukan masalah koneksi (validasi / constraint)
+const isPermanentDbError = (error) =>
+  error?.name === "PrismaClientValidationError" ||
+  /^P2\d{3}$/.test(error?.code || "");
 
 export class MQTTService {
-  constructor(temperatureService, socketIO = null) {
+  constructor(temperatureService, socketIO = null, presenceService = null) {
     this.temperatureService = temperatureService;
     this.io = socketIO;
+    this.presenceService = presenceService;
+    this.commandService = null;
+    this.deadLetterService = null;
+    this.calibrationService = null;
     this.client = null;
     this.isConnected = false;
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 10;
     this.lastTemperature = 0;
+    this.lastHumidity = null;
     this.lastDataTime = null;
-    this.saveQueue = []; // PERBAIKAN: Queue untuk batch saving
     this.isProcessingQueue = false;
+    this.spoolAlerting = false;
+    this.spoolDroppedCount = 0;
+    // Seq spool yang hasil TemperatureService-nya belum diketahui
+    this.spoolInFlight = new Set();
 
     this.config = {
+      // PERBAIKAN: "external" (MQTT_BROKER_URL) atau "embedded" (broker aedes
+      // di dalam proses ini, lihat embeddedBroker.mjs)
+      brokerMode: process.env.MQTT_BROKER_MODE || "external",
       brokerUrl: process.env.MQTT_BROKER_URL || "mqtt://broker.hivemq.com:1883",
       topic: process.env.MQTT_TOPIC || "esp32/suhu",
       keepAlive: 60,
       reconnectPeriod: 5000,
       connectTimeout: 10000,
+      // PERBAIKAN: Client ID tetap + persistent session supaya broker
+      // menyimpan pesan QoS 1 selama backend terputus
+      clientId:
+        process.env.MQTT_CLIENT_ID || `iot-dashboard-backend-${os.hostname()}`,
+      cleanSession: process.env.MQTT_CLEAN_SESSION === "true",
+      qos: 1,
+      dedupWindowMs:
+        parseInt(process.env.MQTT_DEDUP_WINDOW_MS) || 10 * 60 * 1000,
+      // PERBAIKAN: Topic birth / last will device, harus memuat {deviceId}
+      statusTopic: process.env.MQTT_STATUS_TOPIC || "devices/{deviceId}/status",
+      // PERBAIKAN: Topic perintah ke device dan ack dari device
+      commandTopic:
+        process.env.MQTT_COMMAND_TOPIC || "devices/{deviceId}/commands",
+      commandResponseTopic:
+        process.env.MQTT_COMMAND_RESPONSE_TOPIC ||
+        "devices/{deviceId}/commands/response",
+      // PERBAIKAN: Topic batch backfill (reading dari SD/flash device)
+      backfillTopic:
+        process.env.MQTT_BACKFILL_TOPIC || "devices/{deviceId}/backfill",
+      backfillMaxReadings: parseInt(process.env.BACKFILL_MAX_READINGS) || 2000,
+      // PERBAIKAN: Spool di disk untuk reading yang belum tersimpan
+      spoolDir: process.env.SPOOL_DIR || "./data/spool",
+      spoolSegmentBytes:
+        parseInt(process.env.SPOOL_SEGMENT_BYTES) || 1024 * 1024,
+      spoolFsync: process.env.SPOOL_FSYNC === "true",
+      spoolBatchSize: parseInt(process.env.SPOOL_BATCH_SIZE) || 50,
+      spoolAlertDepth: parseInt(process.env.SPOOL_ALERT_DEPTH) || 1000,
+      spoolAlertAgeSeconds:
+        parseInt(process.env.SPOOL_ALERT_AGE_SECONDS) || 300,
+      // PERBAIKAN: Filter spike/outlier ("rate,median,hampel"; kosong = mati)
+      spikeFilter: {
+        methods: (process.env.FILTER_METHODS ?? "rate,median,hampel")
+          .split(",")
+          .map((method) => method.trim())
+          .filter(Boolean),
+        medianWindow: parseInt(process.env.FILTER_MEDIAN_WINDOW) || 5,
+        medianMaxDeviation:
+          parseFloat(process.env.FILTER_MEDIAN_MAX_DEVIATION) || 5,
+        maxRatePerSecond:
+          parseFloat(process.env.FILTER_MAX_RATE_PER_SECOND) || 5,
+        hampelWindow: parseInt(process.env.FILTER_HAMPEL_WINDOW) || 9,
+        hampelK: parseFloat(process.env.FILTER_HAMPEL_K) || 3,
+        hampelMinDeviation:
+          parseFloat(process.env.FILTER_HAMPEL_MIN_DEVIATION) || 1,
+        maxConsecutive: parseInt(process.env.FILTER_MAX_CONSECUTIVE) || 5,
+      },
     };
 
+    // PERBAIKAN: Pengganti saveQueue in-memory (maks 100 item). Reading
+    // ditulis ke disk dulu, jadi tidak hilang saat database lambat/down
+    // atau proses crash; sisa spool diputar ulang saat start. Reading yang
+    // kemudian ditolak TemperatureService ditandai di spool dan disimpan
+    // sebagai dead letter, bukan reading mentah.
+    this.spool = new DiskSpool({
+      dir: this.config.spoolDir,
+      segmentBytes: this.config.spoolSegmentBytes,
+      fsync: this.config.spoolFsync,
+    });
+
+    if (this.spool.depth > 0) {
+      console.log(
+        `📦 Ingest spool has ${this.spool.depth} unsaved reading(s) from previous run, replaying in order`
+      );
+    }
+
+    // PERBAIKAN: Pesan yang dikirim ulang broker (redelivery) tidak boleh
+    // dihitung dua kali di rata-rata menit
+    this.dedupCache = new DedupCache({ ttlMs: this.config.dedupWindowMs });
+    // Kunci reading yang sedang diproses (belum tentu diterima)
+    this.dedupPending = new Set();
+    this.spikeFilter = new SpikeFilter(this.config.spikeFilter);
+    // PERBAIKAN: Range suhu per sensor / jenis sensor (SENSOR_VALIDATION_RULES)
+    this.validator = getReadingValidator();
+    this.validationRejects = {}; // code -> jumlah
+    this.duplicateCount = 0;
+
+    if (!["external", "embedded"].includes(this.config.brokerMode)) {
+      throw new Error(
+        `MQTT_BROKER_MODE must be "external" or "embedded": ${this.config.brokerMode}`
+      );
+    }
+
+    // PERBAIKAN: Subscription wildcard dengan pemetaan topic -> sensor
+    this.topicMapper = createTopicMapper(loadTopicRules());
+    this.rejectedTopicCount = 0;
+
+    if (this.config.brokerMode === "embedded") {
+      // Reading harus bisa ditelusuri ke device yang login: ACL publish
+      // mencocokkan {deviceId} di topic dengan username device
+      this.topicMapper.rules.forEach((rule) => {
+        if (!rule.captures.some((capture) => capture.name === "deviceId")) {
+          throw new Error(
+            `MQTT_BROKER_MODE=embedded requires {deviceId} in every topic rule: ${rule.template}`
+          );
+        }
+      });
+
+      // Client backend terhubung in-process, tidak perlu TLS / credentials
+      this.embeddedBroker = new EmbeddedBroker({
+        canPublish: (deviceId, topic) => this.canDevicePublish(deviceId, topic),
+        canSubscribe: (deviceId, topic) =>
+          this.canDeviceSubscribe(deviceId, topic),
+      });
+      this.brokerReady = this.embeddedBroker.start();
+      this.security = {
+        mode: "in-process",
+        options: {},
+        summary: { mode: "in-process" },
+      };
+      this.displayBrokerUrl = `embedded://${this.embeddedBroker.config.host}:${this.embeddedBroker.config.port}`;
+    } else {
+      this.embeddedBroker = null;
+      this.brokerReady = Promise.resolve();
+
+      // PERBAIKAN: TLS / credentials / client certificate. Gagal di sini =
+      // startup gagal (konfigurasi salah harus terlihat jelas).
+      this.security = loadMqttSecurity(this.config.brokerUrl);
+      this.displayBrokerUrl = redactBrokerUrl(this.config.brokerUrl);
+    }
+
+    // PERBAIKAN: Presence device lewat topic status
+    this.statusTopicMapper = createTopicMapper([
+      { topic: this.config.statusTopic, sensorId: "{deviceId}" },
+    ]);
+    this.commandResponseMapper = createTopicMapper([
+      { topic: this.config.commandResponseTopic, sensorId: "{deviceId}" },
+    ]);
+    this.commandTopicMapper = createTopicMapper([
+      { topic: this.config.commandTopic, sensorId: "{deviceId}" },
+    ]);
+    this.backfillTopicMapper = createTopicMapper([
+      { topic: this.config.backfillTopic, sensorId: "{deviceId}" },
+    ]);
+
+    [
+      ["MQTT_STATUS_TOPIC", this.statusTopicMapper.rules[0]],
+      ["MQTT_BACKFILL_TOPIC", this.backfillTopicMapper.rules[0]],
+      ["MQTT_COMMAND_RESPONSE_TOPIC", this.commandResponseMapper.rules[0]],
+      ["MQTT_COMMAND_TOPIC", this.commandTopicMapper.rules[0]],
+    ].forEach(([envName, rule]) => {
+      if (!rule.captures.some((capture) => capture.name === "deviceId")) {
+        throw new Error(`${envName} must contain {deviceId}: ${rule.template}`);
+      }
+    });
+
     console.log(
-      `🔧 MQTT Service initialized with broker: ${this.config.brokerUrl}`
+      `🔧 MQTT Service initialized with broker: ${this.displayBrokerUrl} (security: ${this.security.mode})`
     );
     this.connect();
 
@@ -35,16 +207,93 @@ export class MQTTService {
     console.log("✅ Socket.IO instance set for MQTT Service");
   }
 
+  // PERBAIKAN: Hak publish device di broker embedded. Device hanya boleh
+  // publish ke topic data, status dan ack miliknya sendiri ({deviceId} di
+  // topic = username device). Topic perintah hanya untuk backend.
+  canDevicePublish(deviceId, topic) {
+    if (this.commandTopicMapper.match(topic)) return false;
+
+    const ownTopic =
+      this.statusTopicMapper.match(topic) ||
+      this.commandResponseMapper.match(topic) ||
+      this.backfillTopicMapper.match(topic);
+    if (ownTopic) return deviceId !== null && ownTopic.sensorId === deviceId;
+
+    const mapping = this.topicMapper.match(topic);
+    return mapping !== null && mapping.tags.deviceId === deviceId;
+  }
+
+  // Device hanya boleh subscribe ke topic perintahnya sendiri
+  canDeviceSubscribe(deviceId, topic) {
+    return (
+      deviceId !== null &&
+      topic === this.config.commandTopic.replace("{deviceId}", deviceId)
+    );
+  }
+
+  setCommandService(commandService) {
+    this.commandService = commandService;
+    if (this.isConnected) this.subscribe();
+    console.log("✅ Command service set for MQTT Service");
+  }
+
+  setDeadLetterService(deadLetterService) {
+    this.deadLetterService = deadLetterService;
+    console.log("✅ Dead letter service set for MQTT Service");
+  }
+
+  setCalibrationService(calibrationService) {
+    this.calibrationService = calibrationService;
+    console.log("✅ Calibration service set for MQTT Service");
+  }
+
+  // PERBAIKAN: Tandai spike/outlier (filterReason). Sample yang ditandai
+  // tetap disimpan dan dihitung di agregasi, tapi tidak ikut rata-rata.
+  applySpikeFilter(reading, filter = this.spikeFilter) {
+    const verdict = filter.check(
+      reading.sensorId || DEFAULT_SENSOR_ID,
+      reading.temperature,
+      reading.timestamp || new Date()
+    );
+    if (!verdict) return reading;
+
+    return { ...reading, filterReason: `${verdict.method}: ${verdict.reason}` };
+  }
+
+  // PERBAIKAN: Kalibrasi sensor diterapkan sebelum reading disimpan dan
+  // masuk ke TemperatureService; nilai mentah ikut dibawa (rawTemperature)
+  async applyCalibration(reading) {
+    if (!this.calibrationService) return reading;
+    return await this.calibrationService.calibrate(reading);
+  }
+
   connect() {
     try {
-      console.log(`🔌 Connecting to MQTT broker: ${this.config.brokerUrl}`);
+      console.log(`🔌 Connecting to MQTT broker: ${this.displayBrokerUrl}`);
 
-      this.client = mqtt.connect(this.config.brokerUrl, {
+      // PERBAIKAN: Tutup client lama dulu. Dengan client ID tetap, dua client
+      // aktif akan saling memutus koneksi di broker.
+      if (this.client) {
+        this.client.removeAllListeners();
+        this.client.end(true);
+      }
+
+      const options = {
         keepalive: this.config.keepAlive,
         reconnectPeriod: this.config.reconnectPeriod,
         connectTimeout: this.config.connectTimeout,
-        clean: true,
-      });
+        clientId: this.config.clientId,
+        clean: this.config.cleanSession,
+        ...this.security.options,
+      };
+
+      // PERBAIKAN: Mode embedded: stream langsung ke broker di proses ini
+      this.client = this.embeddedBroker
+        ? new mqtt.MqttClient(
+            () => this.embeddedBroker.createInProcessStream(),
+            options
+          )
+        : mqtt.connect(this.config.brokerUrl, options);
 
       this.setupEventHandlers();
     } catch (error) {
@@ -63,31 +312,62 @@ export class MQTTService {
         this.io.emit("mqttStatus", {
           status: "connected",
           topic: this.config.topic,
-          brokerUrl: this.config.brokerUrl,
+          brokerUrl: this.displayBrokerUrl,
+          security: this.security.mode,
         });
       }
 
       this.subscribe();
     });
 
-    this.client.on("message", async (topic, message) => {
+    this.client.on("message", async (topic, message, packet) => {
       try {
-        const temperature = parseFloat(message.toString().trim());
-
-        if (isNaN(temperature) || temperature < -50 || temperature > 150) {
-          console.warn(`⚠️ Invalid temperature data: ${temperature}°C`);
+        // PERBAIKAN: Pesan birth / last will tidak diproses sebagai reading
+        const statusMapping = this.presenceService
+          ? this.statusTopicMapper.match(topic)
+          : null;
+
+        if (statusMapping) {
+          await this.presenceService.handleStatusMessage(
+            statusMapping.sensorId,
+            message,
+            { retained: Boolean(packet?.retain) }
+          );
           return;
         }
 
-        this.lastTemperature = temperature;
-        this.lastDataTime = new Date();
-        console.log(`🌡️ MQTT received: ${temperature}°C from topic ${topic}`);
+        // PERBAIKAN: Ack perintah dari device
+        const responseMapping = this.commandService
+          ? this.commandResponseMapper.match(topic)
+          : null;
 
-        // PERBAIKAN: Add to queue instead of immediate save
-        this.addToSaveQueue(temperature);
+        if (responseMapping) {
+          await this.commandService.handleAck(
+            responseMapping.sensorId,
+            message
+          );
+          return;
+        }
 
-        // Continue with other processing
-        await this.processTemperatureData(temperature);
+        // PERBAIKAN: Batch backfill dari device yang sempat offline
+        const backfillMapping = this.backfillTopicMapper.match(topic);
+
+        const outcome = backfillMapping
+          ? await this.ingestBackfill(backfillMapping.sensorId, message)
+          : await this.handleSensorMessage(topic, message, packet);
+
+        // PERBAIKAN: Pesan yang ditolak disimpan ke dead letter (kecuali
+        // yang sudah dicatat lewat spool)
+        if (!outcome.accepted && !outcome.duplicate && !outcome.spooled) {
+          this.deadLetterService?.record({
+            source: "mqtt",
+            topic,
+            sensorId: outcome.sensorId,
+            payload: message,
+            stage: outcome.stage,
+            reason: outcome.reason,
+          });
+        }
       } catch (error) {
         console.error("❌ Error processing MQTT message:", error.message);
         this.emitError(error);
@@ -122,51 +402,633 @@ export class MQTTService {
     });
   }
 
+  // PERBAIKAN: Backfill reading historis (SD/flash device). Tidak lewat
+  // spool dan dedup live, dan tidak di-emit sebagai "suhu" (bukan data
+  // live); hasilnya dikirim lewat event "backfillCompleted".
+  // sensorId: paksa sensor tertentu (API key device); default deviceId dari
+  // topic, lalu sensorId di payload.
+  // Hasil: { accepted, stage, reason, sensorId, batchId, summary }
+  async ingestBackfill(
+    deviceId,
+    payload,
+    { source = "mqtt", sensorId = null } = {}
+  ) {
+    const parsed = parseBackfillPayload(payload, {
+      maxReadings: this.config.backfillMaxReadings,
+    });
+
+    if (!parsed.ok) {
+      console.warn(
+        `⚠️ Invalid backfill payload from ${
+          deviceId || "unknown device"
+        } (${source}): ${parsed.reason}`
+      );
+      return {
+        accepted: false,
+        stage: "invalid_payload",
+        reason: parsed.reason,
+        sensorId: sensorId || deviceId,
+      };
+    }
+
+    // Backfill lewat topic device hanya untuk sensor device itu sendiri
+    if (
+      !sensorId &&
+      deviceId &&
+      parsed.sensorId &&
+      parsed.sensorId !== deviceId
+    ) {
+      console.warn(
+        `⚠️ Rejected backfill for sensor ${parsed.sensorId} from device ${deviceId} (${source})`
+      );
+      return {
+        accepted: false,
+        stage: "rejected",
+        reason: `sensorId "${parsed.sensorId}" does not match topic device ${deviceId}`,
+        sensorId: deviceId,
+      };
+    }
+
+    const targetSensorId =
+      sensorId || deviceId || parsed.sensorId || DEFAULT_SENSOR_ID;
+
+    if (!this.temperatureService) {
+      return {
+        accepted: false,
+        stage: "rejected",
+        reason: "Temperature service not available",
+        sensorId: targetSensorId,
+      };
+    }
+
+    const valid = parsed.readings.filter((item) => item.ok);
+    let summary;
+
+    try {
+      // Kalibrasi yang berlaku pada timestamp masing-masing reading
+      const calibrated = [];
+      for (const item of valid) {
+        calibrated.push(
+          await this.applyCalibration({
+            ...item.reading,
+            sensorId: targetSensorId,
+          })
+        );
+      }
+
+      // Filter spike per batch (urut waktu), terpisah dari state live
+      const batchFilter = new SpikeFilter(this.config.spikeFilter);
+      const filtered = new Array(calibrated.length);
+      [...calibrated.keys()]
+        .sort(
+          (a, b) =>
+            new Date(calibrated[a].timestamp || 0) -
+            new Date(calibrated[b].timestamp || 0)
+        )
+        .forEach((position) => {
+          const reading = calibrated[position];
+          // Reading di luar range ditolak backfillReadings, jangan sampai
+          // jadi acuan filter
+          filtered[position] = this.validator.validate(reading).ok
+            ? this.applySpikeFilter(reading, batchFilter)
+            : reading;
+        });
+
+      summary = await this.temperatureService.backfillReadings(
+        targetSensorId,
+        filtered
+      );
+    } catch (error) {
+      console.error(`❌ Backfill failed for ${targetSensorId}:`, error.message);
+      return {
+        accepted: false,
+        stage: "rejected",
+        reason: error.message,
+        sensorId: targetSensorId,
+      };
+    }
+
+    // Hasil per reading dikembalikan ke index aslinya di payload
+    const results = parsed.readings.map((item) =>
+      item.ok
+        ? null
+        : { index: item.index, status: "rejected", reason: item.reason }
+    );
+    summary.results.forEach((result, position) => {
+      const { index } = valid[position];
+      results[index] = { ...result, index };
+    });
+
+    const report = {
+      ...summary,
+      batchId: parsed.batchId,
+      rejected: results.filter((result) => result.status === "rejected").length,
+      results,
+    };
+
+    console.log(
+      `📥 Backfill batch${
+        parsed.batchId ? ` ${parsed.batchId}` : ""
+      } from ${targetSensorId} (${source}): ${report.accepted} accepted, ${
+        report.duplicates
+      } duplicate, ${report.rejected} rejected`
+    );
+
+    // Device yang mengirim backfill sedang online
+    if (this.presenceService && deviceId) {
+      this.presenceService
+        .recordActivity(deviceId)
+        .catch((error) =>
+          console.error("❌ Presence update failed:", error.message)
+        );
+    }
+
+    if (this.io) {
+      const { results: _results, ...counts } = report;
+      this.io.emit("backfillCompleted", {
+        ...counts,
+        source,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    return {
+      accepted: true,
+      sensorId: targetSensorId,
+      batchId: parsed.batchId,
+      summary: report,
+    };
+  }
+
+  // Injeksi ulang pesan MQTT (dead letter) sesuai jenis topic-nya
+  async replayMessage(topic, message, options = {}) {
+    const backfillMapping = this.backfillTopicMapper.match(topic);
+    if (backfillMapping) {
+      return await this.ingestBackfill(backfillMapping.sensorId, message);
+    }
+    return await this.handleSensorMessage(topic, message, {}, options);
+  }
+
+  // Pesan di topic sensor: mapping topic -> parse payload -> ingestReading.
+  // Hasil: { accepted, duplicate, stage, reason, sensorId, result }
+  async handleSensorMessage(topic, message, packet = {}, options = {}) {
+    const mapping = this.topicMapper.match(topic);
+
+    if (!mapping) {
+      this.rejectedTopicCount++;
+      console.warn(`⚠️ Rejected message on unmapped topic: ${topic}`);
+      return {
+        accepted: false,
+        stage: "unmapped_topic",
+        reason: `No topic rule matches ${topic}`,
+        sensorId: null,
+      };
+    }
+
+    // PERBAIKAN: Terima payload JSON maupun angka polos (firmware lama)
+    const parsed = parseSensorPayload(message);
+
+    if (!parsed.ok) {
+      console.warn(
+        `⚠️ Invalid sensor payload on ${topic} (${parsed.format}): ${parsed.reason}`
+      );
+      return {
+        accepted: false,
+        stage: "invalid_payload",
+        reason: parsed.reason,
+        sensorId: mapping.sensorId,
+      };
+    }
+
+    // PERBAIKAN: Sensor dari topic tidak boleh ditimpa payload (sama seperti
+    // API key device di HTTP ingest)
+    if (
+      mapping.sensorId &&
+      parsed.reading.sensorId &&
+      parsed.reading.sensorId !== mapping.sensorId
+    ) {
+      console.warn(
+        `⚠️ Rejected payload sensorId ${parsed.reading.sensorId} on ${topic} (topic sensor ${mapping.sensorId})`
+      );
+      return {
+        accepted: false,
+        stage: "rejected",
+        reason: `sensorId "${parsed.reading.sensorId}" does not match topic sensor ${mapping.sensorId}`,
+        sensorId: mapping.sensorId,
+      };
+    }
+
+    // Broker embedded: {deviceId} di topic = device yang login (ACL
+    // publish), dan device hanya boleh kirim untuk sensornya sendiri
+    const deviceId = this.embeddedBroker ? mapping.tags.deviceId : null;
+    const sensorId = mapping.sensorId || parsed.reading.sensorId || deviceId;
+
+    if (deviceId && sensorId !== deviceId) {
+      console.warn(
+        `⚠️ Rejected reading for sensor ${sensorId} from device ${deviceId} on ${topic}`
+      );
+      return {
+        accepted: false,
+        stage: "rejected",
+        reason: `sensorId "${sensorId}" does not belong to device ${deviceId}`,
+        sensorId: deviceId,
+      };
+    }
+
+    const reading = {
+      ...parsed.reading,
+      sensorId,
+      topic,
+      tags: mapping.tags,
+    };
+
+    const outcome = await this.ingestReading(reading, {
+      ...options,
+      packet,
+      payload: message,
+    });
+    return { ...outcome, sensorId: reading.sensorId || DEFAULT_SENSOR_ID };
+  }
+
+  // PERBAIKAN: Jalur bersama untuk semua reading (MQTT dan HTTP ingest):
+  // dedup -> presence -> save queue -> TemperatureService.
+  // replay = reading lama yang diinjeksi ulang (dead letter): tanpa dedup,
+  // tanpa update presence / nilai terakhir, dan tidak di-emit sebagai live.
+  // payload = pesan asli, untuk dead letter kalau reading ditolak setelah
+  // masuk spool.
+  // Hasil: { accepted, duplicate, stage, reason, result, spooled }
+  // (spooled = penolakan sudah dicatat di spool, pemanggil tidak perlu
+  // menyimpan dead letter lagi)
+  async ingestReading(
+    reading,
+    {
+      packet = {},
+      source = "mqtt",
+      replay = false,
+      receivedAt = null,
+      payload = null,
+    } = {}
+  ) {
+    const sensorLabel = reading.sensorId || DEFAULT_SENSOR_ID;
+
+    if (replay) {
+      const replayed = await this.applyCalibration({
+        ...reading,
+        timestamp: reading.timestamp || receivedAt,
+      });
+      const invalid = this.validateReading(replayed);
+      if (invalid) return invalid;
+
+      console.log(
+        `♻️ Reinjecting ${source} reading: ${replayed.temperature}°C (sensor ${sensorLabel})`
+      );
+      const result = this.isBeyondLateWindow(replayed)
+        ? await this.replayAsBackfill(replayed)
+        : await this.processTemperatureData(replayed, { emit: false });
+      if (result?.success) this.addToSaveQueue(replayed);
+      return this.toIngestOutcome(result);
+    }
+
+    const dedupKeys = this.getDedupKeys(reading, packet);
+    if (this.isDuplicate(dedupKeys, packet)) {
+      this.duplicateCount++;
+      console.log(
+        `🔁 Duplicate ${source} reading suppressed${
+          reading.topic ? ` on ${reading.topic}` : ""
+        } (sensor ${sensorLabel})`
+      );
+      return { accepted: false, duplicate: true, reason: "Duplicate reading" };
+    }
+
+    // PERBAIKAN: Kunci dedup baru disimpan setelah reading diterima, jadi
+    // kiriman ulang reading yang ditolak (database down, dll) tetap diproses.
+    // Selama diproses kuncinya ditahan supaya redelivery yang datang
+    // bersamaan tetap ditekan.
+    const heldKeys = [...dedupKeys.keys, dedupKeys.packetKey].filter(Boolean);
+    heldKeys.forEach((key) => this.dedupPending.add(key));
+
+    try {
+      const outcome = await this.ingestLiveReading(reading, {
+        source,
+        payload,
+      });
+      if (outcome.accepted) {
+        heldKeys.forEach((key) => this.dedupCache.add(key));
+      }
+      return outcome;
+    } finally {
+      heldKeys.forEach((key) => this.dedupPending.delete(key));
+    }
+  }
+
+  // Reading live yang lolos dedup: kalibrasi, validasi, spike filter,
+  // presence, spool, lalu TemperatureService
+  async ingestLiveReading(reading, { source, payload }) {
+    const sensorLabel = reading.sensorId || DEFAULT_SENSOR_ID;
+
+    reading = await this.applyCalibration(reading);
+    const invalid = this.validateReading(reading);
+    if (invalid) return invalid;
+
+    reading = this.applySpikeFilter(reading);
+    const temperature = reading.temperature;
+
+    if (reading.filterReason) {
+      console.warn(
+        `🚫 Spike flagged for ${sensorLabel}: ${reading.filterReason}`
+      );
+    } else {
+      this.lastTemperature = temperature;
+      this.lastHumidity = reading.humidity;
+    }
+    this.lastDataTime = new Date();
+    console.log(
+      `🌡️ ${source.toUpperCase()} received: ${temperature}°C${
+        reading.calibrationId
+          ? ` (raw ${reading.rawTemperature}°C, calibration #${reading.calibrationId})`
+          : ""
+      }${reading.topic ? ` from topic ${reading.topic}` : ""}${
+        reading.sensorId ? ` (sensor ${reading.sensorId})` : ""
+      }`
+    );
+
+    // PERBAIKAN: Reading data = bukti device masih hidup
+    if (this.presenceService) {
+      this.presenceService
+        .recordActivity(reading.tags?.deviceId || sensorLabel)
+        .catch((error) =>
+          console.error("❌ Presence update failed:", error.message)
+        );
+    }
+
+    // PERBAIKAN: Add to queue instead of immediate save. Ditulis ke spool
+    // sebelum diproses; spool tidak disimpan selama hasilnya belum diketahui.
+    const seq = this.addToSaveQueue(reading);
+    if (seq !== null) this.spoolInFlight.add(seq);
+
+    let result;
+    try {
+      // Continue with other processing (spike tidak dikirim ke stream live)
+      result = await this.processTemperatureData(reading, {
+        emit: !reading.filterReason,
+      });
+    } finally {
+      this.spoolInFlight.delete(seq);
+    }
+
+    const outcome = this.toIngestOutcome(result);
+    if (outcome.accepted || seq === null) return outcome;
+
+    // Ditolak TemperatureService (clock skew, lateness, database down):
+    // dead letter disimpan dari spool, jadi tetap ada walau database down
+    return {
+      ...outcome,
+      spooled: this.markSpoolRejected(seq, {
+        source,
+        topic: reading.topic || null,
+        sensorId: sensorLabel,
+        payload: payload ?? reading,
+        stage: outcome.stage,
+        reason: outcome.reason,
+      }),
+    };
+  }
+
+  // Tandai record spool sebagai ditolak, beserta baris dead letter-nya.
+  // true kalau dead letter akan disimpan dari spool.
+  markSpoolRejected(seq, entry) {
+    const deadLetter = this.deadLetterService?.toRow(entry) ?? null;
+
+    try {
+      this.spool.mark(seq, { rejected: true, deadLetter });
+      return deadLetter !== null;
+    } catch (error) {
+      console.error(
+        "❌ Failed to mark rejected reading in spool:",
+        error.message
+      );
+      return false;
+    }
+  }
+
+  // Reading replay yang lebih tua dari lateness window TemperatureService
+  isBeyondLateWindow(reading) {
+    const windowMinutes =
+      this.temperatureService?.config?.lateReadingWindowMinutes;
+    if (!reading.timestamp || !windowMinutes) return false;
+
+    const eventTime = new Date(reading.timestamp);
+    return Date.now() - eventTime.getTime() > windowMinutes * 60 * 1000;
+  }
+
+  // Lewat jalur backfill (window 24 jam, slot yang sudah ditutup
+  // di-agregasi ulang). Hasil dalam bentuk receiveTemperatureData.
+  async replayAsBackfill(reading) {
+    try {
+      const summary = await this.temperatureService.backfillReadings(
+        reading.sensorId || DEFAULT_SENSOR_ID,
+        [reading]
+      );
+      const [result] = summary.results;
+      return result.status === "accepted"
+        ? { success: true, late: true, minute: result.minute }
+        : { success: false, error: result.reason };
+    } catch (error) {
+      console.error("❌ Backfill replay failed:", error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // PERBAIKAN: Validasi range (setelah kalibrasi) sebelum reading di-spool
+  // atau jadi acuan filter spike. Hasil: outcome penolakan, null kalau valid.
+  validateReading(reading) {
+    const validation = this.validator.validate({
+      ...reading,
+      sensorId: reading.sensorId || DEFAULT_SENSOR_ID,
+    });
+    if (validation.ok) return null;
+
+    this.validationRejects[validation.code] =
+      (this.validationRejects[validation.code] || 0) + 1;
+    console.warn(
+      `⚠️ Reading rejected (sensor ${reading.sensorId || DEFAULT_SENSOR_ID}): ${
+        validation.reason
+      }`
+    );
+
+    return {
+      accepted: false,
+      duplicate: false,
+      stage: "rejected",
+      code: validation.code,
+      reason: validation.reason,
+    };
+  }
+
+  toIngestOutcome(result) {
+    return result?.success
+      ? { accepted: true, duplicate: false, result }
+      : {
+          accepted: false,
+          duplicate: false,
+          stage: "rejected",
+          reason: result?.error || "Temperature service not available",
+        };
+  }
+
+  // PERBAIKAN: Deduplikasi berdasarkan msgId atau sensor + timestamp device.
+  // Untuk payload tanpa keduanya (firmware lama), hanya redelivery dengan
+  // flag DUP dan packet ID yang sama yang bisa dikenali.
+  getDedupKeys(reading, packet = {}) {
+    const sensorId = reading.sensorId || DEFAULT_SENSOR_ID;
+    const keys = [];
+
+    if (reading.messageId) {
+      keys.push(`${sensorId}|id:${reading.messageId}`);
+    } else if (reading.timestamp) {
+      keys.push(`${sensorId}|ts:${reading.timestamp.getTime()}`);
+    }
+
+    const packetKey =
+      packet.messageId !== undefined
+        ? `${reading.topic}|pkt:${packet.messageId}`
+        : null;
+
+    return { keys, packetKey };
+  }
+
+  isDuplicate({ keys, packetKey }, packet = {}) {
+    const seen = (key) =>
+      this.dedupCache.has(key) || this.dedupPending.has(key);
+
+    return (
+      keys.some(seen) || (packet.dup === true && packetKey && seen(packetKey))
+    );
+  }
+
   // PERBAIKAN: Queue-based saving system
-  addToSaveQueue(temperature) {
+  addToSaveQueue(reading) {
+    const { temperature } = reading;
     const temperatureData = {
       temperature,
-      timestamp: new Date(),
-      dryerId: 1,
-      humidity: 50 + Math.random() * 20,
+      rawTemperature: reading.rawTemperature ?? temperature,
+      filterReason: reading.filterReason ?? null,
+      // PERBAIKAN: Pakai timestamp device jika ada
+      timestamp: reading.timestamp || new Date(),
+      receivedAt: new Date(),
+      dryerId: reading.tags?.dryerId ?? 1,
+      lineId: reading.tags?.lineId ?? null,
+      // PERBAIKAN: Kelembaban asli dari sensor (SHT3x), null jika tidak dikirim
+      humidity: reading.humidity ?? null,
       status: this.determineStatus(temperature),
-      sensorId: "esp32_sensor_1",
+      sensorId: reading.sensorId || DEFAULT_SENSOR_ID,
       location: "Zone A",
     };
 
-    this.saveQueue.push(temperatureData);
-
-    // Limit queue size to prevent memory issues
-    if (this.saveQueue.length > 100) {
-      this.saveQueue.shift(); // Remove oldest entry
-      console.warn("⚠️ Save queue is full, removing oldest entry");
+    try {
+      return this.spool.append(temperatureData);
+    } catch (error) {
+      console.error("❌ Failed to write reading to spool:", error.message);
+      return null;
     }
   }
 
+  // Record spool -> item untuk processBatch (Date kembali dari JSON)
+  fromSpoolRecord(record) {
+    return {
+      ...record.data,
+      timestamp: new Date(record.data.timestamp),
+      receivedAt: new Date(record.data.receivedAt),
+      // Reading yang ditolak setelah masuk spool: tidak disimpan sebagai
+      // reading mentah, baris dead letter-nya (kalau ada) disimpan
+      rejected: Boolean(record.mark?.rejected),
+      deadLetter: record.mark?.deadLetter ?? null,
+    };
+  }
+
   // PERBAIKAN: Batch processor for database saves
   async startQueueProcessor() {
-    setInterval(async () => {
-      if (this.isProcessingQueue || this.saveQueue.length === 0) {
-        return;
-      }
+    setInterval(() => this.drainSpool(), 2000); // Process every 2 seconds
+  }
+
+  // Simpan isi spool berurutan. Commit hanya sampai item terakhir yang
+  // berhasil, sisanya dicoba lagi di tick berikutnya (urutan tetap).
+  async drainSpool({ maxBatches = 20 } = {}) {
+    if (this.isProcessingQueue || this.spool.depth === 0) {
+      this.checkSpoolAlert();
+      return;
+    }
 
-      this.isProcessingQueue = true;
+    this.isProcessingQueue = true;
 
-      try {
-        // Process up to 10 items at once
-        const batch = this.saveQueue.splice(0, 10);
-        await this.processBatch(batch);
-      } catch (error) {
-        console.error("❌ Batch processing failed:", error.message);
-      } finally {
-        this.isProcessingQueue = false;
+    try {
+      for (let i = 0; i < maxBatches; i++) {
+        let records = this.spool.peek(this.config.spoolBatchSize);
+        // Berhenti di record yang masih diproses TemperatureService
+        const inFlight = records.findIndex((record) =>
+          this.spoolInFlight.has(record.seq)
+        );
+        if (inFlight !== -1) records = records.slice(0, inFlight);
+        if (records.length === 0) break;
+
+        const consumed = await this.processBatch(
+          records.map((record) => this.fromSpoolRecord(record))
+        );
+
+        if (consumed > 0) {
+          this.spool.commit(records[consumed - 1].seq);
+        }
+
+        // Database bermasalah, atau sisanya masih diproses
+        if (consumed < records.length || inFlight !== -1) break;
       }
-    }, 2000); // Process every 2 seconds
+    } catch (error) {
+      console.error("❌ Batch processing failed:", error.message);
+    } finally {
+      this.isProcessingQueue = false;
+      this.checkSpoolAlert();
+    }
+  }
+
+  // PERBAIKAN: Alert saat backlog spool terlalu banyak / terlalu lama.
+  // Hanya dikirim saat status berubah (alert <-> ok).
+  checkSpoolAlert() {
+    const depth = this.spool.depth;
+    const oldestAgeSeconds = Math.round(this.spool.oldestAge() / 1000);
+    const alerting =
+      depth >= this.config.spoolAlertDepth ||
+      oldestAgeSeconds >= this.config.spoolAlertAgeSeconds;
+
+    if (alerting === this.spoolAlerting) return;
+    this.spoolAlerting = alerting;
+
+    if (alerting) {
+      console.warn(
+        `🚨 Ingest spool backlog: ${depth} reading(s), oldest ${oldestAgeSeconds}s old`
+      );
+    } else {
+      console.log(`✅ Ingest spool backlog cleared (${depth} pending)`);
+    }
+
+    if (this.io) {
+      this.io.emit("spoolAlert", {
+        status: alerting ? "alert" : "ok",
+        depth,
+        oldestAgeSeconds,
+        thresholds: {
+          depth: this.config.spoolAlertDepth,
+          ageSeconds: this.config.spoolAlertAgeSeconds,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
   }
 
   // PERBAIKAN: Optimized batch database save
+  // Return jumlah item terdepan yang sudah selesai (tersimpan atau dibuang
+  // karena tidak mungkin tersimpan); sisanya tetap di spool
   async processBatch(batch) {
-    if (batch.length === 0) return;
+    if (batch.length === 0) return 0;
 
     try {
       // PERBAIKAN: Dynamic import with better error handling
@@ -187,33 +1049,47 @@ export class MQTTService {
           throw new Error("Prisma client is null");
         }
 
-        if (!prismaClient.temperatureBuffer) {
-          throw new Error("temperatureBuffer model not found in Prisma client");
+        if (!prismaClient.temperatureReading) {
+          throw new Error(
+            "temperatureReading model not found in Prisma client"
+          );
         }
 
-        if (typeof prismaClient.temperatureBuffer.createMany !== "function") {
-          throw new Error("temperatureBuffer.createMany method not available");
+        if (typeof prismaClient.temperatureReading.createMany !== "function") {
+          throw new Error("temperatureReading.createMany method not available");
         }
 
-        // PERBAIKAN: Format data for TemperatureBuffer table
-        const formattedData = batch.map((item) => ({
-          temperature: item.temperature,
-          timestamp: item.timestamp,
-          isProcessed: false,
-        }));
-
-        return await prismaClient.temperatureBuffer.createMany({
-          data: formattedData,
+        // PERBAIKAN: Reading mentah ke tabel TemperatureReading. Rata-rata
+        // menit ditulis terpisah oleh TemperatureService (TemperatureMinute),
+        // jadi reading tidak lagi ikut dihitung dua kali di agregasi.
+        // Reading yang ditolak setelah masuk spool jadi dead letter.
+        const readings = batch.filter((item) => !item.rejected);
+        const rejected = batch.filter((item) => item.deadLetter);
+
+        return await prismaClient.$transaction(async (tx) => {
+          const { count } = await tx.temperatureReading.createMany({
+            data: readings.map((item) => this.toReadingRow(item)),
+          });
+          if (rejected.length > 0) {
+            await tx.deadLetter.createMany({
+              data: rejected.map((item) => this.toDeadLetterRow(item)),
+            });
+          }
+          return { count, rejected: rejected.length };
         });
       });
 
-      console.log(`✅ Batch saved: ${saved.count} temperature readings`);
-      return saved;
+      console.log(
+        `✅ Batch saved: ${saved.count} temperature readings${
+          saved.rejected > 0 ? `, ${saved.rejected} dead letter(s)` : ""
+        }`
+      );
+      return batch.length;
     } catch (error) {
       console.error("❌ Batch save failed:", error.message);
 
       // PERBAIKAN: More detailed error analysis
-      if (error.message.includes("temperatureBuffer")) {
+      if (error.message.includes("temperatureReading")) {
         console.error("💡 Database schema issue detected");
         console.error("💡 Run: npx prisma db push && npx prisma generate");
       } else if (error.message.includes("connection")) {
@@ -223,41 +1099,82 @@ export class MQTTService {
 
       // PERBAIKAN: Fallback to individual saves if batch fails
       console.log("🔄 Attempting individual saves as fallback...");
+      let consumed = 0;
       for (const item of batch) {
         try {
           await this.saveIndividual(item);
         } catch (individualError) {
+          if (!isPermanentDbError(individualError)) {
+            console.error(
+              `❌ Individual save failed for temp ${item.temperature}, keeping it in spool:`,
+              individualError.message
+            );
+            break;
+          }
+
+          // Data yang ditolak database (bukan koneksi) tidak akan pernah
+          // berhasil; jangan sampai memblokir antrean
+          this.spoolDroppedCount++;
           console.error(
-            `❌ Individual save failed for temp ${item.temperature}:`,
+            `❌ Dropping unsaveable reading (temp ${item.temperature}):`,
             individualError.message
           );
         }
+        consumed++;
       }
+      return consumed;
     }
   }
 
+  // Item spool yang ditolak -> baris DeadLetter (waktu terima aslinya)
+  toDeadLetterRow(item) {
+    return { ...item.deadLetter, receivedAt: item.receivedAt };
+  }
+
+  // Item spool -> baris TemperatureReading
+  toReadingRow(item) {
+    return {
+      sensorId: item.sensorId,
+      temperature: item.temperature,
+      rawTemperature: item.rawTemperature ?? item.temperature,
+      humidity: item.humidity ?? null,
+      // Spike yang ditandai filter tetap disimpan beserta alasannya
+      filterReason: item.filterReason ?? null,
+      timestamp: item.timestamp,
+      receivedAt: item.receivedAt,
+    };
+  }
+
   // PERBAIKAN: Fallback individual save method
   async saveIndividual(temperatureData) {
     try {
       const { db } = await import("../lib/database.mjs");
 
       const saved = await db.withRetry(async (prismaClient) => {
-        if (!prismaClient?.temperatureBuffer?.create) {
-          throw new Error("temperatureBuffer.create not available");
+        if (!prismaClient?.temperatureReading?.create) {
+          throw new Error("temperatureReading.create not available");
+        }
+
+        if (temperatureData.rejected) {
+          return temperatureData.deadLetter
+            ? await prismaClient.deadLetter.create({
+                data: this.toDeadLetterRow(temperatureData),
+              })
+            : null;
         }
 
-        return await prismaClient.temperatureBuffer.create({
-          data: {
-            temperature: temperatureData.temperature,
-            timestamp: temperatureData.timestamp,
-            isProcessed: false,
-          },
+        return await prismaClient.temperatureReading.create({
+          data: this.toReadingRow(temperatureData),
         });
       });
 
-      console.log(
-        `✅ Individual save: ID ${saved.id}, Temp ${temperatureData.temperature}°C`
-      );
+      if (saved) {
+        console.log(
+          `✅ Individual save${
+            temperatureData.rejected ? " (dead letter)" : ""
+          }: ID ${saved.id}, Temp ${temperatureData.temperature}°C`
+        );
+      }
       return saved;
     } catch (error) {
       console.error("❌ Individual save failed:", error.message);
@@ -266,11 +1183,15 @@ export class MQTTService {
   }
 
   // PERBAIKAN: Separate temperature processing
-  async processTemperatureData(temperature) {
+  async processTemperatureData(reading, { emit = true } = {}) {
+    const { temperature } = reading;
+    const emitTemperatureData = (...args) =>
+      emit && this.emitTemperatureData(...args);
+
     try {
       if (this.temperatureService) {
         const result = await this.temperatureService.receiveTemperatureData(
-          temperature
+          reading
         );
 
         if (result?.success) {
@@ -281,14 +1202,17 @@ export class MQTTService {
           );
         }
 
-        this.emitTemperatureData(temperature, "connected", result?.bufferSize);
+        emitTemperatureData(temperature, "connected", result?.bufferSize);
+        return result;
       } else {
         console.warn("⚠️ Temperature service not available");
-        this.emitTemperatureData(temperature, "no_service");
+        emitTemperatureData(temperature, "no_service");
+        return null;
       }
     } catch (error) {
       console.error("❌ Temperature service error:", error.message);
-      this.emitTemperatureData(temperature, "service_error", 0, error.message);
+      emitTemperatureData(temperature, "service_error", 0, error.message);
+      return { success: false, error: error.message };
     }
   }
 
@@ -298,6 +1222,7 @@ export class MQTTService {
 
     const data = {
       temperature,
+      humidity: this.lastHumidity,
       timestamp: new Date().toISOString(),
       status,
       bufferSize,
@@ -323,7 +1248,7 @@ export class MQTTService {
     if (attempt) statusData.attempt = attempt;
     if (status === "connected") {
       statusData.topic = this.config.topic;
-      statusData.brokerUrl = this.config.brokerUrl;
+      statusData.brokerUrl = this.displayBrokerUrl;
     }
 
     this.io.emit("mqttStatus", statusData);
@@ -348,15 +1273,26 @@ export class MQTTService {
   }
 
   subscribe() {
-    this.client.subscribe(this.config.topic, (error) => {
+    const topics = [
+      ...new Set([
+        ...this.topicMapper.subscriptions,
+        ...this.backfillTopicMapper.subscriptions,
+        ...(this.presenceService ? this.statusTopicMapper.subscriptions : []),
+        ...(this.commandService
+          ? this.commandResponseMapper.subscriptions
+          : []),
+      ]),
+    ];
+
+    this.client.subscribe(topics, { qos: this.config.qos }, (error) => {
       if (error) {
         console.error(
-          `❌ MQTT subscription failed for topic ${this.config.topic}:`,
+          `❌ MQTT subscription failed for topics ${topics.join(", ")}:`,
           error
         );
         this.emitStatus("subscription_failed", error.message);
       } else {
-        console.log(`✅ MQTT subscribed to topic: ${this.config.topic}`);
+        console.log(`✅ MQTT subscribed to topics: ${topics.join(", ")}`);
         this.emitStatus("subscribed");
       }
     });
@@ -382,16 +1318,46 @@ export class MQTTService {
   getStatus() {
     return {
       connected: this.isConnected,
-      brokerUrl: this.config.brokerUrl,
+      brokerUrl: this.displayBrokerUrl,
+      security: this.security.summary,
       topic: this.config.topic,
+      subscriptions: this.topicMapper.subscriptions,
+      topicRules: this.topicMapper.rules.map((rule) => rule.template),
+      statusTopic: this.presenceService ? this.config.statusTopic : null,
+      commandTopic: this.commandService ? this.config.commandTopic : null,
+      backfillTopic: this.config.backfillTopic,
+      brokerMode: this.config.brokerMode,
+      embeddedBroker: this.embeddedBroker?.getStatus() || null,
+      devices: this.presenceService?.getStatus() || null,
+      deadLetters: this.deadLetterService?.getStatus() || null,
+      calibration: this.calibrationService?.getStatus() || null,
+      spikeFilter: this.spikeFilter.getStatus(),
+      validation: {
+        rules: this.validator.rules,
+        rejected: { ...this.validationRejects },
+      },
+      rejectedTopicCount: this.rejectedTopicCount,
+      qos: this.config.qos,
+      clientId: this.config.clientId,
+      persistentSession: !this.config.cleanSession,
+      duplicateCount: this.duplicateCount,
+      dedupCacheSize: this.dedupCache.size,
       reconnectAttempts: this.reconnectAttempts,
       maxReconnectAttempts: this.maxReconnectAttempts,
       clientState: this.client?.connected || false,
       lastTemperature: this.lastTemperature,
+      lastHumidity: this.lastHumidity,
       lastDataTime: this.lastDataTime,
-      queueSize: this.saveQueue.length, // PERBAIKAN: Include queue status
+      queueSize: this.spool.depth, // PERBAIKAN: Include queue status
       isProcessingQueue: this.isProcessingQueue,
-      config: this.config,
+      spool: {
+        ...this.spool.getStatus(),
+        alerting: this.spoolAlerting,
+        droppedCount: this.spoolDroppedCount,
+        alertDepth: this.config.spoolAlertDepth,
+        alertAgeSeconds: this.config.spoolAlertAgeSeconds,
+      },
+      config: { ...this.config, brokerUrl: this.displayBrokerUrl },
       timestamp: new Date().toISOString(),
     };
   }
@@ -417,10 +1383,43 @@ export class MQTTService {
     }
   }
 
-  forceReconnect() {
+  // PERBAIKAN: Publish perintah ke topic device (QoS 1). Resolve true
+  // setelah broker menerima (PUBACK), false jika tidak terhubung / gagal.
+  publishCommand(deviceId, payload) {
+    const topic = this.config.commandTopic.replace("{deviceId}", deviceId);
+
+    if (!this.client || !this.isConnected) {
+      console.warn(`⚠️ Cannot publish command to ${topic}: MQTT not connected`);
+      return Promise.resolve(false);
+    }
+
+    return new Promise((resolve) => {
+      this.client.publish(
+        topic,
+        JSON.stringify(payload),
+        { qos: this.config.qos },
+        (error) => {
+          if (error) {
+            console.error(
+              `❌ Command publish to ${topic} failed:`,
+              error.message
+            );
+            resolve(false);
+          } else {
+            console.log(`📤 Command published to ${topic}`);
+            resolve(true);
+          }
+        }
+      );
+    });
+  }
+
+  // PERBAIKAN: Tunggu client lama benar-benar tertutup sebelum connect lagi.
+  // Broker embedded tetap jalan, hanya client yang diganti.
+  async forceReconnect() {
     console.log("🔄 Force reconnecting MQTT...");
     this.reconnectAttempts = 0;
-    this.disconnect();
+    await this.disconnect();
     setTimeout(() => this.connect(), 1000);
   }
 
@@ -429,16 +1428,18 @@ export class MQTTService {
       console.log("🔌 Disconnecting MQTT client...");
 
       try {
-        // PERBAIKAN: Process remaining queue before disconnect
-        if (this.saveQueue.length > 0) {
+        // PERBAIKAN: Process remaining queue before disconnect. Yang gagal
+        // tetap di spool dan diputar ulang saat start berikutnya.
+        if (this.spool.depth > 0) {
           console.log(
-            `🔄 Processing ${this.saveQueue.length} remaining items before disconnect...`
+            `🔄 Processing ${this.spool.depth} remaining items before disconnect...`
           );
-          await this.processBatch(this.saveQueue.splice(0));
+          await this.drainSpool();
         }
 
-        this.client.end(true);
+        await new Promise((resolve) => this.client.end(true, {}, resolve));
         this.isConnected = false;
+
         console.log("✅ MQTT disconnected gracefully");
         this.emitStatus("disconnected");
       } catch (error) {
@@ -446,4 +1447,19 @@ export class MQTTService {
       }
     }
   }
+
+  // Hanya saat proses berhenti: broker embedded dibuat sekali di constructor,
+  // jadi setelah ditutup tidak bisa dipakai lagi
+  async shutdown() {
+    await this.disconnect();
+
+    if (this.embeddedBroker) {
+      try {
+        await this.embeddedBroker.close();
+        console.log("🔌 Embedded MQTT broker closed");
+      } catch (error) {
+        console.error("❌ Error closing embedded MQTT broker:", error);
+      }
+    }
+  }
 }
@@ -0,0 +1,240 @@
+import { db } from "../lib/database.mjs";
+
+// Status online/offline per device.
+// Device mengirim birth message "online" (retained) saat connect dan
+// mendaftarkan Last Will "offline" (retained) ke broker, di topic status
+// (default "devices/{deviceId}/status"). Payload boleh teks polos
+// ("online" / "offline") atau JSON {"status":"online"}.
+// Reading data dari device juga memperbarui lastSeen.
+
+const STATUSES = ["online", "offline"];
+
+export const parseStatusPayload = (message) => {
+  const text = Buffer.isBuffer(message)
+    ? message.toString("utf8").trim()
+    : String(message ?? "").trim();
+
+  let status = text;
+  if (text.startsWith("{")) {
+    try {
+      status = JSON.parse(text)?.status;
+    } catch {
+      return null;
+    }
+  }
+
+  status = typeof status === "string" ? status.trim().toLowerCase() : null;
+  return STATUSES.includes(status) ? status : null;
+};
+
+export class PresenceService {
+  constructor(socketIO = null) {
+    this.io = socketIO;
+    this.devices = new Map(); // deviceId -> { deviceId, status, lastSeen, statusSince }
+
+    this.config = {
+      // lastSeen dari reading data disimpan maksimal sekali per interval ini
+      lastSeenPersistMs:
+        (parseInt(process.env.PRESENCE_LAST_SEEN_PERSIST_SECONDS) || 60) * 1000,
+    };
+
+    this.lastPersisted = new Map(); // deviceId -> waktu simpan lastSeen terakhir
+    this.ready = this.loadState();
+  }
+
+  // Pulihkan state terakhir dari database (setelah restart)
+  async loadState() {
+    try {
+      const rows = await db.withRetry(async (prisma) => {
+        return await prisma.devicePresence.findMany();
+      });
+
+      rows.forEach((row) => {
+        this.devices.set(row.deviceId, {
+          deviceId: row.deviceId,
+          status: row.status,
+          lastSeen: row.lastSeen,
+          statusSince: row.statusSince,
+        });
+      });
+
+      console.log(`✅ Device presence loaded: ${rows.length} device(s)`);
+    } catch (error) {
+      console.error("❌ Failed to load device presence:", error.message);
+    }
+  }
+
+  // Pesan di topic status (birth / last will)
+  async handleStatusMessage(deviceId, message, { retained = false } = {}) {
+    await this.ready;
+
+    const status = parseStatusPayload(message);
+    if (!status) {
+      console.warn(
+        `⚠️ Invalid status payload from ${deviceId}: ${String(message).slice(
+          0,
+          64
+        )}`
+      );
+      return null;
+    }
+
+    const reason = status === "online" ? "birth" : "last-will";
+
+    // Pesan retained = state lama yang diputar ulang broker saat subscribe,
+    // bukan bukti device baru saja terlihat
+    return await this.setStatus(deviceId, status, reason, {
+      seen: !retained && status === "online",
+    });
+  }
+
+  // Reading data dari device: update lastSeen, dan tandai online jika
+  // sebelumnya offline / belum dikenal (firmware tanpa birth message)
+  async recordActivity(deviceId, at = new Date()) {
+    await this.ready;
+
+    const device = this.devices.get(deviceId);
+    if (!device || device.status !== "online") {
+      return await this.setStatus(deviceId, "online", "data", { seen: true });
+    }
+
+    device.lastSeen = at;
+
+    const lastPersisted = this.lastPersisted.get(deviceId) || 0;
+    if (at.getTime() - lastPersisted >= this.config.lastSeenPersistMs) {
+      this.lastPersisted.set(deviceId, at.getTime());
+      await this.persistDevice(device).catch((error) =>
+        console.error(
+          `❌ Failed to save last seen for ${deviceId}:`,
+          error.message
+        )
+      );
+    }
+
+    return null;
+  }
+
+  async setStatus(deviceId, status, reason, { seen = false } = {}) {
+    const now = new Date();
+    const device = this.devices.get(deviceId) || {
+      deviceId,
+      status: null,
+      lastSeen: null,
+      statusSince: null,
+    };
+    const previousStatus = device.status;
+
+    if (seen) device.lastSeen = now;
+
+    if (previousStatus === status) {
+      this.devices.set(deviceId, device);
+      return null;
+    }
+
+    device.status = status;
+    device.statusSince = now;
+    this.devices.set(deviceId, device);
+
+    const transition = {
+      deviceId,
+      status,
+      previousStatus,
+      reason,
+      lastSeen: device.lastSeen,
+      timestamp: now,
+    };
+
+    try {
+      await db.withRetry(async (prisma) => {
+        return await prisma.$transaction(async (tx) => {
+          await tx.devicePresenceEvent.create({
+            data: {
+              deviceId,
+              status,
+              previousStatus,
+              reason,
+              timestamp: now,
+            },
+          });
+
+          await tx.devicePresence.upsert({
+            where: { deviceId },
+            create: this.toRecord(device),
+            update: this.toRecord(device),
+          });
+        });
+      });
+      this.lastPersisted.set(deviceId, now.getTime());
+    } catch (error) {
+      console.error(
+        `❌ Failed to save presence transition for ${deviceId}:`,
+        error.message
+      );
+    }
+
+    console.log(
+      `${
+        status === "online" ? "🟢" : "🔴"
+      } Device ${deviceId} is ${status} (${reason})`
+    );
+
+    if (this.io) {
+      this.io.emit("devicePresence", {
+        ...transition,
+        lastSeen: transition.lastSeen?.toISOString() || null,
+        timestamp: now.toISOString(),
+      });
+    }
+
+    return transition;
+  }
+
+  async persistDevice(device) {
+    return await db.withRetry(async (prisma) => {
+      return await prisma.devicePresence.upsert({
+        where: { deviceId: device.deviceId },
+        create: this.toRecord(device),
+        update: this.toRecord(device),
+      });
+    });
+  }
+
+  toRecord(device) {
+    return {
+      deviceId: device.deviceId,
+      status: device.status,
+      lastSeen: device.lastSeen,
+      statusSince: device.statusSince,
+    };
+  }
+
+  getPresence() {
+    return [...this.devices.values()]
+      .map((device) => ({
+        deviceId: device.deviceId,
+        status: device.status,
+        lastSeen: device.lastSeen?.toISOString() || null,
+        statusSince: device.statusSince?.toISOString() || null,
+      }))
+      .sort((a, b) => a.deviceId.localeCompare(b.deviceId));
+  }
+
+  async getTransitions(deviceId, limit = 50) {
+    return await db.withRetry(async (prisma) => {
+      return await prisma.devicePresenceEvent.findMany({
+        where: { deviceId },
+        orderBy: { timestamp: "desc" },
+        take: limit,
+      });
+    });
+  }
+
+  getStatus() {
+    const devices = this.getPresence();
+    return {
+      total: devices.length,
+      online: devices.filter((device) => device.status === "online").length,
+      offline: devices.filter((device) => device.status === "offline").length,
+    };
+  }
+}
@@ -0,0 +1,499 @@
+import { db } from "../lib/database.mjs";
+import { applyCalibration } from "../lib/calibration.mjs";
+import {
+  formatFactoryDate,
+  startOfDay,
+  toFactoryISOString,
+} from "../lib/factoryTime.mjs";
+
+// Re-agregasi: hitung ulang agregasi 10 menit satu sensor dalam rentang
+// tertentu dari baris menit yang masih tersimpan (retensi tier 1m), lalu tulis
+// ulang export 6 jam dan backup harian yang sudah ada untuk slot yang berubah.
+// Dipakai setelah kalibrasi diperbaiki (recalibrate: suhu menit dihitung ulang
+// dari nilai mentah) atau setelah data backfill masuk.
+//
+// Dry run (default) hanya menghitung diff; run yang diterapkan disimpan di
+// AggregateRevision beserta nilai sebelum / sesudah setiap slot yang berubah.
+export const AGGREGATE_FIELDS = [
+  "meanTemp",
+  "medianTemp",
+  "modeTemp",
+  "minTemp",
+  "maxTemp",
+  "stdDevTemp",
+  "p5Temp",
+  "p95Temp",
+  "lowLimit",
+  "highLimit",
+  "secondsAboveLimit",
+  "secondsBelowLimit",
+  "meanHumidity",
+  "minHumidity",
+  "maxHumidity",
+  "sampleCount",
+  "filteredCount",
+];
+
+export class ReaggregationService {
+  constructor(temperatureService, calibrationService = null) {
+    this.temperatureService = temperatureService;
+    this.calibrationService = calibrationService;
+    this.config = {
+      maxRangeDays: parseInt(process.env.REAGGREGATE_MAX_DAYS) || 31,
+    };
+    this.isRunning = false;
+  }
+
+  // Hasil: array pesan error (kosong = valid)
+  validateRange({ from, to }) {
+    const errors = [];
+    if (!(from instanceof Date) || isNaN(from)) {
+      errors.push("from must be a valid date");
+    }
+    if (!(to instanceof Date) || isNaN(to)) {
+      errors.push("to must be a valid date");
+    }
+    if (errors.length > 0) return errors;
+
+    if (from >= to) {
+      errors.push("from must be before to");
+    } else if (to - from > this.config.maxRangeDays * 24 * 60 * 60 * 1000) {
+      errors.push(`Range must not exceed ${this.config.maxRangeDays} days`);
+    }
+
+    // PERBAIKAN: Slot di luar retensi baris menit tidak bisa dihitung ulang
+    // (agregasi lama dipertahankan), jadi ditolak daripada "berhasil" tanpa
+    // mengubah apa pun
+    const { oldest, retention } = this.getMinuteRetention();
+    if (from < oldest) {
+      errors.push(
+        `from must not be before ${toFactoryISOString(
+          oldest
+        )}: minute rows are only kept for ${retention}`
+      );
+    }
+    return errors;
+  }
+
+  // Batas baris menit tertua yang masih tersimpan (retensi tier 1m)
+  getMinuteRetention(now = new Date()) {
+    const ts = this.temperatureService;
+    const tier = ts.tiers.find((candidate) => candidate.name === "1m");
+
+    return {
+      oldest: new Date(now.getTime() - tier.retentionMs),
+      retention: tier.retention,
+    };
+  }
+
+  // Rentang dibulatkan ke window 10 menit; window yang belum ditutup timer
+  // (lewat grace period) tidak disentuh
+  getRange({ from, to }) {
+    const ts = this.temperatureService;
+    const closedUntil = ts.getWindowStart(
+      new Date(Date.now() - ts.config.aggregationGraceSeconds * 1000)
+    );
+    const start = ts.getWindowStart(from);
+    const requestedEnd = ts.getWindowStart(to);
+
+    return {
+      start,
+      end: requestedEnd > closedUntil ? closedUntil : requestedEnd,
+    };
+  }
+
+  async reaggregate({
+    sensorId,
+    from,
+    to,
+    recalibrate = false,
+    dryRun = true,
+    reason = null,
+    requestedBy = null,
+    source = "api",
+  }) {
+    if (this.isRunning) {
+      return { success: false, reason: "Re-aggregation already running" };
+    }
+
+    const rangeErrors = this.validateRange({ from, to });
+    if (rangeErrors.length > 0) {
+      return { success: false, reason: rangeErrors[0] };
+    }
+
+    this.isRunning = true;
+    try {
+      if (recalibrate && this.calibrationService) {
+        await this.calibrationService.ready;
+      }
+
+      const plan = await this.buildPlan({ sensorId, from, to, recalibrate });
+      if (dryRun) {
+        return { success: true, dryRun: true, ...this.describePlan(plan) };
+      }
+
+      const applied = await this.applyPlan(plan);
+      const revision = await this.saveRevision(plan, applied, {
+        reason,
+        requestedBy,
+        source,
+      });
+
+      this.temperatureService.logInfo(
+        `🔁 Re-aggregation #${
+          revision.id
+        } for ${sensorId} (${toFactoryISOString(
+          plan.start
+        )} - ${toFactoryISOString(plan.end)}): ${
+          plan.counts.created
+        } created, ${plan.counts.updated} updated, ${
+          plan.minuteChanges.length
+        } minute(s) recalibrated`,
+        { revisionId: revision.id, source, requestedBy }
+      );
+
+      return {
+        success: true,
+        dryRun: false,
+        revisionId: revision.id,
+        ...this.describePlan(plan),
+        sixHourExports: applied.refreshedBatches,
+        dailyBackups: applied.refreshedBackups,
+      };
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  // Diff slot per slot tanpa menulis apa pun
+  async buildPlan({ sensorId, from, to, recalibrate }) {
+    const ts = this.temperatureService;
+    const { start, end } = this.getRange({ from, to });
+    const windowMs = ts.config.aggregateIntervalMinutes * 60 * 1000;
+
+    if (start >= end) {
+      return this.emptyPlan({ sensorId, start, end, recalibrate });
+    }
+
+    const [minuteRows, aggregates] = await db.withRetry(async (prisma) => {
+      return await Promise.all([
+        prisma.temperatureMinute.findMany({
+          where: { sensorId, timestamp: { gte: start, lt: end } },
+          orderBy: { timestamp: "asc" },
+        }),
+        prisma.temperatureAggregate.findMany({
+          where: { sensorId, date: { gte: startOfDay(start), lt: end } },
+        }),
+      ]);
+    });
+
+    // PERBAIKAN: Suhu menit dihitung ulang dari rata-rata nilai mentah dengan
+    // kalibrasi yang berlaku saat itu. Untuk profil tabel ini pendekatan
+    // (kalibrasi dari rata-rata, bukan rata-rata hasil kalibrasi per reading).
+    const minuteChanges = [];
+    let minutesWithoutRaw = 0;
+    const rows = minuteRows.map((row) => {
+      if (!recalibrate) return row;
+      if (typeof row.rawTemperature !== "number") {
+        minutesWithoutRaw++;
+        return row;
+      }
+
+      const profile =
+        this.calibrationService?.getProfile(sensorId, row.timestamp) || null;
+      const temperature =
+        Math.round(applyCalibration(profile, row.rawTemperature) * 100) / 100;
+      if (temperature === row.temperature) return row;
+
+      minuteChanges.push({
+        id: row.id,
+        timestamp: row.timestamp,
+        before: row.temperature,
+        after: temperature,
+        calibrationId: profile?.id ?? null,
+      });
+      // Detik di luar batas dihitung dari suhu reading sebelum kalibrasi
+      // ulang: dibuang, slot menghitungnya per menit dari suhu baru
+      return {
+        ...row,
+        temperature,
+        secondsBelowLimit: null,
+        secondsAboveLimit: null,
+      };
+    });
+
+    const rowsByWindow = new Map();
+    rows.forEach((row) => {
+      const windowStart = ts.getWindowStart(row.timestamp).getTime();
+      if (!rowsByWindow.has(windowStart)) rowsByWindow.set(windowStart, []);
+      rowsByWindow.get(windowStart).push(row);
+    });
+
+    const aggregatesByWindow = new Map();
+    aggregates.forEach((aggregate) => {
+      const windowStart = ts.getAggregateWindowStart(aggregate);
+      if (windowStart < start || windowStart >= end) return;
+      aggregatesByWindow.set(windowStart.getTime(), aggregate);
+    });
+
+    const slots = [];
+    const counts = { created: 0, updated: 0, unchanged: 0, withoutMinutes: 0 };
+
+    for (let time = start.getTime(); time < end.getTime(); time += windowMs) {
+      const windowRows = rowsByWindow.get(time);
+      const existing = aggregatesByWindow.get(time) || null;
+
+      // Baris menit sudah dihapus retensi: agregasi lama dipertahankan
+      if (!windowRows) {
+        if (existing) counts.withoutMinutes++;
+        continue;
+      }
+
+      const after = this.calculateSlot(sensorId, windowRows);
+      const before = existing ? this.pickFields(existing) : null;
+      const changedFields = before
+        ? AGGREGATE_FIELDS.filter((field) => before[field] !== after[field])
+        : AGGREGATE_FIELDS;
+      const status = !existing
+        ? "created"
+        : changedFields.length > 0
+        ? "updated"
+        : "unchanged";
+
+      counts[status]++;
+      if (status === "unchanged") continue;
+
+      const windowStart = new Date(time);
+      slots.push({
+        windowStart,
+        timeSlot: ts.generateTimeSlot(windowStart),
+        status,
+        changedFields: status === "updated" ? changedFields : [],
+        before,
+        after,
+        aggregate: existing,
+      });
+    }
+
+    return {
+      sensorId,
+      start,
+      end,
+      recalibrate,
+      minuteCount: minuteRows.length,
+      minutesWithoutRaw,
+      minuteChanges,
+      slots,
+      counts,
+      ...(await this.findAffectedExports(sensorId, slots)),
+    };
+  }
+
+  emptyPlan({ sensorId, start, end, recalibrate }) {
+    return {
+      sensorId,
+      start,
+      end,
+      recalibrate,
+      minuteCount: 0,
+      minutesWithoutRaw: 0,
+      minuteChanges: [],
+      slots: [],
+      counts: { created: 0, updated: 0, unchanged: 0, withoutMinutes: 0 },
+      batches: [],
+      backups: [],
+    };
+  }
+
+  // Statistik slot persis seperti TemperatureService.insertSlotAggregate
+  calculateSlot(sensorId, rows) {
+    return this.temperatureService.buildSlotFields(sensorId, rows);
+  }
+
+  pickFields(aggregate) {
+    return Object.fromEntries(
+      AGGREGATE_FIELDS.map((field) => [field, aggregate[field] ?? null])
+    );
+  }
+
+  // Export 6 jam dan backup harian yang sudah ada dan memuat slot berubah
+  async findAffectedExports(sensorId, slots) {
+    if (slots.length === 0) {
+      return { batches: [], backups: [] };
+    }
+
+    const ts = this.temperatureService;
+    const batchIds = [
+      ...new Set(
+        slots.map((slot) => ts.generateSixHourBatch(slot.windowStart))
+      ),
+    ];
+    const dates = [
+      ...new Set(slots.map((slot) => formatFactoryDate(slot.windowStart))),
+    ];
+
+    const [exports, backups] = await db.withRetry(async (prisma) => {
+      return await Promise.all([
+        prisma.sixHourExport.findMany({
+          where: { sensorId, batchId: { in: batchIds } },
+          select: { batchId: true },
+        }),
+        prisma.dailyTemperatureBackup.findMany({
+          where: { date: { in: dates } },
+          select: { date: true },
+        }),
+      ]);
+    });
+
+    return {
+      batches: exports.map((row) => row.batchId).sort(),
+      backups: backups.map((row) => row.date).sort(),
+    };
+  }
+
+  async applyPlan(plan) {
+    const ts = this.temperatureService;
+
+    if (plan.minuteChanges.length > 0) {
+      await db.withRetry(async (prisma) => {
+        return await prisma.$transaction(async (tx) => {
+          for (const change of plan.minuteChanges) {
+            await tx.temperatureMinute.update({
+              where: { id: change.id },
+              data: {
+                temperature: change.after,
+                secondsBelowLimit: null,
+                secondsAboveLimit: null,
+              },
+            });
+          }
+        });
+      });
+    }
+
+    // Slot dihitung lewat jalur yang sama dengan agregasi live (gap dihapus,
+    // computedAt diperbarui untuk rollup)
+    for (const slot of plan.slots) {
+      if (slot.aggregate) {
+        await ts.recomputeAggregateSlot(slot.aggregate);
+      } else {
+        await ts.createAggregateForSlot(plan.sensorId, slot.windowStart);
+      }
+    }
+
+    const refreshedBatches = [];
+    for (const batchId of plan.batches) {
+      if (await ts.refreshSixHourExport(plan.sensorId, batchId)) {
+        refreshedBatches.push(batchId);
+      }
+    }
+
+    const refreshedBackups = [];
+    for (const date of plan.backups) {
+      if (await ts.refreshDailyExport(date)) {
+        refreshedBackups.push(date);
+      }
+    }
+
+    // Rollup 1 jam / 1 hari ikut diperbarui sekarang (CLI tidak punya timer)
+    if (plan.slots.length > 0 && ts.rollupService) {
+      await ts.rollupService.processRollups();
+    }
+
+    return { refreshedBatches, refreshedBackups };
+  }
+
+  async saveRevision(plan, applied, { reason, requestedBy, source }) {
+    return await db.withRetry(async (prisma) => {
+      return await prisma.aggregateRevision.create({
+        data: {
+          sensorId: plan.sensorId,
+          rangeStart: plan.start,
+          rangeEnd: plan.end,
+          recalibrated: plan.recalibrate,
+          reason,
+          requestedBy,
+          source,
+          minutesChanged: plan.minuteChanges.length,
+          slotsCreated: plan.counts.created,
+          slotsUpdated: plan.counts.updated,
+          slotsUnchanged: plan.counts.unchanged,
+          changes: JSON.stringify(this.describeSlots(plan.slots)),
+          refreshedBatches: JSON.stringify(applied.refreshedBatches),
+          refreshedBackups: JSON.stringify(applied.refreshedBackups),
+        },
+      });
+    });
+  }
+
+  describeSlots(slots) {
+    return slots.map((slot) => ({
+      windowStart: toFactoryISOString(slot.windowStart),
+      timeSlot: slot.timeSlot,
+      status: slot.status,
+      changedFields: slot.changedFields,
+      before: slot.before,
+      after: slot.after,
+    }));
+  }
+
+  describePlan(plan) {
+    return {
+      sensorId: plan.sensorId,
+      from: plan.start,
+      to: plan.end,
+      recalibrate: plan.recalibrate,
+      minutes: {
+        total: plan.minuteCount,
+        changed: plan.minuteChanges.length,
+        withoutRawValue: plan.minutesWithoutRaw,
+      },
+      slots: plan.counts,
+      sixHourExports: plan.batches,
+      dailyBackups: plan.backups,
+      changes: this.describeSlots(plan.slots),
+    };
+  }
+
+  async listRevisions({ sensorId = null, limit = 50 } = {}) {
+    const rows = await db.withRetry(async (prisma) => {
+      return await prisma.aggregateRevision.findMany({
+        where: sensorId ? { sensorId } : {},
+        orderBy: { createdAt: "desc" },
+        take: limit,
+      });
+    });
+
+    // Daftar tanpa diff per slot (lihat getRevision)
+    return rows.map(({ changes, ...row }) => ({
+      ...this.toRevision(row),
+      changeCount: JSON.parse(changes).length,
+    }));
+  }
+
+  async getRevision(id) {
+    const row = await db.withRetry(async (prisma) => {
+      return await prisma.aggregateRevision.findUnique({ where: { id } });
+    });
+
+    return row ? this.toRevision(row) : null;
+  }
+
+  toRevision(row) {
+    const parse = (value) => (value ? JSON.parse(value) : []);
+    return {
+      ...row,
+      ...(row.changes !== undefined && { changes: parse(row.changes) }),
+      refreshedBatches: parse(row.refreshedBatches),
+      refreshedBackups: parse(row.refreshedBackups),
+    };
+  }
+
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      maxRangeDays: this.config.maxRangeDays,
+      minuteRetention: this.getMinuteRetention().retention,
+    };
+  }
+}
@@ -0,0 +1,351 @@
+import { db } from "../lib/database.mjs";
+import {
+  getBucketStart,
+  getBucketEnd,
+  selectTier,
+  combineRollupRows,
+} from "../lib/rollupTiers.mjs";
+import { startOfDay } from "../lib/factoryTime.mjs";
+
+// Rollup 1 jam / 1 hari di atas agregasi 10 menit. Bucket dihitung setelah
+// bucket-nya lewat (+ jeda supaya window 10 menit terakhir sudah ditutup),
+// dari tier di bawahnya. Bucket dihitung ulang kalau ada baris sumber yang
+// dihitung (ulang) setelah rollup-nya dibuat (reading terlambat, backfill,
+// re-agregasi): TemperatureAggregate.computedAt / updatedAt rollup tier
+// bawah dibandingkan dengan updatedAt rollup. Tersimpan di database, jadi
+// tetap berlaku setelah restart dan untuk perubahan dari proses CLI.
+export class RollupService {
+  // schedulers: false untuk CLI (rollup dijalankan manual lewat processRollups)
+  constructor(temperatureService, { schedulers = true } = {}) {
+    this.temperatureService = temperatureService;
+    this.tiers = temperatureService.tiers;
+    this.config = {
+      intervalMinutes: parseInt(process.env.ROLLUP_INTERVAL_MINUTES) || 5,
+      // Jeda setelah bucket berakhir: grace window 10 menit + satu putaran
+      delaySeconds:
+        temperatureService.config.aggregationGraceSeconds +
+        temperatureService.config.windowCheckSeconds * 2,
+      historyMaxPoints: parseInt(process.env.HISTORY_MAX_POINTS) || 500,
+    };
+
+    this.isRunning = false;
+    this.lastRun = null;
+    this.lastResult = null;
+
+    this.timers = {};
+    if (schedulers) {
+      this.timers = {
+        rollup: setInterval(() => {
+          this.processRollups().catch((error) =>
+            console.error("❌ Rollup failed:", error.message)
+          );
+        }, this.config.intervalMinutes * 60 * 1000),
+        cleanup: setInterval(() => {
+          this.cleanupExpired().catch((error) =>
+            console.error("❌ Rollup cleanup failed:", error.message)
+          );
+        }, 24 * 60 * 60 * 1000),
+      };
+    }
+
+    console.log(
+      `✅ RollupService initialized (tiers: ${this.tiers
+        .map((tier) => `${tier.name}/${tier.retention}`)
+        .join(", ")})`
+    );
+  }
+
+  // Tier yang dihitung service ini (di atas 10 menit)
+  getRollupTiers() {
+    return this.tiers.filter((tier) => tier.minutes > 10);
+  }
+
+  getTier(name) {
+    return this.tiers.find((tier) => tier.name === name) || null;
+  }
+
+  async processRollups(now = new Date()) {
+    if (this.isRunning) {
+      return { success: false, reason: "Rollup already running" };
+    }
+
+    this.isRunning = true;
+    const summary = {};
+
+    try {
+      for (const tier of this.getRollupTiers()) {
+        summary[tier.name] = await this.processTier(tier, now);
+      }
+
+      this.lastRun = now;
+      this.lastResult = summary;
+
+      const written = Object.values(summary).reduce(
+        (sum, item) => sum + item.created + item.updated,
+        0
+      );
+      if (written > 0) {
+        console.log(
+          `📚 Rollups updated: ${Object.entries(summary)
+            .map(
+              ([name, item]) =>
+                `${name} ${item.created} created / ${item.updated} updated`
+            )
+            .join(", ")}`
+        );
+      }
+
+      return { success: true, tiers: summary };
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  async processTier(tier, now) {
+    const source = this.getTier(tier.source);
+    const closedUntil = getBucketStart(
+      tier,
+      new Date(now.getTime() - this.config.delaySeconds * 1000)
+    );
+    // Hanya bucket yang data sumbernya masih tersimpan
+    const lookbackStart = getBucketStart(
+      tier,
+      new Date(now.getTime() - source.retentionMs)
+    );
+
+    // Disimpan sebagai updatedAt rollup: baris sumber yang dihitung sejak
+    // saat ini (termasuk selama bucket ditulis) memicu hitung ulang berikutnya
+    const loadedAt = new Date();
+
+    const [sourceRows, existing] = await Promise.all([
+      this.loadTierRows(source, { from: lookbackStart, to: closedUntil }),
+      db.withRetry(async (prisma) => {
+        return await prisma.temperatureRollup.findMany({
+          where: {
+            tier: tier.name,
+            bucketStart: { gte: lookbackStart, lt: closedUntil },
+          },
+          select: { sensorId: true, bucketStart: true, updatedAt: true },
+        });
+      }),
+    ]);
+
+    const buckets = new Map(); // key -> { sensorId, bucketStart, rows }
+    sourceRows.forEach((row) => {
+      const bucketStart = getBucketStart(tier, row.start);
+      const key = `${tier.name}|${row.sensorId}|${bucketStart.getTime()}`;
+      if (!buckets.has(key)) {
+        buckets.set(key, { sensorId: row.sensorId, bucketStart, rows: [] });
+      }
+      buckets.get(key).rows.push(row);
+    });
+
+    const stored = new Map(
+      existing.map((row) => [
+        `${tier.name}|${row.sensorId}|${row.bucketStart.getTime()}`,
+        row.updatedAt,
+      ])
+    );
+
+    let created = 0;
+    let updated = 0;
+
+    for (const [key, bucket] of buckets) {
+      const storedAt = stored.get(key);
+      if (storedAt && !bucket.rows.some((row) => row.computedAt >= storedAt)) {
+        continue;
+      }
+
+      // Tier di atasnya ikut dihitung ulang (updatedAt bucket ini berubah)
+      await this.writeBucket(tier, bucket, loadedAt);
+      if (storedAt) updated++;
+      else created++;
+    }
+
+    return { created, updated };
+  }
+
+  async writeBucket(tier, { sensorId, bucketStart, rows }, loadedAt) {
+    const stats = combineRollupRows(rows);
+    const bucketEnd = getBucketEnd(tier, bucketStart);
+
+    return await db.withRetry(async (prisma) => {
+      return await prisma.temperatureRollup.upsert({
+        where: {
+          sensorId_tier_bucketStart: {
+            sensorId,
+            tier: tier.name,
+            bucketStart,
+          },
+        },
+        create: {
+          sensorId,
+          tier: tier.name,
+          bucketStart,
+          bucketEnd,
+          ...stats,
+          updatedAt: loadedAt,
+        },
+        update: { bucketEnd, ...stats, updatedAt: loadedAt },
+      });
+    });
+  }
+
+  // Baris satu tier dalam [from, to), bentuk seragam:
+  // { sensorId, start, end, meanTemp, minTemp, maxTemp, meanHumidity,
+  //   minHumidity, maxHumidity, sampleCount, filteredCount, computedAt }
+  // (computedAt null untuk baris menit)
+  async loadTierRows(tier, { from, to, sensorId = null }) {
+    const sensorFilter = sensorId ? { sensorId } : {};
+
+    if (tier.name === "1m") {
+      const rows = await db.withRetry(async (prisma) => {
+        return await prisma.temperatureMinute.findMany({
+          where: { ...sensorFilter, timestamp: { gte: from, lt: to } },
+          orderBy: { timestamp: "asc" },
+        });
+      });
+
+      return rows.map((row) => ({
+        sensorId: row.sensorId,
+        start: row.timestamp,
+        end: new Date(row.timestamp.getTime() + 60 * 1000),
+        meanTemp: row.temperature,
+        minTemp: row.temperature,
+        maxTemp: row.temperature,
+        meanHumidity: row.humidity,
+        minHumidity: row.humidity,
+        maxHumidity: row.humidity,
+        sampleCount: row.sampleCount,
+        filteredCount: row.filteredCount,
+        computedAt: null,
+      }));
+    }
+
+    if (tier.name === "10m") {
+      const dayStart = startOfDay(from);
+
+      const rows = await db.withRetry(async (prisma) => {
+        return await prisma.temperatureAggregate.findMany({
+          where: { ...sensorFilter, date: { gte: dayStart, lt: to } },
+        });
+      });
+
+      return rows
+        .map((row) => {
+          const start = this.temperatureService.getAggregateWindowStart(row);
+          return {
+            sensorId: row.sensorId,
+            start,
+            end: new Date(start.getTime() + 10 * 60 * 1000),
+            meanTemp: row.meanTemp,
+            minTemp: row.minTemp,
+            maxTemp: row.maxTemp,
+            meanHumidity: row.meanHumidity,
+            minHumidity: row.minHumidity,
+            maxHumidity: row.maxHumidity,
+            sampleCount: row.sampleCount,
+            filteredCount: row.filteredCount,
+            computedAt: row.computedAt,
+          };
+        })
+        .filter((row) => row.start >= from && row.start < to)
+        .sort((a, b) => a.start - b.start);
+    }
+
+    const rows = await db.withRetry(async (prisma) => {
+      return await prisma.temperatureRollup.findMany({
+        where: {
+          ...sensorFilter,
+          tier: tier.name,
+          bucketStart: { gte: from, lt: to },
+        },
+        orderBy: { bucketStart: "asc" },
+      });
+    });
+
+    return rows.map((row) => ({
+      sensorId: row.sensorId,
+      start: row.bucketStart,
+      end: row.bucketEnd,
+      meanTemp: row.meanTemp,
+      minTemp: row.minTemp,
+      maxTemp: row.maxTemp,
+      meanHumidity: row.meanHumidity,
+      minHumidity: row.minHumidity,
+      maxHumidity: row.maxHumidity,
+      sampleCount: row.sampleCount,
+      filteredCount: row.filteredCount,
+      computedAt: row.updatedAt,
+    }));
+  }
+
+  // PERBAIKAN: Data historis dengan tier dipilih otomatis dari rentang
+  // (tier: "auto" atau nama tier untuk memaksa)
+  async getHistory({ from, to, sensorId = null, tier = "auto" }) {
+    const now = new Date();
+    const selected =
+      tier === "auto"
+        ? selectTier(this.tiers, {
+            from,
+            to,
+            now,
+            maxPoints: this.config.historyMaxPoints,
+          })
+        : this.getTier(tier);
+
+    const points = await this.loadTierRows(selected, { from, to, sensorId });
+
+    return {
+      tier: selected.name,
+      auto: tier === "auto",
+      retention: selected.retention,
+      from,
+      to,
+      count: points.length,
+      points,
+    };
+  }
+
+  // Hapus rollup yang lewat retensi tier-nya
+  async cleanupExpired(now = new Date()) {
+    const deleted = {};
+
+    for (const tier of this.getRollupTiers()) {
+      const result = await db.withRetry(async (prisma) => {
+        return await prisma.temperatureRollup.deleteMany({
+          where: {
+            tier: tier.name,
+            bucketStart: { lt: new Date(now.getTime() - tier.retentionMs) },
+          },
+        });
+      });
+      deleted[tier.name] = result.count;
+    }
+
+    console.log(
+      `🧹 Rollup cleanup: ${Object.entries(deleted)
+        .map(([name, count]) => `${count} ${name}`)
+        .join(", ")} deleted`
+    );
+
+    return deleted;
+  }
+
+  getStatus() {
+    return {
+      tiers: this.tiers.map((tier) => ({
+        name: tier.name,
+        minutes: tier.minutes,
+        source: tier.source,
+        retention: tier.retention,
+      })),
+      lastRun: this.lastRun,
+      lastResult: this.lastResult,
+    };
+  }
+
+  cleanup() {
+    Object.values(this.timers).forEach((timer) => clearInterval(timer));
+  }
+}